@@ -0,0 +1,114 @@
+const express = require("express");
+const cors = require("cors");
+const { createTokenVerifier } = require("./lib/tokenVerifier");
+const { createPaymentProvider } = require("./lib/payments");
+const { installValidators } = require("./lib/validation");
+const { schemas } = require("./lib/schemas");
+const { createMailTransport } = require("./lib/mail");
+const { createNotificationHub } = require("./lib/notificationHub");
+const { createStorage } = require("./lib/storage");
+const { requestId, accessLog, errorHandler } = require("./lib/http");
+const { createRateLimitStore, createRateLimiter, rateLimitsFromEnv } = require("./lib/rateLimit");
+const { NotFoundError } = require("./lib/errors");
+const { createAuth } = require("./services/auth");
+const { createNotifier } = require("./services/notifications");
+const { createClassLinks } = require("./services/classes");
+const { createBookingService } = require("./services/bookings");
+const { createSessionService } = require("./services/sessions");
+const { createMembershipService } = require("./services/memberships");
+const { createAuditLog } = require("./services/audit");
+const { createMediaService } = require("./services/media");
+
+// Routers in mount order (each module owns its collections, indexes and absolute paths)
+const routers = [
+    require("./routes/users"),
+    require("./routes/testimonials"),
+    require("./routes/classes"),
+    require("./routes/trainers"),
+    require("./routes/forum"),
+    require("./routes/newsletter"),
+    require("./routes/plans"),
+    require("./routes/bookings"),
+    require("./routes/reviews"),
+    require("./routes/notifications"),
+    require("./routes/analytics"),
+    require("./routes/workouts"),
+    require("./routes/search"),
+    require("./routes/audit"),
+    require("./routes/media"),
+];
+
+// 🔹 Build the Express app around a connected database.
+// Every external dependency can be swapped (tests, scripts); defaults come from the environment.
+async function createApp({
+    db,
+    client = db.client,
+    verifyIdToken = createTokenVerifier(),
+    paymentProvider = createPaymentProvider(),
+    mailTransport = createMailTransport(),
+    notificationHub = createNotificationHub(),
+    storage = createStorage(),
+    // public base URL of this API, used in emailed links
+    apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`,
+    // newsletter campaign scheduler, media cleanup, pending booking expiry and session generation; turn off for one-off scripts
+    backgroundJobs = true,
+    rateLimitStore = createRateLimitStore(db),
+    rateLimits = rateLimitsFromEnv(),
+    // behind a proxy (e.g. Vercel) client IPs come from X-Forwarded-For: TRUST_PROXY=1 (hops), true or an Express preset
+    trustProxy = process.env.TRUST_PROXY,
+}) {
+    const app = express();
+    if (trustProxy) app.set("trust proxy", /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === "true" || trustProxy);
+
+    // Middleware
+    app.use(requestId);
+    app.use(accessLog);
+    app.use(cors());
+    // keep the raw body around for webhook signature checks
+    app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+
+    // ✅ Schemas double as collection-level $jsonSchema validators
+    await installValidators(db, schemas);
+
+    const notify = await createNotifier(db, { notificationHub, mailTransport });
+    const audit = await createAuditLog(db);
+    const memberships = createMembershipService(db);
+    const context = {
+        db,
+        client,
+        apiUrl,
+        paymentProvider,
+        mailTransport,
+        notificationHub,
+        storage,
+        backgroundJobs,
+        notify,
+        audit,
+        auth: createAuth(db, verifyIdToken),
+        rateLimit: createRateLimiter({ store: rateLimitStore, limits: rateLimits }),
+        classLinks: createClassLinks(db),
+        sessions: createSessionService(db),
+        memberships,
+        bookings: createBookingService(db, { notify, paymentProvider, memberships }),
+        media: createMediaService(db, { storage, apiUrl }),
+    };
+
+    for (const createRouter of routers) {
+        app.use(await createRouter(context));
+    }
+
+    // 🔹 Root Route
+    app.get("/", (req, res) => {
+        res.send("🏋️‍♂️ Fitness Tracker API is running...");
+    });
+
+    // ⚠️ Must come after every route: unknown routes → 404, thrown errors → JSON body with the request id
+    app.use((req) => {
+        throw new NotFoundError(`Cannot ${req.method} ${req.path}`);
+    });
+    app.use(errorHandler);
+
+    return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,55 @@
+const { DAYS } = require("./schemas");
+
+// 🔹 Calendar helpers: local dates are "YYYY-MM-DD" strings, times "HH:mm", zones IANA names
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat("en-CA", { timeZone }); // throws RangeError for unknown zones
+        return true;
+    } catch (err) {
+        return false;
+    }
+};
+
+// "2026-02-30" matches the pattern but isn't a date
+const isValidDate = (value) =>
+    typeof value === "string" && DATE.test(value) && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+
+// The local date of an instant in a time zone
+const localDate = (instant, timeZone) => instant.toLocaleDateString("en-CA", { timeZone });
+
+const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+
+// "Sun".."Sat" of a local date
+const weekday = (date) => DAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+
+// Offset (ms) of a time zone from UTC at a given instant
+const zoneOffset = (instant, timeZone) => {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat("en-US", {
+            timeZone,
+            hourCycle: "h23",
+            year: "numeric",
+            month: "2-digit",
+            day: "2-digit",
+            hour: "2-digit",
+            minute: "2-digit",
+            second: "2-digit",
+        }).formatToParts(instant).map(({ type, value }) => [type, value])
+    );
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+// Wall-clock date + time in a zone → UTC instant (the offset is re-read once to get DST switch days right)
+const zonedTime = (date, time, timeZone) => {
+    const wallClock = Date.parse(`${date}T${time}:00Z`);
+    const guess = wallClock - zoneOffset(new Date(wallClock), timeZone);
+    return new Date(wallClock - zoneOffset(new Date(guess), timeZone));
+};
+
+module.exports = { isValidTimeZone, isValidDate, localDate, addDays, daysBetween, weekday, zonedTime };
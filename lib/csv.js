@@ -0,0 +1,21 @@
+// 🔹 CSV export (RFC 4180 quoting)
+// Cells starting with = + - @ are prefixed with ' so spreadsheets don't evaluate them as formulas
+const FORMULA = /^[=+\-@\t\r]/;
+
+function cell(value) {
+    if (value === null || value === undefined) return "";
+    let text = value instanceof Date ? value.toISOString() : typeof value === "object" ? JSON.stringify(value) : String(value);
+    if (FORMULA.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// columns: [{ header, value: (row) => any }]
+function toCsv(columns, rows) {
+    const lines = [columns.map((column) => cell(column.header)).join(",")];
+    for (const row of rows) {
+        lines.push(columns.map((column) => cell(column.value(row))).join(","));
+    }
+    return `${lines.join("\r\n")}\r\n`;
+}
+
+module.exports = { toCsv };
@@ -0,0 +1,73 @@
+// 🔹 Typed API errors
+// Handlers throw these; the error middleware (lib/http.js) turns them into
+// { error, code, requestId, fields? } JSON bodies with the matching status.
+
+class ApiError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// 400 — bad input; `fields` lists { field, message } like validateBody does
+class ValidationError extends ApiError {
+    constructor(message = "Validation failed", fields) {
+        super(400, "VALIDATION_FAILED", message);
+        if (fields) this.fields = fields;
+    }
+}
+
+// 401 — missing or invalid credentials
+class AuthError extends ApiError {
+    constructor(message = "Unauthorized access") {
+        super(401, "UNAUTHORIZED", message);
+    }
+}
+
+// 403 — authenticated but not allowed
+class ForbiddenError extends ApiError {
+    constructor(message = "Forbidden access") {
+        super(403, "FORBIDDEN", message);
+    }
+}
+
+class NotFoundError extends ApiError {
+    constructor(message = "Not found") {
+        super(404, "NOT_FOUND", message);
+    }
+}
+
+// 409 — the request clashes with current state (duplicates, full slots, invalid transitions)
+class ConflictError extends ApiError {
+    constructor(message = "Conflict") {
+        super(409, "CONFLICT", message);
+    }
+}
+
+// 429 — too many requests; `retryAfter` (seconds) is sent as the Retry-After header
+class RateLimitError extends ApiError {
+    constructor(retryAfter, message = "Too many requests, please try again later") {
+        super(429, "RATE_LIMITED", message);
+        this.retryAfter = retryAfter;
+    }
+}
+
+// 502 — an upstream provider (payments, mail) failed
+class UpstreamError extends ApiError {
+    constructor(message = "Upstream service failed") {
+        super(502, "UPSTREAM_FAILED", message);
+    }
+}
+
+module.exports = {
+    ApiError,
+    ValidationError,
+    AuthError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    RateLimitError,
+    UpstreamError,
+};
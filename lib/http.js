@@ -0,0 +1,82 @@
+const crypto = require("crypto");
+const { ApiError } = require("./errors");
+
+// 🔹 Request IDs, JSON access logs and the central error handler
+
+// One JSON object per line on stdout/stderr
+function log(level, message, fields = {}) {
+    const line = JSON.stringify({ level, time: new Date().toISOString(), msg: message, ...fields });
+    (level === "error" ? console.error : console.log)(line);
+}
+
+// Reuse a caller-supplied X-Request-Id when it looks sane, otherwise mint one
+const requestId = (req, res, next) => {
+    const incoming = req.get("x-request-id");
+    req.id = incoming && /^[\w.-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+    res.set("X-Request-Id", req.id);
+    next();
+};
+
+// Logged once the response is finished (or the client went away, e.g. an SSE stream).
+// Only the path is logged: query strings may carry tokens.
+const accessLog = (req, res, next) => {
+    const started = process.hrtime.bigint();
+    let logged = false;
+
+    const done = () => {
+        if (logged) return;
+        logged = true;
+        const status = res.headersSent ? res.statusCode : 499;
+        log(status >= 500 ? "error" : status >= 400 ? "warn" : "info", "request", {
+            requestId: req.id,
+            method: req.method,
+            path: req.originalUrl.split("?")[0],
+            status,
+            durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+            bytes: Number(res.get("content-length")) || undefined,
+            user: req.decoded?.email,
+        });
+    };
+
+    res.on("finish", done);
+    res.on("close", done);
+    next();
+};
+
+// Map anything thrown by a route to { status, body }
+function toErrorResponse(err) {
+    if (err instanceof ApiError) {
+        return { status: err.status, code: err.code, message: err.message, fields: err.fields };
+    }
+    // body-parser: malformed JSON, payload too large, ...
+    if (err.type && err.status >= 400 && err.status < 500) {
+        const message = err.type === "entity.parse.failed" ? "Malformed JSON body" : err.message;
+        return { status: err.status, code: "BAD_REQUEST", message };
+    }
+    // new ObjectId("not-an-id")
+    if (err.name === "BSONError") {
+        return { status: 400, code: "VALIDATION_FAILED", message: "Invalid id" };
+    }
+    if (err.code === 11000) {
+        return { status: 409, code: "CONFLICT", message: "Duplicate value" };
+    }
+    // $jsonSchema collection validator rejected the write
+    if (err.code === 121) {
+        return { status: 400, code: "VALIDATION_FAILED", message: "Document failed validation" };
+    }
+    return { status: 500, code: "INTERNAL", message: "Internal server error" };
+}
+
+const errorHandler = (err, req, res, next) => {
+    const { status, code, message, fields } = toErrorResponse(err);
+
+    if (status >= 500) {
+        log("error", err.message, { requestId: req.id, method: req.method, path: req.originalUrl.split("?")[0], stack: err.stack });
+    }
+    if (res.headersSent) return res.end();
+
+    if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
+    res.status(status).json({ error: message, code, requestId: req.id, ...(fields ? { fields } : {}) });
+};
+
+module.exports = { log, requestId, accessLog, errorHandler, toErrorResponse };
@@ -0,0 +1,53 @@
+const sharp = require("sharp");
+const { ValidationError } = require("./errors");
+
+// 🔹 Image checks and variants for uploads
+
+// Detected from the file contents, never from the client's Content-Type or file name
+const IMAGE_FORMATS = { jpeg: "image/jpeg", png: "image/png", webp: "image/webp" };
+const MAX_DIMENSION = 2000; // originals are scaled down to fit
+const THUMB_SIZE = 320;
+const MAX_INPUT_PIXELS = 40000000; // refuse decompression bombs before decoding them
+
+const open = (buffer) => sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS });
+
+const variant = ({ data, info }, contentType) => ({
+    body: data,
+    contentType,
+    width: info.width,
+    height: info.height,
+    size: info.size,
+});
+
+// → { format, original, thumb } where each variant is { body, contentType, width, height, size }.
+// Both are re-encoded: rotate() applies the EXIF orientation and the metadata (camera, GPS) is dropped.
+async function processImage(buffer) {
+    let metadata;
+    try {
+        metadata = await open(buffer).metadata();
+    } catch {
+        throw new ValidationError("Validation failed", [{ field: "file", message: "is not a readable image" }]);
+    }
+
+    const contentType = IMAGE_FORMATS[metadata.format];
+    if (!contentType) {
+        throw new ValidationError("Validation failed", [
+            { field: "file", message: `must be one of ${Object.keys(IMAGE_FORMATS).join(", ")}` },
+        ]);
+    }
+
+    const original = await open(buffer)
+        .rotate()
+        .resize({ width: MAX_DIMENSION, height: MAX_DIMENSION, fit: "inside", withoutEnlargement: true })
+        .toFormat(metadata.format)
+        .toBuffer({ resolveWithObject: true });
+    const thumb = await open(buffer)
+        .rotate()
+        .resize(THUMB_SIZE, THUMB_SIZE, { fit: "cover" })
+        .webp()
+        .toBuffer({ resolveWithObject: true });
+
+    return { format: metadata.format, original: variant(original, contentType), thumb: variant(thumb, "image/webp") };
+}
+
+module.exports = { IMAGE_FORMATS, processImage };
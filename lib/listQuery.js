@@ -0,0 +1,207 @@
+const { ObjectId, BSON } = require("mongodb");
+const { ValidationError } = require("./errors");
+
+// 🔹 Shared list query layer: filters, multi-field sort and cursor pagination
+//
+// Query string:  ?limit=20&cursor=<opaque>&sort=-createdAt,name&<filters>
+// Response:      { data, total, limit, hasMore, nextCursor }
+//
+// A spec describes what a route allows:
+//   {
+//     filters: { role: { type: "list" }, minRating: { type: "number", field: "ratingAverage", op: "$gte" },
+//                created: { type: "dateRange", field: "createdAt" } },   // → ?createdFrom=&createdTo=
+//     sortable: ["createdAt", "name"],
+//     defaultSort: "-createdAt",
+//   }
+// Filter types: list (comma separated → equality / $in; works on array fields too), numberList (the same
+// for numeric fields), string, number, boolean, objectId, dateRange.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// 400 through the central error handler
+class ListQueryError extends ValidationError {}
+
+const encodeCursor = (values) => Buffer.from(BSON.EJSON.stringify(values, { relaxed: false })).toString("base64url");
+
+function decodeCursor(cursor) {
+    try {
+        const values = BSON.EJSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"), { relaxed: false });
+        if (!values || typeof values !== "object") throw new Error();
+
+        // only plain scalar sort keys; an object here could smuggle query operators
+        const scalar = (v) => v === null || ["string", "number", "boolean"].includes(typeof v)
+            || v instanceof Date || v instanceof ObjectId || typeof v?._bsontype === "string";
+        if (!Object.values(values).every(scalar)) throw new Error();
+        return values;
+    } catch {
+        throw new ListQueryError("Invalid cursor");
+    }
+}
+
+function parseDate(value, param) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw new ListQueryError(`${param} must be a valid date`);
+    return date;
+}
+
+// Build the MongoDB filter from the query string
+function buildFilter(query, filters = {}) {
+    const filter = {};
+
+    for (const [param, rule] of Object.entries(filters)) {
+        const field = rule.field || param;
+
+        if (rule.type === "dateRange") {
+            const range = {};
+            if (query[`${param}From`]) range.$gte = parseDate(query[`${param}From`], `${param}From`);
+            if (query[`${param}To`]) range.$lte = parseDate(query[`${param}To`], `${param}To`);
+            if (Object.keys(range).length) filter[field] = range;
+            continue;
+        }
+
+        const raw = query[param];
+        if (raw === undefined || raw === "") continue;
+
+        let value;
+        switch (rule.type) {
+            case "list": {
+                const values = String(raw).split(",").map((v) => v.trim()).filter(Boolean);
+                value = values.length === 1 ? values[0] : { $in: values };
+                break;
+            }
+            case "numberList": {
+                const values = String(raw).split(",").map((v) => v.trim()).filter(Boolean).map(Number);
+                if (!values.every(Number.isFinite)) throw new ListQueryError(`${param} must be a list of numbers`);
+                value = values.length === 1 ? values[0] : { $in: values };
+                break;
+            }
+            case "number":
+                value = Number(raw);
+                if (!Number.isFinite(value)) throw new ListQueryError(`${param} must be a number`);
+                break;
+            case "boolean":
+                if (!["true", "false"].includes(String(raw))) throw new ListQueryError(`${param} must be true or false`);
+                value = String(raw) === "true";
+                break;
+            case "objectId":
+                if (!ObjectId.isValid(String(raw))) throw new ListQueryError(`${param} must be a valid id`);
+                value = new ObjectId(String(raw));
+                break;
+            default:
+                value = String(raw);
+        }
+
+        if (rule.op) {
+            filter[field] = { ...(filter[field] || {}), [rule.op]: value };
+        } else {
+            filter[field] = value;
+        }
+    }
+
+    return filter;
+}
+
+// "-createdAt,name" → [["createdAt", -1], ["name", 1], ["_id", ±1]]
+function parseSort(sortParam, { sortable = [], defaultSort = "-_id" } = {}) {
+    const fields = String(sortParam || defaultSort).split(",").map((s) => s.trim()).filter(Boolean);
+    const sort = [];
+
+    for (const item of fields) {
+        const direction = item.startsWith("-") ? -1 : 1;
+        const field = item.replace(/^[-+]/, "");
+        if (field !== "_id" && !sortable.includes(field)) {
+            throw new ListQueryError(`sort must use ${sortable.join(", ")}`);
+        }
+        if (!sort.some(([f]) => f === field)) sort.push([field, direction]);
+    }
+
+    // _id breaks ties so cursors are stable
+    if (!sort.some(([f]) => f === "_id")) sort.push(["_id", sort[0]?.[1] ?? -1]);
+    return sort;
+}
+
+// Keyset condition: documents strictly after `last` in the given sort order.
+// Missing/null values sort lowest in MongoDB, so they come last in descending order.
+function afterCursor(sort, last) {
+    const branches = [];
+    const equalSoFar = {};
+
+    for (const [field, direction] of sort) {
+        const value = last[field] ?? null;
+        let beyond;
+        if (value === null) {
+            beyond = direction === 1 ? { [field]: { $ne: null } } : null;
+        } else {
+            beyond = direction === 1
+                ? { [field]: { $gt: value } }
+                : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+        }
+        if (beyond) branches.push({ ...equalSoFar, ...beyond });
+        equalSoFar[field] = value;
+    }
+
+    return branches.length ? { $or: branches } : { _id: { $exists: false } };
+}
+
+const readPath = (doc, path) => path.split(".").reduce((value, key) => value?.[key], doc);
+
+// Run a list query against a collection.
+//   baseFilter – always applied (scoping, visibility)
+//   preStages  – aggregation stages before the cursor match (e.g. computed sort fields)
+//   postStages – stages applied to the page only (lookups, projections)
+async function paginate(collection, query, spec, { baseFilter = {}, preStages = [], postStages = [] } = {}) {
+    const limit = Math.min(Math.max(parseInt(query.limit) || spec.defaultLimit || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const filter = { ...buildFilter(query, spec.filters), ...baseFilter };
+    const sort = parseSort(query.sort, spec);
+    const cursorMatch = query.cursor ? [{ $match: afterCursor(sort, decodeCursor(query.cursor)) }] : [];
+
+    const [total, docs] = await Promise.all([
+        collection.countDocuments(filter),
+        collection.aggregate([
+            { $match: filter },
+            ...preStages,
+            ...cursorMatch,
+            { $sort: Object.fromEntries(sort) },
+            { $limit: limit + 1 },
+            ...postStages,
+        ]).toArray(),
+    ]);
+
+    const hasMore = docs.length > limit;
+    const data = hasMore ? docs.slice(0, limit) : docs;
+    const last = data[data.length - 1];
+    const nextCursor = hasMore && last
+        ? encodeCursor(Object.fromEntries(sort.map(([field]) => [field, readPath(last, field) ?? null])))
+        : null;
+
+    return { data, total, limit, hasMore, nextCursor };
+}
+
+// Express handler around paginate.
+// options.baseFilter / postStages receive req for per-request scoping; transform post-processes the page.
+// options.query maps the query string first (req.query is a getter in Express 5 and can't be rewritten).
+const listRoute = (collection, spec, options = {}) => async (req, res) => {
+    const query = options.query ? options.query(req.query) : req.query;
+    const result = await paginate(collection, query, spec, {
+        baseFilter: options.baseFilter?.(req) || {},
+        preStages: options.preStages || [],
+        postStages: options.postStages?.(req) || [],
+    });
+    if (options.transform) result.data = await options.transform(result.data, req);
+    res.json(result);
+};
+
+// ?from=&to= (ISO dates) → { [field]: { $gte, $lte } }, {} when absent, null when a date is invalid
+function parseDateRange(query, field = "createdAt") {
+    const range = {};
+    for (const [param, op] of [["from", "$gte"], ["to", "$lte"]]) {
+        if (!query[param]) continue;
+        const date = new Date(query[param]);
+        if (Number.isNaN(date.getTime())) return null;
+        range[op] = date;
+    }
+    return Object.keys(range).length ? { [field]: range } : {};
+}
+
+module.exports = { paginate, listRoute, parseDateRange, buildFilter, parseSort, ListQueryError };
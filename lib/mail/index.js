@@ -0,0 +1,18 @@
+const { createSmtpTransport } = require("./smtpTransport");
+const { createConsoleTransport, createFileTransport } = require("./localTransport");
+
+// 🔹 Pick the mail transport from MAIL_TRANSPORT (smtp | file | console)
+function createMailTransport(name = process.env.MAIL_TRANSPORT || "console") {
+    switch (name) {
+        case "smtp":
+            return createSmtpTransport();
+        case "file":
+            return createFileTransport();
+        case "console":
+            return createConsoleTransport();
+        default:
+            throw new Error(`Unknown mail transport: ${name}`);
+    }
+}
+
+module.exports = { createMailTransport };
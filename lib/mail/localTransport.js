@@ -0,0 +1,30 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+
+// 🔹 Local stand-ins for development: "console" logs each mail, "file" writes it as JSON to MAIL_OUTBOX_DIR
+function createConsoleTransport() {
+    return {
+        name: "console",
+        async send({ to, subject, text }) {
+            const messageId = `<${crypto.randomUUID()}@console>`;
+            console.log(`📧 Mail to ${to}: ${subject}\n${text || ""}`);
+            return { messageId };
+        },
+    };
+}
+
+function createFileTransport({ dir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), "outbox") } = {}) {
+    return {
+        name: "file",
+        async send(message) {
+            const messageId = `<${crypto.randomUUID()}@file>`;
+            await fs.mkdir(dir, { recursive: true });
+            const file = path.join(dir, `${Date.now()}-${messageId.slice(1, 9)}.json`);
+            await fs.writeFile(file, JSON.stringify({ messageId, ...message, sentAt: new Date() }, null, 2));
+            return { messageId };
+        },
+    };
+}
+
+module.exports = { createConsoleTransport, createFileTransport };
@@ -0,0 +1,28 @@
+const nodemailer = require("nodemailer");
+
+// 🔹 SMTP mail transport (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE)
+function createSmtpTransport({
+    host = process.env.SMTP_HOST,
+    port = Number(process.env.SMTP_PORT) || 587,
+    secure = process.env.SMTP_SECURE === "true",
+    user = process.env.SMTP_USER,
+    pass = process.env.SMTP_PASS,
+    from = process.env.MAIL_FROM,
+} = {}) {
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        ...(user ? { auth: { user, pass } } : {}),
+    });
+
+    return {
+        name: "smtp",
+        async send({ to, subject, html, text, headers }) {
+            const info = await transporter.sendMail({ from, to, subject, html, text, headers });
+            return { messageId: info.messageId };
+        },
+    };
+}
+
+module.exports = { createSmtpTransport };
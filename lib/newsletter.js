@@ -0,0 +1,64 @@
+const crypto = require("crypto");
+
+// 🔹 Newsletter tokens and campaign rendering
+
+// Unsubscribe links are signed with NEWSLETTER_SECRET, a key of its own (never the token-signing key).
+// There is no default: a known key would let anyone forge unsubscribe links for any address.
+const newsletterSecret = () => {
+    const value = process.env.NEWSLETTER_SECRET;
+    if (!value) throw new Error("NEWSLETTER_SECRET is required to sign unsubscribe links");
+    return value;
+};
+
+// Random opt-in token; only its hash is stored
+function createConfirmToken() {
+    const token = crypto.randomBytes(24).toString("base64url");
+    return { token, tokenHash: hashToken(token) };
+}
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// Signed, non-expiring unsubscribe signature for an email
+const unsubscribeSignature = (email) =>
+    crypto.createHmac("sha256", newsletterSecret()).update(`unsubscribe:${email.toLowerCase()}`).digest("base64url");
+
+function verifyUnsubscribeSignature(email, signature) {
+    if (!email || !signature) return false;
+    const expected = Buffer.from(unsubscribeSignature(String(email)));
+    const given = Buffer.from(String(signature));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+const unsubscribeUrl = (baseUrl, email) =>
+    `${baseUrl}/newsletter/unsubscribe?email=${encodeURIComponent(email)}&sig=${unsubscribeSignature(email)}`;
+
+const escapeHtml = (value) =>
+    String(value).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+// Personalize a campaign for one subscriber ({{name}} placeholder) and add the unsubscribe footer
+function renderCampaign(campaign, subscriber, baseUrl) {
+    const link = unsubscribeUrl(baseUrl, subscriber.email);
+    const name = subscriber.name || "there";
+
+    return {
+        to: subscriber.email,
+        subject: campaign.subject.replaceAll("{{name}}", name),
+        html: `${(campaign.html || "").replaceAll("{{name}}", escapeHtml(name))}
+<p style="font-size:12px;color:#888">Don't want these emails? <a href="${link}">Unsubscribe</a></p>`,
+        text: `${(campaign.text || "").replaceAll("{{name}}", name)}\n\nUnsubscribe: ${link}`,
+        headers: {
+            "List-Unsubscribe": `<${link}>`,
+            "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+        },
+    };
+}
+
+module.exports = {
+    newsletterSecret,
+    createConfirmToken,
+    hashToken,
+    unsubscribeUrl,
+    verifyUnsubscribeSignature,
+    renderCampaign,
+    escapeHtml,
+};
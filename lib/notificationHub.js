@@ -0,0 +1,39 @@
+// 🔹 In-process Server-Sent Events hub: open streams per user email
+function createNotificationHub({ heartbeatMs = 25000 } = {}) {
+    const streams = new Map(); // email → Set<res>
+
+    const write = (res, event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    return {
+        // Keep `res` open as an SSE stream until the client disconnects
+        subscribe(email, req, res) {
+            res.set({
+                "Content-Type": "text/event-stream",
+                "Cache-Control": "no-cache",
+                Connection: "keep-alive",
+                "X-Accel-Buffering": "no",
+            });
+            res.flushHeaders();
+            write(res, "ready", { connectedAt: new Date() });
+
+            if (!streams.has(email)) streams.set(email, new Set());
+            streams.get(email).add(res);
+
+            // comments keep proxies from closing idle connections
+            const heartbeat = setInterval(() => res.write(": ping\n\n"), heartbeatMs);
+
+            req.on("close", () => {
+                clearInterval(heartbeat);
+                const userStreams = streams.get(email);
+                userStreams?.delete(res);
+                if (userStreams?.size === 0) streams.delete(email);
+            });
+        },
+
+        publish(email, event, data) {
+            for (const res of streams.get(email) || []) write(res, event, data);
+        },
+    };
+}
+
+module.exports = { createNotificationHub };
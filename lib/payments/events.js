@@ -0,0 +1,19 @@
+// 🔹 Normalize provider webhook events into { type, intentId }
+// type is one of "succeeded" | "failed" | "refunded" (null for events we ignore)
+function normalizeEvent(event) {
+    const object = event?.data?.object || {};
+
+    switch (event?.type) {
+        case "payment_intent.succeeded":
+            return { type: "succeeded", intentId: object.id };
+        case "payment_intent.payment_failed":
+        case "payment_intent.canceled":
+            return { type: "failed", intentId: object.id };
+        case "charge.refunded":
+            return { type: "refunded", intentId: object.payment_intent };
+        default:
+            return { type: null, intentId: object.id || null };
+    }
+}
+
+module.exports = { normalizeEvent };
@@ -0,0 +1,52 @@
+const crypto = require("crypto");
+const { normalizeEvent } = require("./events");
+
+// 🔹 Offline stand-in for the payment provider (PAYMENT_PROVIDER=fake)
+// Webhooks use Stripe-shaped events signed with an HMAC of the raw body.
+function signFakeWebhook(rawBody, secret = process.env.FAKE_PAYMENT_WEBHOOK_SECRET) {
+    if (!secret) throw new Error("FAKE_PAYMENT_WEBHOOK_SECRET is required to sign fake webhooks");
+    return crypto.createHmac("sha256", secret).update(rawBody).digest("hex");
+}
+
+function createFakeProvider({ webhookSecret = process.env.FAKE_PAYMENT_WEBHOOK_SECRET } = {}) {
+    if (!webhookSecret) throw new Error("FAKE_PAYMENT_WEBHOOK_SECRET is required when PAYMENT_PROVIDER=fake");
+    const intents = new Map();
+
+    return {
+        name: "fake",
+        signatureHeader: "x-fake-signature",
+        intents,
+
+        async createIntent({ amount, currency, metadata }) {
+            const id = `pi_fake_${crypto.randomBytes(8).toString("hex")}`;
+            const intent = { id, amount, currency, metadata, status: "requires_payment_method" };
+            intents.set(id, intent);
+            return { id, clientSecret: `${id}_secret_${crypto.randomBytes(8).toString("hex")}`, status: intent.status };
+        },
+
+        async cancelIntent(intentId) {
+            const intent = intents.get(intentId);
+            // like Stripe: a paid intent can only be refunded
+            if (intent?.status === "succeeded") throw new Error("A succeeded payment intent can't be canceled");
+            if (intent) intent.status = "canceled";
+            return { id: intentId, status: "canceled" };
+        },
+
+        parseWebhook(rawBody, signature) {
+            const expected = Buffer.from(signFakeWebhook(rawBody, webhookSecret), "hex");
+            const given = Buffer.from(String(signature || ""), "hex");
+            if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+                throw new Error("Invalid webhook signature");
+            }
+            return normalizeEvent(JSON.parse(rawBody.toString("utf8")));
+        },
+
+        async refund(intentId, amount) {
+            const intent = intents.get(intentId);
+            if (intent) intent.status = "refunded";
+            return { id: `re_fake_${crypto.randomBytes(8).toString("hex")}`, status: "succeeded", amount };
+        },
+    };
+}
+
+module.exports = { createFakeProvider, signFakeWebhook };
@@ -0,0 +1,16 @@
+const { createStripeProvider } = require("./stripeProvider");
+const { createFakeProvider, signFakeWebhook } = require("./fakeProvider");
+
+// 🔹 Pick the payment provider adapter from PAYMENT_PROVIDER (stripe | fake)
+function createPaymentProvider(name = process.env.PAYMENT_PROVIDER || "stripe") {
+    switch (name) {
+        case "stripe":
+            return createStripeProvider();
+        case "fake":
+            return createFakeProvider();
+        default:
+            throw new Error(`Unknown payment provider: ${name}`);
+    }
+}
+
+module.exports = { createPaymentProvider, signFakeWebhook };
@@ -0,0 +1,48 @@
+const Stripe = require("stripe");
+const { normalizeEvent } = require("./events");
+
+// 🔹 Stripe implementation of the payment provider adapter
+function createStripeProvider({
+    secretKey = process.env.STRIPE_SECRET_KEY,
+    webhookSecret = process.env.STRIPE_WEBHOOK_SECRET,
+} = {}) {
+    // created lazily so a missing key only fails payment requests, not startup
+    let stripe;
+    const client = () => (stripe ||= new Stripe(secretKey));
+
+    return {
+        name: "stripe",
+        signatureHeader: "stripe-signature",
+
+        async createIntent({ amount, currency, metadata }) {
+            const intent = await client().paymentIntents.create({
+                amount: Math.round(amount * 100), // Stripe expects the smallest currency unit
+                currency,
+                metadata,
+                automatic_payment_methods: { enabled: true },
+            });
+            return { id: intent.id, clientSecret: intent.client_secret, status: intent.status };
+        },
+
+        async cancelIntent(intentId) {
+            const intent = await client().paymentIntents.cancel(intentId);
+            return { id: intent.id, status: intent.status };
+        },
+
+        // throws if the signature does not match
+        parseWebhook(rawBody, signature) {
+            const event = client().webhooks.constructEvent(rawBody, signature, webhookSecret);
+            return normalizeEvent(event);
+        },
+
+        async refund(intentId, amount) {
+            const refund = await client().refunds.create({
+                payment_intent: intentId,
+                ...(amount ? { amount: Math.round(amount * 100) } : {}),
+            });
+            return { id: refund.id, status: refund.status };
+        },
+    };
+}
+
+module.exports = { createStripeProvider };
@@ -0,0 +1,71 @@
+const { RateLimitError } = require("../errors");
+const { log } = require("../http");
+const { createMemoryStore } = require("./memoryStore");
+const { createMongoStore } = require("./mongoStore");
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// 🔹 Limits per route name: at most `perIp` requests per client IP and `perUser` per signed-in user
+// in each `windowMs` (a missing or 0 limit turns that check off)
+const DEFAULT_RATE_LIMITS = {
+    "testimonials.create": { windowMs: HOUR, perIp: 5 },
+    "newsletter.subscribe": { windowMs: HOUR, perIp: 5 },
+    "forum.create": { windowMs: HOUR, perIp: 20, perUser: 5 },
+    "reviews.create": { windowMs: HOUR, perIp: 30, perUser: 10 },
+    "forum.vote": { windowMs: MINUTE, perIp: 120, perUser: 30 },
+    "media.upload": { windowMs: HOUR, perIp: 60, perUser: 30 },
+};
+
+// RATE_LIMITS='{"forum.vote":{"perUser":60},"testimonials.create":{"windowMs":86400000}}' overrides single values
+function rateLimitsFromEnv(json = process.env.RATE_LIMITS) {
+    const overrides = json ? JSON.parse(json) : {};
+    const limits = { ...DEFAULT_RATE_LIMITS };
+    for (const [name, override] of Object.entries(overrides)) {
+        limits[name] = { ...limits[name], ...override };
+    }
+    return limits;
+}
+
+// 🔹 Pick the counter store from RATE_LIMIT_STORE (memory | mongo)
+function createRateLimitStore(db, name = process.env.RATE_LIMIT_STORE || "memory") {
+    switch (name) {
+        case "memory":
+            return createMemoryStore();
+        case "mongo":
+            return createMongoStore(db);
+        default:
+            throw new Error(`Unknown rate limit store: ${name}`);
+    }
+}
+
+// rateLimit("forum.create") → middleware; put it after verifyToken so signed-in users get their own counter.
+// Requests over the limit get 429 with Retry-After. A failing store lets requests through (logged).
+function createRateLimiter({ store, limits = DEFAULT_RATE_LIMITS }) {
+    return function rateLimit(name) {
+        const limit = limits[name];
+        if (!limit) throw new Error(`Unknown rate limit: ${name}`);
+
+        return async (req, res, next) => {
+            const checks = [];
+            if (limit.perIp) checks.push({ key: `${name}:ip:${req.ip}`, max: limit.perIp });
+            if (limit.perUser && req.decoded?.email) checks.push({ key: `${name}:user:${req.decoded.email}`, max: limit.perUser });
+
+            for (const { key, max } of checks) {
+                let hit;
+                try {
+                    hit = await store.hit(key, limit.windowMs);
+                } catch (err) {
+                    log("error", "rate limit store failed", { requestId: req.id, store: store.name, error: err.message });
+                    return next();
+                }
+                if (hit.count > max) {
+                    throw new RateLimitError(Math.max(Math.ceil((hit.resetAt.getTime() - Date.now()) / 1000), 1));
+                }
+            }
+            next();
+        };
+    };
+}
+
+module.exports = { DEFAULT_RATE_LIMITS, rateLimitsFromEnv, createRateLimitStore, createRateLimiter };
@@ -0,0 +1,29 @@
+// 🔹 Per-process fixed windows: fine for a single instance, each instance counts on its own otherwise
+function createMemoryStore({ sweepIntervalMs = 60 * 1000 } = {}) {
+    const windows = new Map();
+
+    // drop finished windows so idle keys don't pile up
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const [key, window] of windows) {
+            if (window.resetAt <= now) windows.delete(key);
+        }
+    }, sweepIntervalMs);
+    sweep.unref();
+
+    return {
+        name: "memory",
+        async hit(key, windowMs) {
+            const now = Date.now();
+            let window = windows.get(key);
+            if (!window || window.resetAt <= now) {
+                window = { count: 0, resetAt: now + windowMs };
+                windows.set(key, window);
+            }
+            window.count += 1;
+            return { count: window.count, resetAt: new Date(window.resetAt) };
+        },
+    };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,44 @@
+// 🔹 Fixed windows shared by every instance: one document per key, removed by a TTL index once it ends
+function createMongoStore(db, { collectionName = "rateLimits" } = {}) {
+    const collection = db.collection(collectionName);
+    let indexReady = null;
+
+    // one atomic upsert: start a new window when there is none or it ended, count the hit otherwise
+    const upsertHit = (key, windowMs) => {
+        const now = new Date();
+        const open = { $gt: ["$resetAt", now] };
+        return collection.findOneAndUpdate(
+            { _id: key },
+            [{
+                $set: {
+                    count: { $cond: [open, { $add: ["$count", 1] }, 1] },
+                    resetAt: { $cond: [open, "$resetAt", new Date(now.getTime() + windowMs)] },
+                },
+            }],
+            { upsert: true, returnDocument: "after" }
+        );
+    };
+
+    return {
+        name: "mongo",
+        async hit(key, windowMs) {
+            indexReady ||= collection.createIndex({ resetAt: 1 }, { expireAfterSeconds: 0 }).catch((err) => {
+                indexReady = null; // retried on the next hit
+                throw err;
+            });
+            await indexReady;
+
+            let window;
+            try {
+                window = await upsertHit(key, windowMs);
+            } catch (err) {
+                // two first hits raced on the upsert; the second one now finds the document
+                if (err.code !== 11000) throw err;
+                window = await upsertHit(key, windowMs);
+            }
+            return { count: window.count, resetAt: window.resetAt };
+        },
+    };
+}
+
+module.exports = { createMongoStore };
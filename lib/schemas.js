@@ -0,0 +1,384 @@
+// 🔹 Declared schemas for every collection written by the API (see lib/validation.js)
+const OBJECT_ID_STRING = /^[a-f\d]{24}$/i;
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const URL = /^https?:\/\/\S+$/;
+
+const ROLES = ["member", "trainer", "admin"];
+const DAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const trainerProfileFields = {
+    name: { type: "string", required: true, maxLength: 100 },
+    email: { type: "email" },
+    age: { type: "integer", min: 16, max: 100 },
+    // a media URL from POST /media, or an image hosted elsewhere
+    image: { type: "string", required: true, pattern: URL },
+    experience: { type: "number", required: true, min: 0, max: 80 },
+    details: { type: "string", maxLength: 2000 },
+    expertise: { type: "array", items: { type: "string" }, maxLength: 20 },
+    availableDays: { type: "array", items: { type: "string", enum: DAYS } },
+    availableSlots: { type: "array", items: { type: "string" }, maxLength: 20 },
+    socials: {
+        type: "object",
+        fields: {
+            facebook: { type: "string", maxLength: 300 },
+            instagram: { type: "string", maxLength: 300 },
+            linkedin: { type: "string", maxLength: 300 },
+        },
+    },
+    status: { type: "string", server: true, enum: ["pending", "approved", "rejected"] },
+    ratingAverage: { type: "number", server: true, min: 0, max: 5 },
+    ratingCount: { type: "integer", server: true, min: 0 },
+    timeZone: { type: "string", server: true, maxLength: 64 },
+    createdAt: { type: "date", server: true },
+};
+
+const schemas = {
+    user: {
+        collection: "users",
+        fields: {
+            email: { type: "email", required: true },
+            name: { type: "string", maxLength: 100 },
+            photoURL: { type: "string", pattern: URL },
+            bio: { type: "string", maxLength: 1000 },
+            fitnessGoals: { type: "array", items: { type: "string", maxLength: 100 }, maxLength: 10 },
+            role: { type: "string", server: true, enum: ROLES },
+            status: { type: "string", server: true, enum: ["active", "deactivated"] },
+            lastLoginAt: { type: "date", server: true },
+            // follow-ups for admins, e.g. { type: "trainer-demoted", bookingId, outcome, at } when a booking was moved or cancelled
+            flags: { type: "array", server: true, items: { type: "object" } },
+            createdAt: { type: "date", server: true },
+        },
+    },
+
+    // request-only schema: what a user may change on their own profile (PATCH /users/me)
+    userProfile: {
+        fields: {
+            name: { type: "string", maxLength: 100 },
+            photoURL: { type: "string", pattern: URL },
+            bio: { type: "string", maxLength: 1000 },
+            fitnessGoals: { type: "array", items: { type: "string", maxLength: 100 }, maxLength: 10 },
+        },
+    },
+
+    class: {
+        collection: "classes",
+        fields: {
+            name: { type: "string", required: true, maxLength: 100 },
+            image: { type: "string", required: true, pattern: URL },
+            details: { type: "string", required: true, maxLength: 2000 },
+            category: { type: "string", maxLength: 50 },
+            totalBookings: { type: "integer", server: true, min: 0 },
+            trainerIds: { type: "array", server: true, items: { type: "objectId" } },
+            createdAt: { type: "date", server: true },
+        },
+    },
+
+    // Demoted trainers keep their profile as "archived" so a re-promotion can restore it
+    trainer: {
+        collection: "trainers",
+        fields: {
+            ...trainerProfileFields,
+            status: { type: "string", server: true, enum: ["approved", "archived"] },
+            archivedAt: { type: "date", server: true },
+            archivedBy: { type: "email", server: true },
+        },
+    },
+
+    // request-only schema: PATCH /trainers/:id/remove-trainer
+    trainerDemotion: {
+        fields: {
+            // move future bookings to this trainer's session of the same class at the same time when it has a seat
+            reassignTo: { type: "objectId" },
+            reason: { type: "string", maxLength: 500 },
+        },
+    },
+
+    trainerApplication: {
+        collection: "trainerApplications",
+        fields: {
+            ...trainerProfileFields,
+            email: { type: "email", server: true, storedRequired: true },
+            feedback: { type: "string", server: true },
+        },
+    },
+
+    // request-only schema: PATCH /trainers/applications/:id/confirm and /reject
+    applicationDecision: {
+        fields: {
+            // shown to the applicant
+            feedback: { type: "string", maxLength: 1000 },
+        },
+    },
+
+    slot: {
+        collection: "slots",
+        fields: {
+            day: { type: "string", required: true, enum: DAYS },
+            startTime: { type: "string", required: true, pattern: TIME },
+            endTime: { type: "string", required: true, pattern: TIME },
+            capacity: { type: "integer", required: true, min: 1, max: 100 },
+            classId: { type: "objectId", required: true },
+            trainerId: { type: "objectId", server: true, storedRequired: true },
+            bookedCount: { type: "integer", server: true, min: 0 },
+            // set while the trainer is demoted: no sessions are generated from it
+            archived: { type: "boolean", server: true },
+        },
+    },
+
+    // request-only schema: PATCH /trainers/:id/availability
+    trainerAvailability: {
+        fields: {
+            timeZone: { type: "string", required: true, maxLength: 64 },
+        },
+    },
+
+    // Days off / holidays: the whole day, or one weekly slot when slotId is set (dates are trainer-local)
+    availabilityException: {
+        collection: "availabilityExceptions",
+        fields: {
+            startDate: { type: "string", required: true, pattern: DATE },
+            endDate: { type: "string", pattern: DATE },
+            slotId: { type: "objectId" },
+            reason: { type: "string", maxLength: 200 },
+            trainerId: { type: "objectId", server: true, storedRequired: true },
+            createdAt: { type: "date", server: true },
+        },
+    },
+
+    // Dated instances of a weekly slot, generated by the server (see services/sessions.js)
+    session: {
+        collection: "sessions",
+        fields: {
+            trainerId: { type: "objectId", server: true, storedRequired: true },
+            slotId: { type: "objectId", server: true, storedRequired: true },
+            classId: { type: "objectId", server: true },
+            date: { type: "string", server: true, storedRequired: true, pattern: DATE },
+            startsAt: { type: "date", server: true, storedRequired: true },
+            endsAt: { type: "date", server: true },
+            timeZone: { type: "string", server: true },
+            capacity: { type: "integer", server: true, min: 1 },
+            bookedCount: { type: "integer", server: true, min: 0 },
+            status: { type: "string", server: true, enum: ["scheduled", "cancelled"] },
+        },
+    },
+
+    booking: {
+        collection: "bookings",
+        fields: {
+            trainerId: { type: "string", required: true, pattern: OBJECT_ID_STRING },
+            sessionId: { type: "objectId", required: true },
+            // set from the session (bookings made before sessions existed only have a slotId)
+            slotId: { type: "objectId", server: true },
+            // the plan to buy when the member has no active plan (packageName: plan name, for older clients)
+            planId: { type: "objectId" },
+            packageName: { type: "string", maxLength: 50 },
+            membershipId: { type: "objectId", server: true },
+            userEmail: { type: "email", server: true, storedRequired: true },
+            price: { type: "number", server: true, min: 0 },
+            status: { type: "string", server: true, enum: ["pending", "paid", "failed", "cancelled", "refunding", "refunded"] },
+            createdAt: { type: "date", server: true },
+        },
+    },
+
+    // Admin-managed; members buy one and book sessions against it (see services/memberships.js)
+    plan: {
+        collection: "plans",
+        fields: {
+            name: { type: "string", required: true, maxLength: 50 },
+            description: { type: "string", maxLength: 1000 },
+            price: { type: "number", required: true, min: 0, max: 100000 },
+            includedSessions: { type: "integer", required: true, min: 1, max: 1000 },
+            durationDays: { type: "integer", required: true, min: 1, max: 3650 },
+            // classes the plan gives access to; empty means all classes
+            classIds: { type: "array", items: { type: "objectId" }, maxLength: 100 },
+            active: { type: "boolean", server: true },
+            createdAt: { type: "date", server: true },
+        },
+    },
+
+    membership: {
+        collection: "memberships",
+        fields: {
+            userEmail: { type: "email", server: true, storedRequired: true },
+            planId: { type: "objectId", server: true, storedRequired: true },
+            price: { type: "number", server: true, min: 0 },
+            includedSessions: { type: "integer", server: true, min: 1 },
+            sessionsUsed: { type: "integer", server: true, min: 0 },
+            durationDays: { type: "integer", server: true, min: 1 },
+            status: { type: "string", server: true, enum: ["pending", "active", "failed", "cancelled", "refunding", "refunded"] },
+            startsAt: { type: "date", server: true },
+            expiresAt: { type: "date", server: true },
+            createdAt: { type: "date", server: true },
+        },
+    },
+
+    // request-only schema (no collection)
+    bookingReschedule: {
+        fields: {
+            sessionId: { type: "objectId", required: true },
+        },
+    },
+
+    review: {
+        collection: "reviews",
+        fields: {
+            bookingId: { type: "objectId", required: true },
+            rating: { type: "integer", required: true, min: 1, max: 5 },
+            comment: { type: "string", required: true, maxLength: 1000 },
+            trainerId: { type: "string", server: true, pattern: OBJECT_ID_STRING },
+            userEmail: { type: "email", server: true },
+            status: { type: "string", server: true, enum: ["visible", "hidden"] },
+            createdAt: { type: "date", server: true },
+        },
+    },
+
+    forumPost: {
+        collection: "forum",
+        fields: {
+            title: { type: "string", required: true, maxLength: 200 },
+            content: { type: "string", required: true, maxLength: 10000 },
+            image: { type: "string", pattern: URL },
+            authorEmail: { type: "email", server: true },
+            upvotes: { type: "integer", server: true, min: 0 },
+            downvotes: { type: "integer", server: true, min: 0 },
+            score: { type: "integer", server: true },
+            status: { type: "string", server: true, enum: ["visible", "hidden"] },
+            locked: { type: "boolean", server: true },
+            // normalized title + content, for the duplicate check (lib/spam.js)
+            contentHash: { type: "string", server: true },
+            createdAt: { type: "date", server: true },
+        },
+    },
+
+    forumComment: {
+        collection: "forumComments",
+        fields: {
+            content: { type: "string", required: true, maxLength: 5000 },
+            parentId: { type: "objectId" },
+            postId: { type: "objectId", server: true, storedRequired: true },
+            authorEmail: { type: "email", server: true, storedRequired: true },
+            status: { type: "string", server: true, enum: ["visible", "hidden", "deleted"] },
+            createdAt: { type: "date", server: true },
+        },
+    },
+
+    forumReport: {
+        collection: "forumReports",
+        fields: {
+            reason: { type: "string", required: true, maxLength: 500 },
+            targetType: { type: "string", server: true, enum: ["post", "comment"] },
+            targetId: { type: "objectId", server: true, storedRequired: true },
+            reporterEmail: { type: "email", server: true, storedRequired: true },
+            status: { type: "string", server: true, enum: ["open", "resolved"] },
+        },
+    },
+
+    forumVote: {
+        collection: "forumVotes",
+        fields: {
+            voteType: { type: "string", required: true, enum: ["up", "down"] },
+            postId: { type: "objectId", server: true, storedRequired: true },
+            userEmail: { type: "email", server: true, storedRequired: true },
+        },
+    },
+
+    // Uploaded images (POST /media); everything is set by the server
+    media: {
+        collection: "media",
+        fields: {
+            ownerEmail: { type: "email", server: true, storedRequired: true },
+            originalName: { type: "string", server: true },
+            contentType: { type: "string", server: true, enum: ["image/jpeg", "image/png", "image/webp"] },
+            width: { type: "integer", server: true, min: 1 },
+            height: { type: "integer", server: true, min: 1 },
+            size: { type: "integer", server: true, min: 0 },
+            // { original, thumb }: each { key, contentType, width, height, size }
+            variants: { type: "object", server: true },
+            // "<type>:<id>" of the documents using it (services/media.js)
+            refs: { type: "array", server: true, items: { type: "string" } },
+            createdAt: { type: "date", server: true },
+            updatedAt: { type: "date", server: true },
+        },
+    },
+
+    testimonial: {
+        collection: "testimonials",
+        fields: {
+            name: { type: "string", required: true, maxLength: 100 },
+            review: { type: "string", required: true, maxLength: 1000 },
+            role: { type: "string", maxLength: 100 },
+            contentHash: { type: "string", server: true },
+            createdAt: { type: "date", server: true },
+        },
+    },
+
+    subscriber: {
+        collection: "subscriber",
+        fields: {
+            name: { type: "string", required: true, maxLength: 100 },
+            email: { type: "email", required: true },
+            status: { type: "string", server: true, enum: ["pending", "confirmed", "unsubscribed"] },
+            createdAt: { type: "date", server: true },
+        },
+    },
+
+    campaign: {
+        collection: "campaigns",
+        fields: {
+            subject: { type: "string", required: true, maxLength: 200 },
+            html: { type: "string", maxLength: 100000 },
+            text: { type: "string", maxLength: 50000 },
+            status: { type: "string", server: true, enum: ["draft", "scheduled", "sending", "sent", "failed"] },
+            scheduledAt: { type: "date", server: true },
+            createdAt: { type: "date", server: true },
+        },
+    },
+
+    // request-only schema: POST /newsletter/campaigns/:id/schedule
+    campaignSchedule: {
+        fields: {
+            scheduledAt: { type: "date", required: true },
+        },
+    },
+
+    // Written only by services/audit.js, never updated
+    auditEntry: {
+        collection: "auditLog",
+        fields: {
+            at: { type: "date", server: true, storedRequired: true },
+            action: { type: "string", server: true, storedRequired: true },
+            actor: { type: "object", server: true, storedRequired: true },
+            target: { type: "object", server: true, storedRequired: true },
+            changes: { type: "object", server: true },
+            requestId: { type: "string", server: true },
+        },
+    },
+
+    workout: {
+        collection: "workouts",
+        fields: {
+            exercise: { type: "string", required: true, maxLength: 100 },
+            sets: { type: "integer", min: 1, max: 100 },
+            reps: { type: "integer", min: 0, max: 1000 },
+            weight: { type: "number", min: 0, max: 1000 }, // kg
+            duration: { type: "number", min: 0, max: 1440 }, // minutes
+            calories: { type: "number", min: 0, max: 20000 },
+            performedAt: { type: "date" },
+            notes: { type: "string", maxLength: 1000 },
+            userId: { type: "objectId", server: true, storedRequired: true },
+        },
+    },
+
+    bodyMetric: {
+        collection: "bodyMetrics",
+        fields: {
+            weight: { type: "number", min: 20, max: 500 }, // kg
+            bodyFat: { type: "number", min: 2, max: 70 }, // percent
+            measuredAt: { type: "date" },
+            userId: { type: "objectId", server: true, storedRequired: true },
+        },
+    },
+};
+
+module.exports = { schemas, ROLES, DAYS };
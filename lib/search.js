@@ -0,0 +1,55 @@
+const { escapeHtml } = require("./newsletter");
+const { ValidationError } = require("./errors");
+
+// 🔎 Helpers for user-supplied search input
+// Nothing from the query string ever reaches $regex unescaped; full-text search goes through $text.
+
+const MAX_QUERY_LENGTH = 100;
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Normalise ?q= for $text and pull out the positive terms used for highlighting.
+// Returns null for an empty query; throws a ValidationError (400) on oversized input.
+function parseSearchQuery(raw) {
+    const search = String(raw ?? "").replace(/\s+/g, " ").trim();
+    if (!search) return null;
+    if (search.length > MAX_QUERY_LENGTH) {
+        throw new ValidationError(`Search query must be at most ${MAX_QUERY_LENGTH} characters`);
+    }
+
+    // "-word" excludes in $text, so it is not highlighted; quoted phrases highlight word by word
+    const terms = search
+        .split(" ")
+        .filter((word) => !word.startsWith("-"))
+        .flatMap((word) => word.toLowerCase().split(/[^\p{L}\p{N}_]+/u))
+        .filter(Boolean);
+
+    return { search, terms: [...new Set(terms)] };
+}
+
+// Snippet of `text` around the first matching term, HTML-escaped, with every match wrapped in <mark>.
+// Words are matched by prefix since $text stems ("run" also matches "running").
+function highlight(text, terms, radius = 60) {
+    if (text === undefined || text === null || !terms.length) return null;
+    const source = Array.isArray(text) ? text.join(", ") : String(text);
+
+    const pattern = new RegExp(`\\b(?:${terms.map(escapeRegex).join("|")})\\w*`, "gi");
+    const first = source.search(pattern);
+    if (first === -1) return null;
+
+    const start = Math.max(0, first - radius);
+    const end = Math.min(source.length, first + radius * 2);
+    const snippet = source.slice(start, end);
+
+    let html = "";
+    let last = 0;
+    for (const match of snippet.matchAll(pattern)) {
+        html += escapeHtml(snippet.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+        last = match.index + match[0].length;
+    }
+    html += escapeHtml(snippet.slice(last));
+
+    return `${start > 0 ? "…" : ""}${html}${end < source.length ? "…" : ""}`;
+}
+
+module.exports = { escapeRegex, parseSearchQuery, highlight, MAX_QUERY_LENGTH };
@@ -0,0 +1,34 @@
+const crypto = require("crypto");
+const { ValidationError } = require("./errors");
+const { log } = require("./http");
+
+// 🔹 Spam checks for public submissions (testimonials, forum posts)
+
+// Hidden form field: people never see it, form-filling bots do
+const HONEYPOT_FIELD = "website";
+
+// The same text posted again within this window is a duplicate
+const DUPLICATE_WINDOW_HOURS = Number(process.env.DUPLICATE_WINDOW_HOURS) || 24;
+
+// Reject submissions that filled the honeypot. Must run before validateBody, which strips unknown fields.
+const honeypot = (field = HONEYPOT_FIELD) => (req, res, next) => {
+    if (req.body?.[field]) {
+        log("warn", "honeypot filled", { requestId: req.id, path: req.originalUrl.split("?")[0], ip: req.ip });
+        throw new ValidationError("Submission rejected");
+    }
+    next();
+};
+
+// Case, whitespace and punctuation don't make a post new
+const normalize = (text = "") => text.toLowerCase().replace(/[\s\p{P}]+/gu, " ").trim();
+
+const contentHash = (...parts) =>
+    crypto.createHash("sha256").update(parts.map(normalize).join("\n")).digest("hex");
+
+// Filter for an earlier document with the same contentHash inside the duplicate window
+const recentDuplicateFilter = (hash) => ({
+    contentHash: hash,
+    createdAt: { $gt: new Date(Date.now() - DUPLICATE_WINDOW_HOURS * 60 * 60 * 1000) },
+});
+
+module.exports = { HONEYPOT_FIELD, DUPLICATE_WINDOW_HOURS, honeypot, contentHash, recentDuplicateFilter };
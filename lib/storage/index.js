@@ -0,0 +1,17 @@
+const { createLocalStorage } = require("./localStorage");
+const { createS3Storage } = require("./s3Storage");
+
+// 🔹 Pick the media storage adapter from MEDIA_STORAGE (local | s3).
+// Adapters store opaque keys: put(key, body, contentType), get(key) → Buffer, delete(key), publicUrl(key) → URL | null
+function createStorage(name = process.env.MEDIA_STORAGE || "local") {
+    switch (name) {
+        case "local":
+            return createLocalStorage();
+        case "s3":
+            return createS3Storage();
+        default:
+            throw new Error(`Unknown media storage: ${name}`);
+    }
+}
+
+module.exports = { createStorage };
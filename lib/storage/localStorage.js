@@ -0,0 +1,38 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// 🔹 Files on the local disk under MEDIA_DIR; the API serves them itself (GET /media/:id)
+function createLocalStorage({ dir = process.env.MEDIA_DIR || path.join(process.cwd(), "uploads") } = {}) {
+    // keys are generated by the server, but never let one escape the media directory
+    const fileFor = (key) => {
+        const file = path.resolve(dir, key);
+        if (!file.startsWith(path.resolve(dir) + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+        return file;
+    };
+
+    return {
+        name: "local",
+
+        async put(key, body) {
+            const file = fileFor(key);
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, body);
+        },
+
+        async get(key) {
+            return fs.readFile(fileFor(key));
+        },
+
+        // deleting a missing file is not an error
+        async delete(key) {
+            await fs.rm(fileFor(key), { force: true });
+        },
+
+        // no public URL: the file is streamed through the API
+        publicUrl() {
+            return null;
+        },
+    };
+}
+
+module.exports = { createLocalStorage };
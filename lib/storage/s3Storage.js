@@ -0,0 +1,50 @@
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require("@aws-sdk/client-s3");
+
+// 🔹 S3-compatible object storage (AWS S3, Cloudflare R2, MinIO, ...).
+// S3_ENDPOINT is only needed for non-AWS services; S3_PUBLIC_URL lets clients fetch objects directly
+// (a public bucket or CDN), otherwise the API streams them.
+function createS3Storage({
+    bucket = process.env.S3_BUCKET,
+    region = process.env.S3_REGION || "us-east-1",
+    endpoint = process.env.S3_ENDPOINT,
+    accessKeyId = process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+    publicBaseUrl = process.env.S3_PUBLIC_URL,
+} = {}) {
+    // created lazily so missing settings only fail media requests, not startup
+    let s3;
+    const client = () => (s3 ||= new S3Client({
+        region,
+        ...(endpoint ? { endpoint, forcePathStyle: true } : {}),
+        ...(accessKeyId ? { credentials: { accessKeyId, secretAccessKey } } : {}),
+    }));
+
+    return {
+        name: "s3",
+
+        async put(key, body, contentType) {
+            await client().send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: body,
+                ContentType: contentType,
+                CacheControl: "public, max-age=31536000, immutable",
+            }));
+        },
+
+        async get(key) {
+            const object = await client().send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+            return Buffer.from(await object.Body.transformToByteArray());
+        },
+
+        async delete(key) {
+            await client().send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        },
+
+        publicUrl(key) {
+            return publicBaseUrl ? `${publicBaseUrl.replace(/\/$/, "")}/${key}` : null;
+        },
+    };
+}
+
+module.exports = { createS3Storage };
@@ -0,0 +1,57 @@
+const crypto = require("crypto");
+
+// 🔹 Local stand-in for Firebase ID tokens (HS256 JWT signed with LOCAL_AUTH_SECRET)
+// Used when AUTH_PROVIDER=local so the API can be exercised without live Firebase.
+const base64url = (input) => Buffer.from(input).toString("base64url");
+
+function signLocalToken(claims, secret = process.env.LOCAL_AUTH_SECRET, expiresInSec = 3600) {
+    if (!secret) throw new Error("LOCAL_AUTH_SECRET is required to sign local tokens");
+
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+    const payload = base64url(JSON.stringify({ iat: now, exp: now + expiresInSec, ...claims }));
+    const signature = crypto.createHmac("sha256", secret).update(`${header}.${payload}`).digest("base64url");
+
+    return `${header}.${payload}.${signature}`;
+}
+
+function createLocalVerifier(secret = process.env.LOCAL_AUTH_SECRET) {
+    if (!secret) throw new Error("LOCAL_AUTH_SECRET is required when AUTH_PROVIDER=local");
+
+    return async (token) => {
+        const [header, payload, signature] = String(token).split(".");
+        if (!header || !payload || !signature) throw new Error("Malformed token");
+
+        const expected = crypto.createHmac("sha256", secret).update(`${header}.${payload}`).digest();
+        const given = Buffer.from(signature, "base64url");
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            throw new Error("Invalid token signature");
+        }
+
+        const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+        if (claims.exp && claims.exp < Math.floor(Date.now() / 1000)) {
+            throw new Error("Token expired");
+        }
+        return claims;
+    };
+}
+
+// 🔹 Firebase Admin verifier (service account JSON, base64 encoded in FIREBASE_SERVICE_KEY)
+function createFirebaseVerifier() {
+    const admin = require("firebase-admin");
+
+    return async (token) => {
+        // initialize lazily so a missing key only fails authenticated requests
+        if (!admin.apps.length) {
+            const decoded = Buffer.from(process.env.FIREBASE_SERVICE_KEY || "", "base64").toString("utf8");
+            admin.initializeApp({ credential: admin.credential.cert(JSON.parse(decoded)) });
+        }
+        return admin.auth().verifyIdToken(token);
+    };
+}
+
+function createTokenVerifier() {
+    return process.env.AUTH_PROVIDER === "local" ? createLocalVerifier() : createFirebaseVerifier();
+}
+
+module.exports = { createTokenVerifier, createLocalVerifier, signLocalToken };
@@ -0,0 +1,177 @@
+const { ObjectId } = require("mongodb");
+const { ValidationError } = require("./errors");
+const { log } = require("./http");
+
+// 🔹 Small declarative schema layer shared by request validation and MongoDB $jsonSchema validators
+//
+// A schema is { collection, fields } where each field is
+//   { type, required, server, enum, min, max, minLength, maxLength, pattern, items, fields }
+// type: string | email | number | integer | boolean | date | objectId | array | object
+// server: true marks fields the server sets itself; clients can't write them (they're stripped).
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// ISO 8601 date or date-time ("2024-05-01", "2024-05-01T18:30:00.000Z", "2024-05-01T18:30+02:00")
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+const BSON_TYPES = {
+    string: "string",
+    email: "string",
+    number: "number",
+    integer: ["int", "long"],
+    boolean: "bool",
+    date: "date",
+    objectId: "objectId",
+    array: "array",
+    object: "object",
+};
+
+// Check (and lightly coerce) one value. Returns { value } or { error }.
+function checkValue(rule, value) {
+    switch (rule.type) {
+        case "string":
+        case "email":
+            if (typeof value !== "string") return { error: "must be a string" };
+            value = value.trim();
+            if (rule.type === "email" && !EMAIL_PATTERN.test(value)) return { error: "must be a valid email" };
+            break;
+        case "number":
+        case "integer":
+            // form inputs often arrive as numeric strings
+            if (typeof value === "string" && value.trim() !== "") value = Number(value);
+            if (typeof value !== "number" || !Number.isFinite(value)) return { error: "must be a number" };
+            if (rule.type === "integer" && !Number.isInteger(value)) return { error: "must be an integer" };
+            break;
+        case "boolean":
+            if (typeof value !== "boolean") return { error: "must be a boolean" };
+            break;
+        case "date": {
+            // new Date() would also take booleans, numbers and free-form text, and roll Feb 30 over to March
+            const text = typeof value === "string" ? value.trim() : "";
+            if (!DATE_PATTERN.test(text)) return { error: "must be an ISO 8601 date" };
+            const [year, month, day] = text.slice(0, 10).split("-").map(Number);
+            const calendarDay = new Date(Date.UTC(year, month - 1, day));
+            value = new Date(text);
+            if (Number.isNaN(value.getTime()) || calendarDay.getUTCMonth() !== month - 1 || calendarDay.getUTCDate() !== day) {
+                return { error: "must be a valid date" };
+            }
+            break;
+        }
+        case "objectId":
+            if (!ObjectId.isValid(value)) return { error: "must be a valid id" };
+            value = new ObjectId(value);
+            break;
+        case "array": {
+            if (!Array.isArray(value)) return { error: "must be an array" };
+            if (rule.items) {
+                const items = [];
+                for (const [i, item] of value.entries()) {
+                    const checked = checkValue(rule.items, item);
+                    if (checked.error) return { error: `item ${i} ${checked.error}` };
+                    items.push(checked.value);
+                }
+                value = items;
+            }
+            break;
+        }
+        case "object":
+            if (!value || typeof value !== "object" || Array.isArray(value)) return { error: "must be an object" };
+            break;
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) return { error: `must be one of ${rule.enum.join(", ")}` };
+    if (rule.min !== undefined && value < rule.min) return { error: `must be at least ${rule.min}` };
+    if (rule.max !== undefined && value > rule.max) return { error: `must be at most ${rule.max}` };
+    if (rule.minLength !== undefined && value.length < rule.minLength) return { error: `must have at least ${rule.minLength} characters` };
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) return { error: `must have at most ${rule.maxLength} characters` };
+    if (rule.pattern && !rule.pattern.test(value)) return { error: "has an invalid format" };
+
+    return { value };
+}
+
+// Validate client input against a schema's client-writable fields.
+// Unknown and server-managed fields are dropped. `partial` skips required checks (PATCH).
+function validate(fields, input, { partial = false, prefix = "" } = {}) {
+    const value = {};
+    const errors = [];
+    const body = input && typeof input === "object" ? input : {};
+
+    for (const [name, rule] of Object.entries(fields)) {
+        if (rule.server) continue;
+
+        const path = prefix + name;
+        const raw = body[name];
+
+        if (raw === undefined || raw === null || raw === "") {
+            if (rule.required && !partial) errors.push({ field: path, message: "is required" });
+            continue;
+        }
+
+        const checked = checkValue(rule, raw);
+        if (checked.error) {
+            errors.push({ field: path, message: checked.error });
+            continue;
+        }
+
+        if (rule.type === "object" && rule.fields) {
+            const nested = validate(rule.fields, checked.value, { partial, prefix: `${path}.` });
+            errors.push(...nested.errors);
+            value[name] = nested.value;
+        } else {
+            value[name] = checked.value;
+        }
+    }
+
+    return { value, errors };
+}
+
+// Express middleware: replace req.body with the cleaned value or answer 400 with the failing fields
+const validateBody = (schema, options) => (req, res, next) => {
+    const { value, errors } = validate(schema.fields, req.body, options);
+    if (errors.length) {
+        return next(new ValidationError("Validation failed", errors));
+    }
+    req.body = value;
+    next();
+};
+
+// Convert a schema into a MongoDB $jsonSchema (stored documents may carry extra fields)
+function toJsonSchema(fields) {
+    const properties = {};
+    const required = [];
+
+    for (const [name, rule] of Object.entries(fields)) {
+        const property = { bsonType: BSON_TYPES[rule.type] };
+        if (rule.enum) property.enum = rule.enum;
+        if (rule.min !== undefined) property.minimum = rule.min;
+        if (rule.max !== undefined) property.maximum = rule.max;
+        if (rule.minLength !== undefined) property[rule.type === "array" ? "minItems" : "minLength"] = rule.minLength;
+        if (rule.maxLength !== undefined) property[rule.type === "array" ? "maxItems" : "maxLength"] = rule.maxLength;
+        if (rule.pattern) property.pattern = rule.pattern.source;
+        if (rule.items) property.items = { bsonType: BSON_TYPES[rule.items.type] };
+        if (rule.fields) Object.assign(property, toJsonSchema(rule.fields));
+
+        properties[name] = property;
+        if (rule.required || rule.storedRequired) required.push(name);
+    }
+
+    return { bsonType: "object", ...(required.length ? { required } : {}), properties };
+}
+
+// Install every schema as its collection's validator (moderate: legacy documents stay editable)
+async function installValidators(db, schemas) {
+    for (const schema of Object.values(schemas)) {
+        if (!schema.collection) continue; // request-only schema
+        const validator = { $jsonSchema: toJsonSchema(schema.fields) };
+        try {
+            await db.command({ collMod: schema.collection, validator, validationLevel: "moderate" });
+        } catch (err) {
+            if (err.codeName !== "NamespaceNotFound") {
+                log("warn", "validator not installed", { collection: schema.collection, error: err.message });
+                continue;
+            }
+            await db.createCollection(schema.collection, { validator, validationLevel: "moderate" });
+        }
+    }
+}
+
+module.exports = { validate, validateBody, toJsonSchema, installValidators };
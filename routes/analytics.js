@@ -0,0 +1,162 @@
+const express = require("express");
+const { parseDateRange } = require("../lib/listQuery");
+const { ValidationError } = require("../lib/errors");
+
+// 🔹 Admin analytics
+module.exports = async function createAnalyticsRouter({ db, auth: { verifyToken, verifyRole } }) {
+    const router = express.Router();
+    const usersCollection = db.collection("users");
+    const bookingsCollection = db.collection("bookings");
+    const subscribersCollection = db.collection("subscriber");
+    const applicationsCollection = db.collection("trainerApplications");
+
+    // 📊 ADMIN ANALYTICS
+    // Every endpoint accepts ?from=&to= (ISO dates) and filters on createdAt
+    const withDateRange = (req, res, next) => {
+        const dateFilter = parseDateRange(req.query);
+        if (!dateFilter) throw new ValidationError("from and to must be valid dates");
+        req.dateFilter = dateFilter;
+        next();
+    };
+
+    const adminAnalytics = [verifyToken, verifyRole("admin"), withDateRange];
+
+    // Money that was collected: paid bookings, plus plan purchases cancelled while the member kept the plan
+    const collectedFilter = { $or: [{ status: "paid" }, { planRetained: true }] };
+
+    // legacy bookings may hold the price as a string
+    const priceAsNumber = { $convert: { input: "$price", to: "double", onError: 0, onNull: 0 } };
+
+    // ✅ Revenue: total, per trainer, per class and per month
+    router.get("/admin/analytics/revenue", ...adminAnalytics, async (req, res) => {
+        const [result] = await bookingsCollection.aggregate([
+            { $match: { ...collectedFilter, ...req.dateFilter } },
+            { $addFields: { amount: priceAsNumber } },
+            {
+                $facet: {
+                    total: [{ $group: { _id: null, revenue: { $sum: "$amount" }, bookings: { $sum: 1 } } }],
+                    byTrainer: [
+                        { $group: { _id: "$trainerId", trainerName: { $first: "$trainerName" }, revenue: { $sum: "$amount" }, bookings: { $sum: 1 } } },
+                        { $sort: { revenue: -1 } },
+                    ],
+                    byClass: [
+                        { $match: { "slot.classId": { $exists: true } } },
+                        { $group: { _id: "$slot.classId", className: { $first: "$slot.className" }, revenue: { $sum: "$amount" }, bookings: { $sum: 1 } } },
+                        { $sort: { revenue: -1 } },
+                    ],
+                    byMonth: [
+                        { $group: { _id: { $dateToString: { format: "%Y-%m", date: "$createdAt" } }, revenue: { $sum: "$amount" }, bookings: { $sum: 1 } } },
+                        { $sort: { _id: 1 } },
+                        { $project: { _id: 0, month: "$_id", revenue: 1, bookings: 1 } },
+                    ],
+                },
+            },
+        ]).toArray();
+
+        res.json({
+            totalRevenue: result.total[0]?.revenue || 0,
+            totalBookings: result.total[0]?.bookings || 0,
+            byTrainer: result.byTrainer,
+            byClass: result.byClass,
+            byMonth: result.byMonth,
+        });
+    });
+
+    // ✅ Six most recent paid transactions
+    router.get("/admin/analytics/transactions/recent", ...adminAnalytics, async (req, res) => {
+        const transactions = await bookingsCollection.aggregate([
+            { $match: { ...collectedFilter, ...req.dateFilter } },
+            { $sort: { createdAt: -1 } },
+            { $limit: 6 },
+            {
+                $project: {
+                    userEmail: 1,
+                    userName: 1,
+                    trainerName: 1,
+                    packageName: 1,
+                    amount: priceAsNumber,
+                    currency: 1,
+                    paymentIntentId: 1,
+                    createdAt: 1,
+                },
+            },
+        ]).toArray();
+
+        res.json(transactions);
+    });
+
+    // ✅ Paying members vs newsletter subscribers
+    router.get("/admin/analytics/members-vs-subscribers", ...adminAnalytics, async (req, res) => {
+        const [paying] = await bookingsCollection.aggregate([
+            { $match: { ...collectedFilter, ...req.dateFilter } },
+            { $group: { _id: "$userEmail" } },
+            { $count: "count" },
+        ]).toArray();
+
+        // pending (never confirmed) and unsubscribed addresses don't receive the newsletter
+        const [subscribers] = await subscribersCollection.aggregate([
+            { $match: { status: "confirmed", ...req.dateFilter } },
+            { $count: "count" },
+        ]).toArray();
+
+        const [members] = await usersCollection.aggregate([
+            { $match: { role: "member" } },
+            { $count: "count" },
+        ]).toArray();
+
+        const payingMembers = paying?.count || 0;
+        const subscriberCount = subscribers?.count || 0;
+
+        res.json({
+            payingMembers,
+            subscribers: subscriberCount,
+            totalMembers: members?.count || 0,
+            ratio: subscriberCount ? payingMembers / subscriberCount : null,
+        });
+    });
+
+    // ✅ Booking counts over time (?interval=day|week|month, default day)
+    router.get("/admin/analytics/bookings", ...adminAnalytics, async (req, res) => {
+        const interval = req.query.interval || "day";
+        if (!["day", "week", "month"].includes(interval)) {
+            throw new ValidationError("interval must be one of day, week, month");
+        }
+
+        const series = await bookingsCollection.aggregate([
+            { $match: req.dateFilter },
+            {
+                $group: {
+                    _id: { $dateTrunc: { date: "$createdAt", unit: interval } },
+                    total: { $sum: 1 },
+                    paid: { $sum: { $cond: [{ $eq: ["$status", "paid"] }, 1, 0] } },
+                },
+            },
+            { $sort: { _id: 1 } },
+            { $project: { _id: 0, period: "$_id", total: 1, paid: 1 } },
+        ]).toArray();
+
+        res.json({ interval, series });
+    });
+
+    // ✅ Trainer application approval rates
+    router.get("/admin/analytics/applications", ...adminAnalytics, async (req, res) => {
+        const counts = await applicationsCollection.aggregate([
+            { $match: req.dateFilter },
+            { $group: { _id: "$status", count: { $sum: 1 } } },
+        ]).toArray();
+
+        const byStatus = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+        const approved = byStatus.approved || 0;
+        const rejected = byStatus.rejected || 0;
+        const decided = approved + rejected;
+
+        res.json({
+            pending: byStatus.pending || 0,
+            approved,
+            rejected,
+            approvalRate: decided ? approved / decided : null,
+        });
+    });
+
+    return router;
+};
@@ -0,0 +1,439 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { validateBody } = require("../lib/validation");
+const { schemas } = require("../lib/schemas");
+const { listRoute } = require("../lib/listQuery");
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require("../lib/errors");
+const { log } = require("../lib/http");
+const { sessionFields, sessionLabel } = require("../services/bookings");
+const { activeTrainerFilter } = require("../services/trainers");
+
+// 🔹 Bookings and payments
+module.exports = async function createBookingsRouter({
+    db,
+    paymentProvider,
+    audit,
+    backgroundJobs,
+    auth: { verifyToken, verifyRole, anyRole, isSelfOrAdmin, verifyTrainerOwner },
+    bookings: { transitionBooking, releaseSeat, adjustClassBookings, notifyTrainer, cancelBooking, expirePendingBookings },
+    memberships: {
+        currentMembership,
+        describeMembership,
+        coversClass,
+        useSession,
+        returnSession,
+        createPendingMembership,
+        activateMembership,
+        endMembership,
+    },
+}) {
+    const router = express.Router();
+    const trainersCollection = db.collection("trainers");
+    const sessionsCollection = db.collection("sessions");
+    const plansCollection = db.collection("plans");
+    const membershipsCollection = db.collection("memberships");
+    const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || "usd";
+
+    const bookingsCollection = db.collection("bookings");
+    await bookingsCollection.createIndex({ paymentIntentId: 1 }, { unique: true, sparse: true });
+    await bookingsCollection.createIndex({ status: 1, createdAt: 1 });
+    // one active booking per member per session (this used to be per weekly slot)
+    await bookingsCollection.dropIndex("userEmail_1_slotId_1").catch((err) => {
+        if (!["IndexNotFound", "NamespaceNotFound"].includes(err.codeName)) throw err;
+    });
+    await bookingsCollection.createIndex(
+        { userEmail: 1, sessionId: 1 },
+        { unique: true, partialFilterExpression: { sessionId: { $exists: true }, status: { $in: ["pending", "paid"] } } }
+    );
+
+    // ✅ Bookings saved before the payment flow used "success" for paid bookings
+    await bookingsCollection.updateMany({ status: "success" }, { $set: { status: "paid" } });
+    // ✅ "Latest changes first" sorts on updatedAt, which bookings used to get only when they changed
+    await bookingsCollection.updateMany({ updatedAt: { $exists: false } }, [{ $set: { updatedAt: "$createdAt" } }]);
+
+    // 🟢 Book a session. Prices come from the server-side plan, never from the client:
+    // a member with an active plan spends one of its sessions, anyone else buys a plan
+    // (planId, or packageName for older clients) and pays for it with this booking.
+    router.post("/payments", verifyToken, anyRole, validateBody(schemas.booking), async (req, res) => {
+        let reservedSession = null;
+        let usedMembership = null;
+        let pendingMembership = null;
+        let bookingSaved = false;
+        try {
+            const { trainerId, sessionId, planId, packageName } = req.body;
+            const userEmail = req.decoded.email;
+
+            const trainer = await trainersCollection.findOne({ _id: new ObjectId(trainerId), ...activeTrainerFilter });
+            if (!trainer) {
+                throw new NotFoundError("Trainer not found");
+            }
+
+            // ✅ Expired or used-up plans can't cover new bookings
+            const current = await currentMembership(userEmail);
+            const membership = current && describeMembership(current);
+            const covered = membership && !membership.expired && membership.remainingSessions > 0;
+
+            let plan = null;
+            if (!covered) {
+                if (!planId && !packageName) {
+                    if (membership?.expired) {
+                        throw new ForbiddenError(`Your plan expired on ${membership.expiresAt.toISOString().slice(0, 10)}, choose a plan to renew it`);
+                    }
+                    throw new ValidationError(membership ? "Your plan has no sessions left, choose a plan to continue" : "Choose a plan to book a session");
+                }
+                plan = await plansCollection.findOne({ ...(planId ? { _id: planId } : { name: packageName }), active: true });
+                if (!plan) throw new NotFoundError("Plan not found");
+            }
+
+            // ✅ Atomically reserve a seat in an upcoming session (only matches while bookedCount < capacity)
+            const sessionFilter = { _id: sessionId, trainerId: trainer._id, status: "scheduled", startsAt: { $gt: new Date() } };
+            reservedSession = await sessionsCollection.findOneAndUpdate(
+                { ...sessionFilter, $expr: { $lt: ["$bookedCount", "$capacity"] } },
+                { $inc: { bookedCount: 1 } },
+                { returnDocument: "after" }
+            );
+            if (!reservedSession) {
+                const exists = await sessionsCollection.countDocuments(sessionFilter);
+                throw exists ? new ConflictError("This session is fully booked") : new NotFoundError("Session not found or no longer bookable");
+            }
+            if (!coversClass(covered ? current : plan, reservedSession.classId)) {
+                throw new ForbiddenError(`The ${covered ? current.planName : plan.name} plan doesn't include this class`);
+            }
+
+            const now = new Date();
+            const booking = {
+                userEmail,
+                userName: req.user.name || req.decoded.name || "",
+                trainerId,
+                trainerName: trainer.name,
+                ...sessionFields(reservedSession),
+                currency: PAYMENT_CURRENCY,
+                createdAt: now,
+                updatedAt: now,
+            };
+
+            if (covered) {
+                usedMembership = await useSession(current._id);
+                if (!usedMembership) throw new ConflictError("Your plan changed, please retry");
+
+                const result = await bookingsCollection.insertOne({
+                    ...booking,
+                    planId: current.planId,
+                    packageName: current.planName,
+                    membershipId: current._id,
+                    price: 0,
+                    status: "paid",
+                    statusHistory: [{ status: "paid", at: now, note: "covered by plan" }],
+                });
+                bookingSaved = true;
+
+                if (reservedSession.classId) await adjustClassBookings(reservedSession.classId, 1);
+                await notifyTrainer({ ...booking, _id: result.insertedId }, {
+                    type: "booking.created",
+                    title: "New booking",
+                    message: `${booking.userName || userEmail} booked your ${sessionLabel(booking)} session (${current.planName}).`,
+                });
+
+                return res.status(201).json({
+                    message: "Session booked with your plan",
+                    bookingId: result.insertedId,
+                    membershipId: current._id,
+                    remainingSessions: describeMembership(usedMembership).remainingSessions,
+                    expiresAt: usedMembership.expiresAt,
+                });
+            }
+
+            const intent = await paymentProvider.createIntent({
+                amount: plan.price,
+                currency: PAYMENT_CURRENCY,
+                metadata: { trainerId, sessionId: sessionId.toString(), userEmail, planId: plan._id.toString() },
+            });
+
+            // ✅ Membership and booking stay pending until the provider confirms the payment
+            pendingMembership = await createPendingMembership(userEmail, plan, { currency: PAYMENT_CURRENCY, paymentIntentId: intent.id });
+            const result = await bookingsCollection.insertOne({
+                ...booking,
+                planId: plan._id,
+                packageName: plan.name,
+                membershipId: pendingMembership._id,
+                planPurchase: true,
+                price: plan.price,
+                paymentProvider: paymentProvider.name,
+                paymentIntentId: intent.id,
+                status: "pending",
+                statusHistory: [{ status: "pending", at: now }],
+            });
+            bookingSaved = true;
+
+            res.status(201).json({
+                message: "Payment intent created",
+                bookingId: result.insertedId,
+                membershipId: pendingMembership._id,
+                clientSecret: intent.clientSecret,
+                amount: plan.price,
+                currency: PAYMENT_CURRENCY,
+            });
+        } catch (err) {
+            if (!bookingSaved) {
+                if (reservedSession) await releaseSeat({ sessionId: reservedSession._id }).catch(() => {});
+                if (usedMembership) await returnSession(usedMembership._id).catch(() => {});
+                if (pendingMembership) await membershipsCollection.deleteOne({ _id: pendingMembership._id, status: "pending" }).catch(() => {});
+            }
+
+            if (err.code === 11000) {
+                throw new ConflictError("You have already booked this session");
+            }
+            throw err;
+        }
+    });
+
+    // 🟢 Payment provider webhook (signature checked against the raw body)
+    router.post("/payments/webhook", async (req, res) => {
+        let event;
+        try {
+            event = paymentProvider.parseWebhook(req.rawBody || Buffer.from(""), req.headers[paymentProvider.signatureHeader]);
+        } catch (err) {
+            log("warn", "invalid payment webhook", { requestId: req.id, error: err.message });
+            throw new ValidationError("Invalid webhook signature");
+        }
+
+        const status = { succeeded: "paid", failed: "failed", refunded: "refunded" }[event.type];
+        if (status && event.intentId) {
+            const booking = await transitionBooking({ paymentIntentId: event.intentId }, status);
+
+            // ✅ A plan bought with the booking starts (or ends) with its payment
+            if (booking?.planPurchase) {
+                if (status === "paid") await activateMembership(booking.membershipId);
+                else await endMembership(booking.membershipId, status);
+            }
+
+            // ✅ A failed or refunded booking gives its seat back
+            if (booking && status !== "paid") await releaseSeat(booking);
+
+            // ✅ Class popularity follows real paid bookings
+            if (booking?.slot?.classId && status !== "failed") {
+                await adjustClassBookings(booking.slot.classId, status === "paid" ? 1 : -1);
+            }
+
+            if (booking && status === "paid") {
+                await notifyTrainer(booking, {
+                    type: "booking.created",
+                    title: "New booking",
+                    message: `${booking.userName || booking.userEmail} booked your ${sessionLabel(booking)} session (${booking.packageName}).`,
+                });
+            }
+        }
+        res.json({ received: true });
+    });
+
+    // 🟢 CANCEL / RESCHEDULE / REFUND
+    // Members may cancel or reschedule until BOOKING_CANCEL_WINDOW_HOURS before the session starts, admins until it starts
+    const CANCEL_WINDOW_HOURS = Number(process.env.BOOKING_CANCEL_WINDOW_HOURS) || 24;
+
+    // Load the booking and check the caller may change it
+    const loadOwnBooking = async (req) => {
+        const booking = await bookingsCollection.findOne({ _id: new ObjectId(req.params.id) });
+        if (!booking) throw new NotFoundError("Booking not found");
+        if (!isSelfOrAdmin(req, booking.userEmail)) throw new ForbiddenError();
+        return booking;
+    };
+
+    // `action` is "cancelled" or "rescheduled". Bookings made before sessions existed have no start date: admins only.
+    const checkChangeable = (req, booking, action) => {
+        const startsAt = booking.session?.startsAt;
+        if (startsAt && startsAt <= new Date()) {
+            throw new ConflictError(`This session has already started and can't be ${action}`);
+        }
+        if (req.user.role === "admin") return;
+
+        if (!startsAt) throw new ForbiddenError(`This booking has no session date, ask an admin to have it ${action}`);
+        if (startsAt.getTime() - Date.now() < CANCEL_WINDOW_HOURS * 60 * 60 * 1000) {
+            throw new ForbiddenError(`Bookings can only be ${action} at least ${CANCEL_WINDOW_HOURS} hours before the session`);
+        }
+    };
+
+    // ✅ Cancel a booking: pending → cancelled (intent cancelled), paid → refunded (through the provider)
+    router.post("/bookings/:id/cancel", verifyToken, anyRole, async (req, res) => {
+        const booking = await loadOwnBooking(req);
+
+        if (!["pending", "paid"].includes(booking.status)) {
+            throw new ConflictError(`A ${booking.status} booking can't be cancelled`);
+        }
+        checkChangeable(req, booking, "cancelled");
+
+        const reason = typeof req.body?.reason === "string" ? req.body.reason.slice(0, 500) : "";
+        const result = await cancelBooking(booking, { cancelledBy: req.decoded.email, reason });
+
+        // ✅ An admin changing someone else's booking is audited
+        if (req.user.role === "admin" && booking.userEmail !== req.decoded.email) {
+            await audit(req, {
+                action: "booking.cancel",
+                target: { type: "booking", id: booking._id, label: booking.userEmail },
+                before: { status: booking.status },
+                after: { status: result.status, ...(result.refundId ? { refundId: result.refundId } : {}) },
+                meta: reason ? { reason } : undefined,
+            });
+        }
+
+        await notifyTrainer(booking, {
+            type: "booking.cancelled",
+            title: "Booking cancelled",
+            message: booking.status === "pending"
+                ? `${booking.userName || booking.userEmail} cancelled a pending booking.`
+                : `${booking.userName || booking.userEmail} cancelled their ${sessionLabel(booking)} booking.`,
+        });
+
+        if (result.status === "refunded") {
+            return res.json({ success: true, status: "refunded", refundId: result.refundId, message: "Booking cancelled and refunded" });
+        }
+        res.json({
+            success: true,
+            status: "cancelled",
+            message: result.returnedToPlan ? "Booking cancelled, the session was returned to your plan" : "Booking cancelled",
+        });
+    });
+
+    // ✅ Reschedule to another upcoming session of the same trainer
+    router.post("/bookings/:id/reschedule", verifyToken, anyRole, validateBody(schemas.bookingReschedule), async (req, res) => {
+        let newSession = null;
+        let moved = false;
+        try {
+            const booking = await loadOwnBooking(req);
+
+            if (!["pending", "paid"].includes(booking.status)) {
+                throw new ConflictError(`A ${booking.status} booking can't be rescheduled`);
+            }
+            checkChangeable(req, booking, "rescheduled");
+
+            const { sessionId } = req.body;
+            if (booking.sessionId?.equals(sessionId)) {
+                throw new ValidationError("Booking is already in that session");
+            }
+
+            // ✅ Reserve a seat in the new session (same trainer only)
+            const sessionFilter = {
+                _id: sessionId,
+                trainerId: new ObjectId(booking.trainerId),
+                status: "scheduled",
+                startsAt: { $gt: new Date() },
+            };
+            newSession = await sessionsCollection.findOneAndUpdate(
+                { ...sessionFilter, $expr: { $lt: ["$bookedCount", "$capacity"] } },
+                { $inc: { bookedCount: 1 } },
+                { returnDocument: "after" }
+            );
+            if (!newSession) {
+                const exists = await sessionsCollection.countDocuments(sessionFilter);
+                throw exists ? new ConflictError("This session is fully booked") : new NotFoundError("Session not found for this trainer");
+            }
+            if (booking.membershipId) {
+                const membership = await membershipsCollection.findOne({ _id: booking.membershipId });
+                if (membership && !coversClass(membership, newSession.classId)) {
+                    throw new ForbiddenError(`The ${membership.planName} plan doesn't include this class`);
+                }
+            }
+
+            const result = await bookingsCollection.updateOne(
+                { _id: booking._id, status: booking.status, sessionId: booking.sessionId ?? null },
+                {
+                    $set: { ...sessionFields(newSession), updatedAt: new Date() },
+                    $push: {
+                        statusHistory: {
+                            status: booking.status,
+                            at: new Date(),
+                            note: "rescheduled",
+                            fromSessionId: booking.sessionId || null,
+                            fromSlotId: booking.slotId || null,
+                            toSessionId: newSession._id,
+                            by: req.decoded.email,
+                        },
+                    },
+                }
+            );
+            if (result.modifiedCount === 0) {
+                await releaseSeat({ sessionId: newSession._id });
+                throw new ConflictError("Booking changed, please retry");
+            }
+            moved = true;
+
+            if (req.user.role === "admin" && booking.userEmail !== req.decoded.email) {
+                await audit(req, {
+                    action: "booking.reschedule",
+                    target: { type: "booking", id: booking._id, label: booking.userEmail },
+                    before: { sessionId: booking.sessionId ?? null, slotId: booking.slotId ?? null },
+                    after: { sessionId: newSession._id, slotId: newSession.slotId },
+                });
+            }
+
+            // ✅ Give the old seat back and move the class booking count if the class changed
+            await releaseSeat(booking);
+            const oldClassId = booking.slot?.classId;
+            if (booking.status === "paid" && !newSession.classId.equals(oldClassId)) {
+                if (oldClassId) await adjustClassBookings(oldClassId, -1);
+                await adjustClassBookings(newSession.classId, 1);
+            }
+
+            await notifyTrainer(booking, {
+                type: "booking.rescheduled",
+                title: "Booking rescheduled",
+                message: `${booking.userName || booking.userEmail} moved their booking to ${newSession.date} ${newSession.startTime}.`,
+            });
+            res.json({ success: true, message: "Booking rescheduled", sessionId: newSession._id });
+        } catch (err) {
+            if (newSession && !moved) await releaseSeat({ sessionId: newSession._id }).catch(() => {});
+
+            if (err.code === 11000) {
+                throw new ConflictError("You have already booked this session");
+            }
+            throw err;
+        }
+    });
+
+    router.get("/bookings/trainer/:trainerId", verifyToken, verifyRole("trainer", "admin"), verifyTrainerOwner, listRoute(bookingsCollection, {
+        filters: {
+            status: { type: "list" },
+            sessionId: { type: "objectId" },
+            slotId: { type: "objectId" },
+            created: { type: "dateRange", field: "createdAt" },
+        },
+        sortable: ["createdAt", "updatedAt"],
+        // ✅ Latest changes (new, cancelled, rescheduled, refunded) first
+        defaultSort: "-updatedAt,-createdAt",
+    }, {
+        baseFilter: (req) => ({ trainerId: req.params.trainerId }),
+    }));
+
+    // 🟢 Get all booked trainers by user email (?status=paid,cancelled&trainerId=&createdFrom=)
+    router.get("/bookings/user/:email", verifyToken, anyRole, (req, res, next) => {
+        if (!isSelfOrAdmin(req, req.params.email)) throw new ForbiddenError();
+        next();
+    }, listRoute(bookingsCollection, {
+        filters: {
+            status: { type: "list" },
+            trainerId: { type: "string" },
+            created: { type: "dateRange", field: "createdAt" },
+        },
+        sortable: ["createdAt", "updatedAt", "price"],
+        defaultSort: "-createdAt",
+    }, {
+        baseFilter: (req) => ({ userEmail: req.params.email }),
+        // ✅ Merge trainer details with the page of bookings
+        transform: async (bookings) => {
+            const trainerIds = [...new Set(bookings.map((b) => b.trainerId))].map((id) => new ObjectId(id));
+            const trainers = trainerIds.length
+                ? await trainersCollection.find({ _id: { $in: trainerIds } }).toArray()
+                : [];
+            return bookings.map((booking) => ({
+                ...booking,
+                trainerDetails: trainers.find((t) => t._id.toString() === booking.trainerId) || null,
+            }));
+        },
+    }));
+
+    // 🔹 Release seats held by abandoned checkouts (services/bookings.js)
+    if (backgroundJobs) {
+        setInterval(() => expirePendingBookings().catch((err) => log("error", "pending booking expiry failed", { error: err.message })), 5 * 60 * 1000).unref();
+    }
+
+    return router;
+};
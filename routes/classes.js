@@ -0,0 +1,170 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { validateBody } = require("../lib/validation");
+const { schemas, DAYS } = require("../lib/schemas");
+const { listRoute } = require("../lib/listQuery");
+const { parseSearchQuery } = require("../lib/search");
+const { NotFoundError } = require("../lib/errors");
+const { localDate, weekday } = require("../lib/calendar");
+const { MAX_TRAINERS_PER_CLASS } = require("../services/classes");
+const { DEFAULT_TIME_ZONE } = require("../services/sessions");
+const { activeTrainerFilter, activeSlotFilter } = require("../services/trainers");
+
+// 🔹 Classes
+module.exports = async function createClassesRouter({
+    db,
+    audit,
+    auth: { verifyToken, verifyRole },
+    media: { checkMediaUrls, linkMedia },
+}) {
+    const router = express.Router();
+    const classesCollection = db.collection("classes");
+    const slotsCollection = db.collection("slots");
+    const sessionsCollection = db.collection("sessions");
+
+    // $lookup stage embedding a short preview of the class trainers
+    const trainerPreviewLookup = (limit) => ({
+        $lookup: {
+            from: "trainers",
+            localField: "trainerIds",
+            foreignField: "_id",
+            pipeline: [
+                { $match: activeTrainerFilter },
+                { $project: { name: 1, image: 1, expertise: 1, experience: 1 } },
+                { $limit: limit },
+            ],
+            as: "trainers",
+        },
+    });
+
+    // ✅ Recount totalBookings from paid bookings and trainerIds from existing slots
+    await classesCollection.aggregate([
+        {
+            $lookup: {
+                from: "slots",
+                localField: "_id",
+                foreignField: "classId",
+                pipeline: [{ $match: activeSlotFilter }, { $group: { _id: "$trainerId" } }],
+                as: "teaching",
+            },
+        },
+        {
+            $lookup: {
+                from: "bookings",
+                let: { classId: "$_id" },
+                pipeline: [
+                    { $match: { status: "paid", $expr: { $eq: ["$slot.classId", "$$classId"] } } },
+                    { $count: "count" },
+                ],
+                as: "paid",
+            },
+        },
+        {
+            $project: {
+                totalBookings: { $ifNull: [{ $first: "$paid.count" }, 0] },
+                trainerIds: "$teaching._id",
+            },
+        },
+        { $merge: { into: "classes", on: "_id", whenMatched: "merge", whenNotMatched: "discard" } },
+    ]).toArray();
+
+    //admin will do the post
+    // 🔹 API to Add New Class (Admin only ideally)
+    router.post("/classes", verifyToken, verifyRole("admin"), validateBody(schemas.class), async (req, res) => {
+        const newClass = req.body; // expects { name, image, details, ... }
+        await checkMediaUrls({ image: newClass.image });
+
+        // Add createdAt timestamp
+        newClass.createdAt = new Date();
+        newClass.totalBookings = 0; // default 0 bookings at the start
+        newClass.trainerIds = [];
+
+        const result = await classesCollection.insertOne(newClass);
+        await linkMedia(`class:${result.insertedId}`, newClass.image);
+        await audit(req, { action: "class.create", target: { type: "class", id: result.insertedId, label: newClass.name }, after: newClass });
+        res.status(201).json({ message: "Class added successfully", insertedId: result.insertedId });
+    });
+
+    // ✅ API to Get All Classes with Pagination & Search
+    router.get("/classes", listRoute(classesCollection, {
+        filters: {
+            category: { type: "list" },
+            trainerId: { type: "objectId", field: "trainerIds" },
+            created: { type: "dateRange", field: "createdAt" },
+        },
+        sortable: ["createdAt", "name", "totalBookings"],
+        defaultSort: "-createdAt",
+        defaultLimit: 6,
+    }, {
+        // 🔹 Full-text search on name/details (text index, see routes/search.js)
+        baseFilter: (req) => {
+            const query = parseSearchQuery(req.query.search);
+            return query ? { $text: { $search: query.search } } : {};
+        },
+        // 🔹 trainer preview per class
+        postStages: (req) => req.query.embedTrainers === "true" ? [trainerPreviewLookup(MAX_TRAINERS_PER_CLASS)] : [],
+    }));
+
+    // top six for feautured section
+    // 📌 Get Top 6 Most Booked Classes// ✅ API to Get All Classes with Pagination
+
+    router.get("/classes/featured", async (req, res) => {
+        const featuredClasses = await classesCollection
+            .find()
+            .sort({ totalBookings: -1 }) // sort by bookings (highest first)
+            .limit(6) // take only top 6
+            .toArray();
+
+        res.json(featuredClasses);
+    });
+
+    // ✅ Class detail with its trainers, weekly slots and the bookable sessions of the coming week
+    router.get("/classes/:id", async (req, res) => {
+        const classId = new ObjectId(req.params.id);
+        const [classDoc] = await classesCollection
+            .aggregate([{ $match: { _id: classId } }, trainerPreviewLookup(MAX_TRAINERS_PER_CLASS)])
+            .toArray();
+        if (!classDoc) throw new NotFoundError("Class not found");
+
+        const trainers = await db.collection("trainers")
+            .find({ _id: { $in: classDoc.trainerIds || [] } }, { projection: { timeZone: 1 } })
+            .toArray();
+        const timeZones = new Map(trainers.map((trainer) => [trainer._id.toString(), trainer.timeZone || DEFAULT_TIME_ZONE]));
+
+        // ✅ Seats come from each slot's next scheduled session (a slot without one yet has them all free),
+        // days away from the slot's own weekday in its trainer's time zone
+        const slots = await slotsCollection.find({ classId, ...activeSlotFilter }).toArray();
+        const nextSessions = await sessionsCollection.aggregate([
+            { $match: { slotId: { $in: slots.map((slot) => slot._id) }, status: "scheduled", startsAt: { $gt: new Date() } } },
+            { $sort: { startsAt: 1 } },
+            { $group: { _id: "$slotId", capacity: { $first: "$capacity" }, bookedCount: { $first: "$bookedCount" } } },
+        ]).toArray();
+        const nextSessionBySlot = new Map(nextSessions.map((session) => [session._id.toString(), session]));
+
+        const upcomingSlots = slots
+            .map((slot) => {
+                const next = nextSessionBySlot.get(slot._id.toString());
+                const timeZone = timeZones.get(slot.trainerId?.toString()) || DEFAULT_TIME_ZONE;
+                const today = DAYS.indexOf(weekday(localDate(new Date(), timeZone)));
+                return {
+                    ...slot,
+                    seatsLeft: next ? Math.max(next.capacity - next.bookedCount, 0) : slot.capacity,
+                    daysAway: (DAYS.indexOf(slot.day) - today + 7) % 7,
+                };
+            })
+            .sort((a, b) => a.daysAway - b.daysAway || a.startTime.localeCompare(b.startTime));
+
+        const upcomingSessions = await sessionsCollection
+            .find({ classId, status: "scheduled", startsAt: { $gt: new Date(), $lte: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) } })
+            .sort({ startsAt: 1 })
+            .toArray();
+
+        res.json({
+            ...classDoc,
+            upcomingSlots,
+            upcomingSessions: upcomingSessions.map((session) => ({ ...session, seatsLeft: Math.max(session.capacity - session.bookedCount, 0) })),
+        });
+    });
+
+    return router;
+};
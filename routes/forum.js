@@ -0,0 +1,395 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { validateBody } = require("../lib/validation");
+const { schemas } = require("../lib/schemas");
+const { listRoute } = require("../lib/listQuery");
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require("../lib/errors");
+const { hotRankStage, visiblePostFilter, authorBadgeStages } = require("../services/forum");
+const { honeypot, contentHash, recentDuplicateFilter } = require("../lib/spam");
+
+// 🔹 Forum posts, votes, comments and moderation
+module.exports = async function createForumRouter({
+    db,
+    client,
+    notify,
+    audit,
+    auth: { verifyToken, verifyRole, anyRole },
+    rateLimit,
+    media: { checkMediaUrls, linkMedia, unlinkMedia },
+}) {
+    const router = express.Router();
+
+    // Get forum posts with pagination
+    // sort: recent (default) | score | hot
+    const forumCollection = db.collection('forum')
+    const forumVotesCollection = db.collection("forumVotes");
+    await forumVotesCollection.createIndex({ postId: 1, userEmail: 1 }, { unique: true });
+    await forumCollection.createIndex({ contentHash: 1, createdAt: -1 }, { sparse: true });
+
+    // ✅ Posts created before vote tracking have no score yet
+    await forumCollection.updateMany({ score: { $exists: false } }, [
+        { $set: { score: { $subtract: [{ $ifNull: ["$upvotes", 0] }, { $ifNull: ["$downvotes", 0] }] } } },
+    ]);
+
+    // Shorthands kept from the page-based API: ?sort=recent|score|hot
+    const FORUM_SORT_ALIASES = { recent: "-createdAt", score: "-score,-createdAt", hot: "-hotRank,-createdAt" };
+
+    // ?sort=hot&author=&locked=false&createdFrom=&limit=6&cursor=
+    router.get("/forum", listRoute(forumCollection, {
+        filters: {
+            author: { type: "string", field: "authorEmail" },
+            locked: { type: "boolean" },
+            created: { type: "dateRange", field: "createdAt" },
+        },
+        sortable: ["createdAt", "score", "hotRank"],
+        defaultSort: "-createdAt",
+        defaultLimit: 6,
+    }, {
+        query: (query) => ({ ...query, sort: FORUM_SORT_ALIASES[query.sort] || query.sort }),
+        baseFilter: () => visiblePostFilter,
+        preStages: [hotRankStage],
+        postStages: () => authorBadgeStages,
+    }));
+
+    // Upvote / Downvote — one vote per user: same vote again retracts it, the other one switches it
+    router.patch("/forum/:id/vote", verifyToken, anyRole, rateLimit("forum.vote"), validateBody(schemas.forumVote), async (req, res) => {
+        const session = client.startSession();
+        try {
+            const { voteType } = req.body; // voteType: 'up' or 'down'
+            const postId = new ObjectId(req.params.id);
+            const userEmail = req.decoded.email;
+            const counter = { up: "upvotes", down: "downvotes" };
+            let post = null;
+            let userVote = null;
+
+            // ✅ Same rules as commenting: hidden posts don't exist for members, locked threads take no votes
+            const target = await forumCollection.findOne({ _id: postId, ...visiblePostFilter }, { projection: { locked: 1 } });
+            if (!target) throw new NotFoundError("Post not found");
+            if (target.locked) throw new ForbiddenError("This thread is locked");
+
+            await session.withTransaction(async () => {
+                post = await forumCollection.findOne({ _id: postId, ...visiblePostFilter, locked: { $ne: true } }, { session });
+                if (!post) return;
+
+                const existing = await forumVotesCollection.findOne({ postId, userEmail }, { session });
+                const inc = {};
+
+                if (!existing) {
+                    await forumVotesCollection.insertOne({ postId, userEmail, voteType, createdAt: new Date() }, { session });
+                    inc[counter[voteType]] = 1;
+                    userVote = voteType;
+                } else if (existing.voteType === voteType) {
+                    await forumVotesCollection.deleteOne({ _id: existing._id }, { session });
+                    inc[counter[voteType]] = -1;
+                    userVote = null;
+                } else {
+                    await forumVotesCollection.updateOne(
+                        { _id: existing._id },
+                        { $set: { voteType, updatedAt: new Date() } },
+                        { session }
+                    );
+                    inc[counter[voteType]] = 1;
+                    inc[counter[existing.voteType]] = -1;
+                    userVote = voteType;
+                }
+                inc.score = (inc.upvotes || 0) - (inc.downvotes || 0);
+
+                post = await forumCollection.findOneAndUpdate(
+                    { _id: postId },
+                    { $inc: inc },
+                    { returnDocument: "after", session }
+                );
+            });
+
+            if (!post) throw new NotFoundError("Post not found");
+
+            res.json({
+                success: true,
+                score: post.score,
+                upvotes: post.upvotes || 0,
+                downvotes: post.downvotes || 0,
+                userVote,
+            });
+        } finally {
+            await session.endSession();
+        }
+    });
+
+    // POST new forum post (rate limited, honeypot field "website" must stay empty, no reposts of the same text)
+    router.post("/forum", verifyToken, anyRole, rateLimit("forum.create"), honeypot(), validateBody(schemas.forumPost), async (req, res) => {
+        await checkMediaUrls({ image: req.body.image });
+        const hash = contentHash(req.body.title, req.body.content);
+        if (await forumCollection.countDocuments(recentDuplicateFilter(hash), { limit: 1 })) {
+            throw new ConflictError("This post was already published");
+        }
+
+        const post = {
+            ...req.body,
+            contentHash: hash,
+            authorEmail: req.decoded.email,
+            authorName: req.user.name || "",
+            upvotes: 0,
+            downvotes: 0,
+            score: 0,
+            status: "visible",
+            locked: false,
+            createdAt: new Date(),
+        };
+        const result = await db.collection("forum").insertOne(post);
+        await linkMedia(`forumPost:${result.insertedId}`, post.image);
+        res.json({ success: true, message: "Forum post added!" });
+    });
+
+    // 🟢 FORUM THREADS, COMMENTS & MODERATION
+    const forumCommentsCollection = db.collection("forumComments");
+    const forumReportsCollection = db.collection("forumReports");
+    await forumCommentsCollection.createIndex({ postId: 1, createdAt: 1 });
+    await forumReportsCollection.createIndex({ targetType: 1, targetId: 1, reporterEmail: 1 }, { unique: true });
+
+    const isAuthor = (req, doc) => doc.authorEmail === req.decoded.email;
+
+    // Build a nested comment tree; hidden/deleted comments keep their place without content
+    const buildCommentTree = (comments) => {
+        const byId = new Map();
+        const roots = [];
+
+        for (const comment of comments) {
+            const visible = !comment.status || comment.status === "visible";
+            byId.set(comment._id.toString(), { ...comment, content: visible ? comment.content : null, replies: [] });
+        }
+        for (const comment of byId.values()) {
+            const parent = comment.parentId && byId.get(comment.parentId.toString());
+            (parent ? parent.replies : roots).push(comment);
+        }
+        return roots;
+    };
+
+    // ✅ Get a single post with its comment thread
+    router.get("/forum/:id", async (req, res) => {
+        const postId = new ObjectId(req.params.id);
+        const [post] = await forumCollection
+            .aggregate([{ $match: { _id: postId, ...visiblePostFilter } }, ...authorBadgeStages])
+            .toArray();
+        if (!post) throw new NotFoundError("Post not found");
+
+        const comments = await forumCommentsCollection
+            .aggregate([{ $match: { postId } }, { $sort: { createdAt: 1 } }, ...authorBadgeStages])
+            .toArray();
+
+        res.json({ ...post, comments: buildCommentTree(comments), totalComments: comments.length });
+    });
+
+    // ✅ Edit own post
+    router.patch("/forum/:id", verifyToken, anyRole, validateBody(schemas.forumPost, { partial: true }), async (req, res) => {
+        const post = await forumCollection.findOne({ _id: new ObjectId(req.params.id) });
+        if (!post) throw new NotFoundError("Post not found");
+        if (!isAuthor(req, post)) throw new ForbiddenError("Only the author can edit this post");
+        if (post.locked) throw new ForbiddenError("This thread is locked");
+        await checkMediaUrls({ image: req.body.image });
+
+        const edited = { ...post, ...req.body };
+        await forumCollection.updateOne(
+            { _id: post._id },
+            { $set: { ...req.body, contentHash: contentHash(edited.title, edited.content), editedAt: new Date() } }
+        );
+        await linkMedia(`forumPost:${post._id}`, edited.image);
+        res.json({ success: true, message: "Post updated" });
+    });
+
+    // ✅ Delete own post (with its comments, votes and reports)
+    router.delete("/forum/:id", verifyToken, anyRole, async (req, res) => {
+        const post = await forumCollection.findOne({ _id: new ObjectId(req.params.id) });
+        if (!post) throw new NotFoundError("Post not found");
+        if (!isAuthor(req, post)) throw new ForbiddenError("Only the author can delete this post");
+
+        await forumCollection.deleteOne({ _id: post._id });
+        await forumCommentsCollection.deleteMany({ postId: post._id });
+        await forumVotesCollection.deleteMany({ postId: post._id });
+        await forumReportsCollection.deleteMany({ postId: post._id });
+        await unlinkMedia(`forumPost:${post._id}`);
+
+        res.json({ success: true, message: "Post deleted" });
+    });
+
+    // ✅ Comment on a post (parentId makes it a reply)
+    router.post("/forum/:id/comments", verifyToken, anyRole, validateBody(schemas.forumComment), async (req, res) => {
+        const post = await forumCollection.findOne({ _id: new ObjectId(req.params.id), ...visiblePostFilter });
+        if (!post) throw new NotFoundError("Post not found");
+        if (post.locked) throw new ForbiddenError("This thread is locked");
+
+        const { content, parentId } = req.body;
+        let parentComment = null;
+        if (parentId) {
+            parentComment = await forumCommentsCollection.findOne({ _id: parentId, postId: post._id });
+            if (!parentComment) throw new NotFoundError("Parent comment not found");
+        }
+
+        const result = await forumCommentsCollection.insertOne({
+            postId: post._id,
+            ...(parentId ? { parentId } : {}),
+            content,
+            authorEmail: req.decoded.email,
+            authorName: req.user.name || "",
+            status: "visible",
+            createdAt: new Date(),
+        });
+
+        // ✅ Tell the post author (or the author of the comment being replied to)
+        const recipient = parentComment?.authorEmail || post.authorEmail;
+        if (recipient && recipient !== req.decoded.email) {
+            await notify(recipient, {
+                type: "forum.reply",
+                title: `New reply on "${post.title}"`,
+                message: `${req.user.name || req.decoded.email} replied: ${content.slice(0, 140)}`,
+                data: { postId: post._id, commentId: result.insertedId },
+            });
+        }
+
+        res.status(201).json({ success: true, commentId: result.insertedId });
+    });
+
+    // ✅ Edit own comment
+    router.patch("/forum/comments/:commentId", verifyToken, anyRole, validateBody(schemas.forumComment, { partial: true }), async (req, res) => {
+        const comment = await forumCommentsCollection.findOne({ _id: new ObjectId(req.params.commentId) });
+        if (!comment || comment.status === "deleted") throw new NotFoundError("Comment not found");
+        if (!isAuthor(req, comment)) throw new ForbiddenError("Only the author can edit this comment");
+        if (!req.body.content) throw new ValidationError("Validation failed", [{ field: "content", message: "is required" }]);
+
+        const post = await forumCollection.findOne({ _id: comment.postId, ...visiblePostFilter }, { projection: { locked: 1 } });
+        if (!post) throw new NotFoundError("Post not found");
+        if (post.locked) throw new ForbiddenError("This thread is locked");
+
+        await forumCommentsCollection.updateOne(
+            { _id: comment._id },
+            { $set: { content: req.body.content, editedAt: new Date() } }
+        );
+        res.json({ success: true, message: "Comment updated" });
+    });
+
+    // ✅ Delete own comment (soft delete so replies keep their thread)
+    router.delete("/forum/comments/:commentId", verifyToken, anyRole, async (req, res) => {
+        const comment = await forumCommentsCollection.findOne({ _id: new ObjectId(req.params.commentId) });
+        if (!comment || comment.status === "deleted") throw new NotFoundError("Comment not found");
+        if (!isAuthor(req, comment)) throw new ForbiddenError("Only the author can delete this comment");
+
+        await forumCommentsCollection.updateOne(
+            { _id: comment._id },
+            { $set: { status: "deleted", content: "", deletedAt: new Date() } }
+        );
+        res.json({ success: true, message: "Comment deleted" });
+    });
+
+    // Report a post or comment (one report per user per target)
+    const report = (targetType) => async (req, res) => {
+        try {
+            const targetId = new ObjectId(req.params.id || req.params.commentId);
+            const target = targetType === "post"
+                ? await forumCollection.findOne({ _id: targetId })
+                : await forumCommentsCollection.findOne({ _id: targetId });
+            if (!target) throw new NotFoundError(`${targetType === "post" ? "Post" : "Comment"} not found`);
+
+            await forumReportsCollection.insertOne({
+                targetType,
+                targetId,
+                postId: targetType === "post" ? target._id : target.postId,
+                reporterEmail: req.decoded.email,
+                reason: req.body.reason,
+                status: "open",
+                createdAt: new Date(),
+            });
+
+            res.status(201).json({ success: true, message: "Report submitted" });
+        } catch (err) {
+            if (err.code === 11000) throw new ConflictError("You have already reported this");
+            throw err;
+        }
+    };
+
+    router.post("/forum/:id/report", verifyToken, anyRole, validateBody(schemas.forumReport), report("post"));
+    router.post("/forum/comments/:commentId/report", verifyToken, anyRole, validateBody(schemas.forumReport), report("comment"));
+
+    // ✅ Admin moderation queue: open reports grouped by target
+    router.get("/forum/moderation/queue", verifyToken, verifyRole("admin"), async (req, res) => {
+        const queue = await forumReportsCollection.aggregate([
+            { $match: { status: "open" } },
+            {
+                $group: {
+                    _id: { targetType: "$targetType", targetId: "$targetId" },
+                    postId: { $first: "$postId" },
+                    reportCount: { $sum: 1 },
+                    reasons: { $push: { reason: "$reason", reporterEmail: "$reporterEmail", createdAt: "$createdAt" } },
+                    lastReportedAt: { $max: "$createdAt" },
+                },
+            },
+            { $lookup: { from: "forum", localField: "_id.targetId", foreignField: "_id", as: "post" } },
+            { $lookup: { from: "forumComments", localField: "_id.targetId", foreignField: "_id", as: "comment" } },
+            {
+                $project: {
+                    _id: 0,
+                    targetType: "$_id.targetType",
+                    targetId: "$_id.targetId",
+                    postId: 1,
+                    reportCount: 1,
+                    reasons: 1,
+                    lastReportedAt: 1,
+                    target: { $first: { $concatArrays: ["$post", "$comment"] } },
+                },
+            },
+            { $sort: { reportCount: -1, lastReportedAt: -1 } },
+        ]).toArray();
+
+        res.json(queue);
+    });
+
+    // ✅ Admin actions: posts → hide | restore | lock | unlock, comments → hide | restore
+    const MODERATION_ACTIONS = {
+        post: {
+            hide: { status: "hidden" },
+            restore: { status: "visible" },
+            lock: { locked: true },
+            unlock: { locked: false },
+        },
+        comment: {
+            hide: { status: "hidden" },
+            restore: { status: "visible" },
+        },
+    };
+
+    const moderate = (targetType) => async (req, res) => {
+        const changes = MODERATION_ACTIONS[targetType][req.body?.action];
+        if (!changes) {
+            throw new ValidationError(
+                `action must be one of ${Object.keys(MODERATION_ACTIONS[targetType]).join(", ")}`
+            );
+        }
+
+        const targetId = new ObjectId(req.params.id);
+        const collection = targetType === "post" ? forumCollection : forumCommentsCollection;
+        const before = await collection.findOneAndUpdate(
+            { _id: targetId },
+            { $set: { ...changes, moderatedBy: req.decoded.email, moderatedAt: new Date() } },
+            { returnDocument: "before" }
+        );
+        if (!before) throw new NotFoundError("Not found");
+
+        await audit(req, {
+            action: `forum-${targetType}.${req.body.action}`,
+            target: { type: targetType === "post" ? "forumPost" : "forumComment", id: targetId },
+            before: Object.fromEntries(Object.keys(changes).map((field) => [field, before[field]])),
+            after: changes,
+        });
+
+        // ✅ Any moderation decision closes the open reports on that target
+        await forumReportsCollection.updateMany(
+            { targetType, targetId, status: "open" },
+            { $set: { status: "resolved", resolution: req.body.action, resolvedBy: req.decoded.email, resolvedAt: new Date() } }
+        );
+
+        res.json({ success: true, message: `${targetType} ${req.body.action} applied` });
+    };
+
+    router.patch("/forum/moderation/posts/:id", verifyToken, verifyRole("admin"), moderate("post"));
+    router.patch("/forum/moderation/comments/:id", verifyToken, verifyRole("admin"), moderate("comment"));
+
+    return router;
+};
@@ -0,0 +1,144 @@
+const express = require("express");
+const multer = require("multer");
+const { ObjectId } = require("mongodb");
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require("../lib/errors");
+const { log } = require("../lib/http");
+const { processImage } = require("../lib/images");
+const { listRoute } = require("../lib/listQuery");
+
+const MAX_UPLOAD_MB = Number(process.env.MEDIA_MAX_UPLOAD_MB) || 5;
+const EXTENSIONS = { jpeg: "jpg", png: "png", webp: "webp" };
+
+// 🔹 Media uploads (images for classes, trainers and forum posts)
+module.exports = async function createMediaRouter({
+    db,
+    storage,
+    backgroundJobs,
+    audit,
+    auth: { verifyToken, anyRole, isSelfOrAdmin },
+    rateLimit,
+    media: { mediaUrl, removeMedia, sweepOrphans },
+}) {
+    const router = express.Router();
+    const mediaCollection = db.collection("media");
+    await mediaCollection.createIndex({ refs: 1, updatedAt: 1 });
+    await mediaCollection.createIndex({ ownerEmail: 1, createdAt: -1 });
+
+    // Kept in memory: the file is validated and re-encoded before anything is stored
+    const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024, files: 1 } });
+    const receiveFile = (req, res, next) => upload.single("file")(req, res, (err) => {
+        if (err?.code === "LIMIT_FILE_SIZE") {
+            return next(new ValidationError("Validation failed", [{ field: "file", message: `must be at most ${MAX_UPLOAD_MB} MB` }]));
+        }
+        if (err instanceof multer.MulterError) return next(new ValidationError(err.message));
+        next(err);
+    });
+
+    const describe = (media) => ({
+        id: media._id,
+        url: mediaUrl(media._id),
+        thumbnailUrl: mediaUrl(media._id, "thumb"),
+        contentType: media.contentType,
+        width: media.width,
+        height: media.height,
+        size: media.size,
+        inUse: media.refs.length > 0,
+        createdAt: media.createdAt,
+    });
+
+    // ✅ multipart/form-data with one image in "file" (jpeg, png or webp).
+    // Put the returned url in an image field (class, trainer, application, forum post); unused uploads are removed after a day.
+    router.post("/media", verifyToken, anyRole, rateLimit("media.upload"), receiveFile, async (req, res) => {
+        if (!req.file) throw new ValidationError("Validation failed", [{ field: "file", message: "is required" }]);
+
+        const image = await processImage(req.file.buffer);
+        const _id = new ObjectId();
+        const variants = {
+            original: { key: `media/${_id}/original.${EXTENSIONS[image.format]}`, ...image.original },
+            thumb: { key: `media/${_id}/thumb.webp`, ...image.thumb },
+        };
+
+        const stored = [];
+        try {
+            for (const { key, body, contentType } of Object.values(variants)) {
+                await storage.put(key, body, contentType);
+                stored.push(key);
+            }
+
+            const now = new Date();
+            const media = {
+                _id,
+                ownerEmail: req.decoded.email,
+                originalName: req.file.originalname.slice(0, 200),
+                contentType: variants.original.contentType,
+                width: variants.original.width,
+                height: variants.original.height,
+                size: variants.original.size,
+                variants: Object.fromEntries(Object.entries(variants).map(([name, { body, ...meta }]) => [name, meta])),
+                refs: [],
+                createdAt: now,
+                updatedAt: now,
+            };
+            await mediaCollection.insertOne(media);
+            res.status(201).json(describe(media));
+        } catch (err) {
+            for (const key of stored) await storage.delete(key).catch(() => {});
+            throw err;
+        }
+    });
+
+    // ✅ Uploads of a user, newest first
+    router.get("/media/user/:email", verifyToken, anyRole, (req, res, next) => {
+        if (!isSelfOrAdmin(req, req.params.email)) throw new ForbiddenError();
+        next();
+    }, listRoute(mediaCollection, {
+        sortable: ["createdAt"],
+        defaultSort: "-createdAt",
+    }, {
+        baseFilter: (req) => ({ ownerEmail: req.params.email }),
+        transform: (media) => media.map(describe),
+    }));
+
+    // ✅ Stable public URLs: the file never changes for an id, so it can be cached forever.
+    // Redirects when the storage has public URLs, streams the file otherwise.
+    const serve = (variantName) => async (req, res) => {
+        const media = await mediaCollection.findOne({ _id: new ObjectId(req.params.id) }, { projection: { variants: 1 } });
+        const variant = media?.variants[variantName];
+        if (!variant) throw new NotFoundError("Media not found");
+
+        const publicUrl = storage.publicUrl(variant.key);
+        if (publicUrl) return res.redirect(publicUrl);
+
+        res.set("Cache-Control", "public, max-age=31536000, immutable");
+        res.type(variant.contentType).send(await storage.get(variant.key));
+    };
+
+    router.get("/media/:id", serve("original"));
+    router.get("/media/:id/thumb", serve("thumb"));
+
+    // ✅ Delete an upload that nothing uses (owner or admin)
+    router.delete("/media/:id", verifyToken, anyRole, async (req, res) => {
+        const media = await mediaCollection.findOne({ _id: new ObjectId(req.params.id) });
+        if (!media) throw new NotFoundError("Media not found");
+        if (!isSelfOrAdmin(req, media.ownerEmail)) throw new ForbiddenError();
+
+        if (!(await removeMedia({ _id: media._id }))) {
+            throw new ConflictError("This image is still used; replace it first");
+        }
+        if (media.ownerEmail !== req.decoded.email) {
+            await audit(req, {
+                action: "media.delete",
+                target: { type: "media", id: media._id, label: media.ownerEmail },
+                before: { originalName: media.originalName, contentType: media.contentType, size: media.size },
+            });
+        }
+        res.json({ success: true, message: "Media deleted" });
+    });
+
+    // 🔹 Orphan cleanup: uploads nobody references after the grace period (services/media.js)
+    if (backgroundJobs) {
+        setInterval(() => sweepOrphans().catch((err) => log("error", "media cleanup failed", { error: err.message })), 60 * 60 * 1000).unref();
+    }
+
+    return router;
+};
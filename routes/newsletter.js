@@ -0,0 +1,328 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { validateBody } = require("../lib/validation");
+const { schemas } = require("../lib/schemas");
+const { listRoute } = require("../lib/listQuery");
+const {
+    newsletterSecret,
+    createConfirmToken,
+    hashToken,
+    verifyUnsubscribeSignature,
+    renderCampaign,
+    escapeHtml,
+} = require("../lib/newsletter");
+const { ValidationError, NotFoundError, ConflictError } = require("../lib/errors");
+const { log } = require("../lib/http");
+
+// 🔹 Newsletter subscriptions and campaigns
+module.exports = async function createNewsletterRouter({
+    db,
+    apiUrl,
+    mailTransport,
+    backgroundJobs,
+    audit,
+    auth: { verifyToken, verifyRole },
+    rateLimit,
+}) {
+    const router = express.Router();
+    newsletterSecret(); // fail at startup, not on the first unsubscribe link
+
+    // 🟢 NEWSLETTER (double opt-in)
+    // pending → confirmed (via emailed token) → unsubscribed (via signed link)
+    const subscribersCollection = db.collection('subscriber')
+    const CONFIRM_TOKEN_TTL_HOURS = 48;
+
+    // ✅ Subscribers from before double opt-in are treated as confirmed
+    await subscribersCollection.updateMany({ status: { $exists: false } }, [
+        { $set: { status: "confirmed", confirmedAt: "$createdAt" } },
+    ]);
+
+    router.post("/newsletter/subscribe", rateLimit("newsletter.subscribe"), validateBody(schemas.subscriber), async (req, res) => {
+        const { name, email } = req.body;
+
+        // ✅ Check if already subscribed
+        const existing = await subscribersCollection.findOne({ email });
+        if (existing?.status === "confirmed") {
+            throw new ConflictError("You are already subscribed");
+        }
+
+        // ✅ Save as pending (or refresh the token) and email the confirmation link
+        const { token, tokenHash } = createConfirmToken();
+        await subscribersCollection.updateOne(
+            { email },
+            {
+                $set: {
+                    name,
+                    status: "pending",
+                    confirmTokenHash: tokenHash,
+                    confirmTokenExpiresAt: new Date(Date.now() + CONFIRM_TOKEN_TTL_HOURS * 60 * 60 * 1000),
+                },
+                $setOnInsert: { createdAt: new Date() },
+            },
+            { upsert: true }
+        );
+
+        const confirmLink = `${apiUrl}/newsletter/confirm?token=${token}`;
+        await mailTransport.send({
+            to: email,
+            subject: "Confirm your newsletter subscription",
+            text: `Hi ${name},\n\nPlease confirm your subscription: ${confirmLink}\n\nThe link expires in ${CONFIRM_TOKEN_TTL_HOURS} hours.`,
+            html: `<p>Hi ${escapeHtml(name)},</p><p><a href="${confirmLink}">Confirm your subscription</a></p>
+<p>The link expires in ${CONFIRM_TOKEN_TTL_HOURS} hours.</p>`,
+        });
+
+        res.json({ success: true, message: "Check your inbox to confirm your subscription" });
+    });
+
+    // ✅ Confirm subscription from the emailed link
+    router.get("/newsletter/confirm", async (req, res) => {
+        const subscriber = await subscribersCollection.findOneAndUpdate(
+            {
+                confirmTokenHash: hashToken(req.query.token),
+                status: "pending",
+                confirmTokenExpiresAt: { $gt: new Date() },
+            },
+            {
+                $set: { status: "confirmed", confirmedAt: new Date() },
+                $unset: { confirmTokenHash: "", confirmTokenExpiresAt: "" },
+            }
+        );
+        if (!subscriber) throw new ValidationError("Invalid or expired confirmation link");
+
+        res.json({ success: true, message: "Subscription confirmed" });
+    });
+
+    // ✅ One-click unsubscribe (GET from the email link, POST from List-Unsubscribe-Post)
+    const unsubscribe = async (req, res) => {
+        const { email, sig } = req.query;
+        if (!verifyUnsubscribeSignature(email, sig)) {
+            throw new ValidationError("Invalid unsubscribe link");
+        }
+
+        await subscribersCollection.updateOne(
+            { email },
+            { $set: { status: "unsubscribed", unsubscribedAt: new Date() } }
+        );
+        res.json({ success: true, message: "You have been unsubscribed" });
+    };
+    router.get("/newsletter/unsubscribe", unsubscribe);
+    router.post("/newsletter/unsubscribe", unsubscribe);
+
+    // Get all newsletter subscribers (?status=pending|confirmed|unsubscribed)
+    router.get("/newsletter/subscribers", verifyToken, verifyRole("admin"), listRoute(subscribersCollection, {
+        filters: { status: { type: "list" }, created: { type: "dateRange", field: "createdAt" } },
+        sortable: ["createdAt", "email", "name"],
+        defaultSort: "-createdAt",
+    }, {
+        postStages: () => [{ $project: { confirmTokenHash: 0 } }],
+    }));
+
+    // 🟢 NEWSLETTER CAMPAIGNS (admin)
+    // draft → scheduled → sending → sent | failed; one delivery document per recipient
+    const campaignsCollection = db.collection("campaigns");
+    const deliveriesCollection = db.collection("campaignDeliveries");
+    // A delivery still "sending" after this long was claimed by a process that died; it is sent again
+    const DELIVERY_CLAIM_TIMEOUT_MINUTES = 10;
+    await deliveriesCollection.createIndex({ campaignId: 1, email: 1 }, { unique: true });
+    await deliveriesCollection.createIndex({ campaignId: 1, status: 1 });
+
+    const deliveryStats = async (campaignId) => {
+        const counts = await deliveriesCollection.aggregate([
+            { $match: { campaignId } },
+            { $group: { _id: "$status", count: { $sum: 1 } } },
+        ]).toArray();
+        const byStatus = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+        return {
+            total: counts.reduce((sum, { count }) => sum + count, 0),
+            pending: (byStatus.pending || 0) + (byStatus.sending || 0),
+            sent: byStatus.sent || 0,
+            failed: byStatus.failed || 0,
+        };
+    };
+
+    // Send every pending delivery; each one is claimed first so parallel runs never double-send.
+    // Claims older than DELIVERY_CLAIM_TIMEOUT_MINUTES (or from before claims were timed) are taken over.
+    const sendCampaign = async (campaign) => {
+        for (;;) {
+            const staleClaim = new Date(Date.now() - DELIVERY_CLAIM_TIMEOUT_MINUTES * 60 * 1000);
+            const delivery = await deliveriesCollection.findOneAndUpdate(
+                {
+                    campaignId: campaign._id,
+                    $or: [{ status: "pending" }, { status: "sending", claimedAt: { $not: { $gte: staleClaim } } }],
+                },
+                { $set: { status: "sending", claimedAt: new Date() } }
+            );
+            if (!delivery) break;
+
+            try {
+                const { messageId } = await mailTransport.send(renderCampaign(campaign, delivery, apiUrl));
+                await deliveriesCollection.updateOne(
+                    { _id: delivery._id },
+                    { $set: { status: "sent", messageId, sentAt: new Date() } }
+                );
+            } catch (err) {
+                await deliveriesCollection.updateOne(
+                    { _id: delivery._id },
+                    { $set: { status: "failed", error: err.message, failedAt: new Date() } }
+                );
+            }
+        }
+
+        const stats = await deliveryStats(campaign._id);
+        if (stats.pending === 0) {
+            await campaignsCollection.updateOne(
+                { _id: campaign._id, status: "sending" },
+                { $set: { status: stats.total && stats.failed === stats.total ? "failed" : "sent", stats, finishedAt: new Date() } }
+            );
+        }
+    };
+
+    // Claim a draft/scheduled campaign and snapshot confirmed subscribers as deliveries
+    const startCampaign = async (campaignId) => {
+        const campaign = await campaignsCollection.findOneAndUpdate(
+            { _id: campaignId, status: { $in: ["draft", "scheduled"] } },
+            { $set: { status: "sending", startedAt: new Date() } },
+            { returnDocument: "after" }
+        );
+        if (!campaign) return null;
+
+        const subscribers = await subscribersCollection
+            .find({ status: "confirmed" }, { projection: { name: 1, email: 1 } })
+            .toArray();
+        if (subscribers.length) {
+            await deliveriesCollection.bulkWrite(
+                subscribers.map((subscriber) => ({
+                    updateOne: {
+                        filter: { campaignId, email: subscriber.email },
+                        update: {
+                            $setOnInsert: { subscriberId: subscriber._id, name: subscriber.name, status: "pending", createdAt: new Date() },
+                        },
+                        upsert: true,
+                    },
+                })),
+                { ordered: false }
+            );
+        }
+        return campaign;
+    };
+
+    // Start scheduled campaigns that are due and resume interrupted ones
+    const processDueCampaigns = async () => {
+        const due = await campaignsCollection.find({ status: "scheduled", scheduledAt: { $lte: new Date() } }).toArray();
+        for (const { _id } of due) await startCampaign(_id);
+
+        const sending = await campaignsCollection.find({ status: "sending" }).toArray();
+        for (const campaign of sending) await sendCampaign(campaign);
+    };
+    // tests and one-off scripts build the app with backgroundJobs: false
+    if (backgroundJobs) {
+        setInterval(() => processDueCampaigns().catch((err) => log("error", "campaign scheduler failed", { error: err.message })), 60 * 1000).unref();
+    }
+
+    const campaignAdmin = [verifyToken, verifyRole("admin")];
+
+    // ✅ Compose
+    router.post("/newsletter/campaigns", ...campaignAdmin, validateBody(schemas.campaign), async (req, res) => {
+        if (!req.body.html && !req.body.text) {
+            throw new ValidationError("Validation failed", [{ field: "html|text", message: "at least one of html, text is required" }]);
+        }
+
+        const campaign = {
+            ...req.body,
+            status: "draft",
+            createdBy: req.decoded.email,
+            createdAt: new Date(),
+        };
+        const result = await campaignsCollection.insertOne(campaign);
+        await audit(req, { action: "campaign.create", target: { type: "campaign", id: result.insertedId, label: campaign.subject }, after: campaign });
+        res.status(201).json({ success: true, insertedId: result.insertedId });
+    });
+
+    router.get("/newsletter/campaigns", ...campaignAdmin, listRoute(campaignsCollection, {
+        filters: { status: { type: "list" }, created: { type: "dateRange", field: "createdAt" } },
+        sortable: ["createdAt", "scheduledAt", "sentAt"],
+        defaultSort: "-createdAt",
+    }));
+
+    // ✅ Campaign with live delivery status
+    router.get("/newsletter/campaigns/:id", ...campaignAdmin, async (req, res) => {
+        const campaign = await campaignsCollection.findOne({ _id: new ObjectId(req.params.id) });
+        if (!campaign) throw new NotFoundError("Campaign not found");
+
+        const failures = await deliveriesCollection
+            .find({ campaignId: campaign._id, status: "failed" }, { projection: { email: 1, error: 1, failedAt: 1 } })
+            .limit(100)
+            .toArray();
+
+        res.json({ ...campaign, stats: await deliveryStats(campaign._id), failures });
+    });
+
+    // ✅ Edit (drafts and scheduled campaigns only)
+    router.patch("/newsletter/campaigns/:id", ...campaignAdmin, validateBody(schemas.campaign, { partial: true }), async (req, res) => {
+        const before = await campaignsCollection.findOneAndUpdate(
+            { _id: new ObjectId(req.params.id), status: { $in: ["draft", "scheduled"] } },
+            { $set: { ...req.body, updatedAt: new Date() } },
+            { returnDocument: "before" }
+        );
+        if (!before) throw new ConflictError("Only draft or scheduled campaigns can be edited");
+
+        await audit(req, {
+            action: "campaign.update",
+            target: { type: "campaign", id: before._id, label: before.subject },
+            before: Object.fromEntries(Object.keys(req.body).map((field) => [field, before[field]])),
+            after: req.body,
+        });
+        res.json({ success: true, message: "Campaign updated" });
+    });
+
+    // ✅ Preview as a given subscriber (?email=) or as the admin
+    router.get("/newsletter/campaigns/:id/preview", ...campaignAdmin, async (req, res) => {
+        const campaign = await campaignsCollection.findOne({ _id: new ObjectId(req.params.id) });
+        if (!campaign) throw new NotFoundError("Campaign not found");
+
+        const subscriber = req.query.email
+            ? await subscribersCollection.findOne({ email: String(req.query.email) })
+            : null;
+        const preview = renderCampaign(campaign, subscriber || { name: req.user.name, email: req.decoded.email }, apiUrl);
+        const recipients = await subscribersCollection.countDocuments({ status: "confirmed" });
+
+        res.json({ ...preview, recipients });
+    });
+
+    // ✅ Schedule for later
+    router.post("/newsletter/campaigns/:id/schedule", ...campaignAdmin, validateBody(schemas.campaignSchedule), async (req, res) => {
+        const { scheduledAt } = req.body;
+        if (scheduledAt <= new Date()) {
+            throw new ValidationError("Validation failed", [{ field: "scheduledAt", message: "must be in the future" }]);
+        }
+
+        const before = await campaignsCollection.findOneAndUpdate(
+            { _id: new ObjectId(req.params.id), status: { $in: ["draft", "scheduled"] } },
+            { $set: { status: "scheduled", scheduledAt, scheduledBy: req.decoded.email } },
+            { returnDocument: "before" }
+        );
+        if (!before) throw new ConflictError("Only draft or scheduled campaigns can be scheduled");
+
+        await audit(req, {
+            action: "campaign.schedule",
+            target: { type: "campaign", id: before._id, label: before.subject },
+            before: { status: before.status, scheduledAt: before.scheduledAt },
+            after: { status: "scheduled", scheduledAt },
+        });
+        res.json({ success: true, message: "Campaign scheduled", scheduledAt });
+    });
+
+    // ✅ Send now (delivery continues in the background, poll GET /newsletter/campaigns/:id)
+    router.post("/newsletter/campaigns/:id/send", ...campaignAdmin, async (req, res) => {
+        const campaign = await startCampaign(new ObjectId(req.params.id));
+        if (!campaign) throw new ConflictError("Campaign not found or already sent");
+        await audit(req, { action: "campaign.send", target: { type: "campaign", id: campaign._id, label: campaign.subject }, after: { status: "sending" } });
+
+        sendCampaign(campaign).catch((err) =>
+            log("error", "campaign send failed", { requestId: req.id, campaignId: campaign._id.toString(), error: err.message })
+        );
+        res.status(202).json({ success: true, message: "Campaign is being sent", stats: await deliveryStats(campaign._id) });
+    });
+
+    return router;
+};
@@ -0,0 +1,74 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { listRoute } = require("../lib/listQuery");
+const { ValidationError, NotFoundError } = require("../lib/errors");
+
+// 🔹 Notifications
+module.exports = async function createNotificationsRouter({
+    db,
+    notificationHub,
+    auth: { verifyToken, anyRole },
+}) {
+    const router = express.Router();
+    const usersCollection = db.collection("users");
+    const notificationsCollection = db.collection("notifications");
+
+    // 🔔 NOTIFICATION ROUTES (notify() itself lives in services/notifications.js)
+    // ?read=false (or the older ?unread=true), newest first
+    router.get("/notifications", verifyToken, anyRole, listRoute(notificationsCollection, {
+        filters: { read: { type: "boolean" }, type: { type: "list" } },
+        sortable: ["createdAt"],
+        defaultSort: "-createdAt",
+    }, {
+        query: (query) => (query.unread === "true" ? { ...query, read: "false" } : query),
+        baseFilter: (req) => ({ userEmail: req.decoded.email }),
+    }));
+
+    router.get("/notifications/unread-count", verifyToken, anyRole, async (req, res) => {
+        const count = await notificationsCollection.countDocuments({ userEmail: req.decoded.email, read: false });
+        res.json({ count });
+    });
+
+    // ✅ Live push over Server-Sent Events.
+    // EventSource can't send headers, so the ID token may come as ?token=
+    const tokenFromQuery = (req, res, next) => {
+        if (!req.headers.authorization && req.query.token) {
+            req.headers.authorization = `Bearer ${req.query.token}`;
+        }
+        next();
+    };
+    router.get("/notifications/stream", tokenFromQuery, verifyToken, anyRole, (req, res) => {
+        notificationHub.subscribe(req.decoded.email, req, res);
+    });
+
+    router.patch("/notifications/read-all", verifyToken, anyRole, async (req, res) => {
+        const result = await notificationsCollection.updateMany(
+            { userEmail: req.decoded.email, read: false },
+            { $set: { read: true, readAt: new Date() } }
+        );
+        res.json({ success: true, updated: result.modifiedCount });
+    });
+
+    // ✅ Email preference (in-app notifications are always on)
+    router.patch("/notifications/preferences", verifyToken, anyRole, async (req, res) => {
+        if (typeof req.body?.email !== "boolean") {
+            throw new ValidationError("Validation failed", [{ field: "email", message: "must be a boolean" }]);
+        }
+        await usersCollection.updateOne(
+            { _id: req.user._id },
+            { $set: { "notificationPrefs.email": req.body.email, updatedAt: new Date() } }
+        );
+        res.json({ success: true, notificationPrefs: { email: req.body.email } });
+    });
+
+    router.patch("/notifications/:id/read", verifyToken, anyRole, async (req, res) => {
+        const result = await notificationsCollection.updateOne(
+            { _id: new ObjectId(req.params.id), userEmail: req.decoded.email },
+            { $set: { read: true, readAt: new Date() } }
+        );
+        if (result.matchedCount === 0) throw new NotFoundError("Notification not found");
+        res.json({ success: true });
+    });
+
+    return router;
+};
@@ -0,0 +1,145 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { validateBody } = require("../lib/validation");
+const { schemas } = require("../lib/schemas");
+const { listRoute } = require("../lib/listQuery");
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require("../lib/errors");
+
+// The packages that used to be hard-coded; seeded once, admins manage plans afterwards
+const DEFAULT_PLANS = [
+    { name: "Basic", price: 10, includedSessions: 1, durationDays: 30 },
+    { name: "Standard", price: 50, includedSessions: 8, durationDays: 30 },
+    { name: "Premium", price: 100, includedSessions: 20, durationDays: 30 },
+];
+
+// 🔹 Membership plans and memberships
+module.exports = async function createPlansRouter({
+    db,
+    audit,
+    auth: { verifyToken, verifyRole, anyRole, isSelfOrAdmin },
+    memberships: { currentMembership, describeMembership },
+}) {
+    const router = express.Router();
+    const plansCollection = db.collection("plans");
+    const classesCollection = db.collection("classes");
+    const membershipsCollection = db.collection("memberships");
+    await plansCollection.createIndex({ name: 1 }, { unique: true });
+    await membershipsCollection.createIndex({ userEmail: 1, status: 1, expiresAt: -1 });
+
+    if ((await plansCollection.countDocuments()) === 0) {
+        await plansCollection.bulkWrite(DEFAULT_PLANS.map((plan) => ({
+            updateOne: {
+                filter: { name: plan.name },
+                update: { $setOnInsert: { ...plan, classIds: [], active: true, createdAt: new Date() } },
+                upsert: true,
+            },
+        })));
+    }
+
+    // Every class id must exist
+    const checkClassIds = async (classIds) => {
+        if (!classIds?.length) return;
+        const found = await classesCollection.countDocuments({ _id: { $in: classIds } });
+        if (found !== new Set(classIds.map(String)).size) {
+            throw new ValidationError("Validation failed", [{ field: "classIds", message: "contains an unknown class" }]);
+        }
+    };
+
+    // 🟢 PLANS
+    // Plans on sale, cheapest first
+    router.get("/plans", async (req, res) => {
+        const plans = await plansCollection.find({ active: true }).sort({ price: 1 }).toArray();
+        res.json(plans);
+    });
+
+    // ✅ Admin list, archived plans included (?active=false)
+    router.get("/admin/plans", verifyToken, verifyRole("admin"), listRoute(plansCollection, {
+        filters: { active: { type: "boolean" } },
+        sortable: ["price", "name", "createdAt"],
+        defaultSort: "price",
+    }));
+
+    router.post("/plans", verifyToken, verifyRole("admin"), validateBody(schemas.plan), async (req, res) => {
+        await checkClassIds(req.body.classIds);
+        try {
+            const plan = { classIds: [], ...req.body, active: true, createdAt: new Date() };
+            const result = await plansCollection.insertOne(plan);
+            await audit(req, { action: "plan.create", target: { type: "plan", id: result.insertedId, label: plan.name }, after: plan });
+            res.status(201).json({ success: true, message: "Plan created", insertedId: result.insertedId });
+        } catch (err) {
+            if (err.code === 11000) throw new ConflictError("A plan with that name already exists");
+            throw err;
+        }
+    });
+
+    // ✅ Changes apply to future purchases; memberships keep the terms they were bought with
+    router.patch("/plans/:id", verifyToken, verifyRole("admin"), validateBody(schemas.plan, { partial: true }), async (req, res) => {
+        if (Object.keys(req.body).length === 0) throw new ValidationError("Nothing to update");
+        await checkClassIds(req.body.classIds);
+        try {
+            const before = await plansCollection.findOneAndUpdate(
+                { _id: new ObjectId(req.params.id) },
+                { $set: { ...req.body, updatedAt: new Date() } },
+                { returnDocument: "before" }
+            );
+            if (!before) throw new NotFoundError("Plan not found");
+
+            await audit(req, {
+                action: "plan.update",
+                target: { type: "plan", id: before._id, label: before.name },
+                before,
+                after: { ...before, ...req.body },
+            });
+            res.json({ success: true, message: "Plan updated" });
+        } catch (err) {
+            if (err.code === 11000) throw new ConflictError("A plan with that name already exists");
+            throw err;
+        }
+    });
+
+    // Archive (memberships reference the plan, so it is never deleted) and restore
+    const setPlanActive = (active, message) => async (req, res) => {
+        const before = await plansCollection.findOneAndUpdate(
+            { _id: new ObjectId(req.params.id) },
+            { $set: { active, updatedAt: new Date() } },
+            { returnDocument: "before" }
+        );
+        if (!before) throw new NotFoundError("Plan not found");
+
+        await audit(req, {
+            action: active ? "plan.restore" : "plan.archive",
+            target: { type: "plan", id: before._id, label: before.name },
+            before: { active: before.active },
+            after: { active },
+        });
+        res.json({ success: true, message });
+    };
+
+    router.delete("/plans/:id", verifyToken, verifyRole("admin"), setPlanActive(false, "Plan archived"));
+    router.patch("/plans/:id/restore", verifyToken, verifyRole("admin"), setPlanActive(true, "Plan restored"));
+
+    // 🟢 MEMBERSHIPS
+    // ✅ The caller's plan with remaining sessions and expiry (an expired plan is returned with expired: true)
+    router.get("/memberships/me", verifyToken, anyRole, async (req, res) => {
+        const membership = await currentMembership(req.decoded.email);
+        if (!membership) throw new NotFoundError("You don't have an active plan");
+        res.json(describeMembership(membership));
+    });
+
+    // ✅ Membership history (?status=active,refunded)
+    router.get("/memberships/user/:email", verifyToken, anyRole, (req, res, next) => {
+        if (!isSelfOrAdmin(req, req.params.email)) throw new ForbiddenError();
+        next();
+    }, listRoute(membershipsCollection, {
+        filters: { status: { type: "list" }, planId: { type: "objectId" } },
+        sortable: ["createdAt", "expiresAt"],
+        defaultSort: "-createdAt",
+    }, {
+        baseFilter: (req) => ({ userEmail: req.params.email }),
+        transform: (memberships) => memberships.map((membership) =>
+            membership.status === "active" ? describeMembership(membership) : membership
+        ),
+    }));
+
+    return router;
+};
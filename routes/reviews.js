@@ -0,0 +1,166 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { validateBody } = require("../lib/validation");
+const { schemas } = require("../lib/schemas");
+const { listRoute } = require("../lib/listQuery");
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require("../lib/errors");
+const { visibleReviewFilter } = require("../services/reviews");
+
+// 🔹 Reviews
+module.exports = async function createReviewsRouter({ db, audit, auth: { verifyToken, verifyRole, anyRole }, rateLimit }) {
+    const router = express.Router();
+    const trainersCollection = db.collection("trainers");
+    const reviewsCollection = db.collection("reviews");
+    const bookingsCollection = db.collection("bookings");
+
+    // 🟢 REVIEWS
+    // Only members with a paid booking can review that trainer, one editable review per booking.
+    // Trainers keep ratingAverage / ratingCount over their visible reviews.
+    await reviewsCollection.createIndex(
+        { bookingId: 1 },
+        { unique: true, partialFilterExpression: { bookingId: { $exists: true } } }
+    );
+
+    const recomputeTrainerRating = async (trainerId) => {
+        const [stats] = await reviewsCollection.aggregate([
+            { $match: { trainerId, ...visibleReviewFilter } },
+            { $group: { _id: null, average: { $avg: "$rating" }, count: { $sum: 1 } } },
+        ]).toArray();
+
+        await trainersCollection.updateOne(
+            { _id: new ObjectId(trainerId) },
+            {
+                $set: {
+                    ratingAverage: stats ? Math.round(stats.average * 10) / 10 : 0,
+                    ratingCount: stats?.count || 0,
+                },
+            }
+        );
+    };
+
+    // ✅ Backfill rating aggregates for trainers
+    await trainersCollection.aggregate([
+        {
+            $lookup: {
+                from: "reviews",
+                let: { trainerId: { $toString: "$_id" } },
+                pipeline: [
+                    { $match: { ...visibleReviewFilter, $expr: { $eq: ["$trainerId", "$$trainerId"] } } },
+                    { $group: { _id: null, average: { $avg: "$rating" }, count: { $sum: 1 } } },
+                ],
+                as: "rating",
+            },
+        },
+        {
+            $project: {
+                ratingAverage: { $round: [{ $ifNull: [{ $first: "$rating.average" }, 0] }, 1] },
+                ratingCount: { $ifNull: [{ $first: "$rating.count" }, 0] },
+            },
+        },
+        { $merge: { into: "trainers", on: "_id", whenMatched: "merge", whenNotMatched: "discard" } },
+    ]).toArray();
+
+    // A session is completed once it ended. Weekly-slot bookings made before sessions existed have no date:
+    // their slot has taken place at least once a week after booking.
+    const isCompleted = (booking, now = new Date()) =>
+        booking.session?.endsAt
+            ? booking.session.endsAt <= now
+            : now - booking.createdAt >= 7 * 24 * 60 * 60 * 1000;
+
+    // 🟢 POST Review (for one of the caller's paid bookings whose session is over)
+    router.post("/reviews", verifyToken, anyRole, rateLimit("reviews.create"), validateBody(schemas.review), async (req, res) => {
+        try {
+            const { bookingId, rating, comment } = req.body;
+
+            const booking = await bookingsCollection.findOne({ _id: bookingId, userEmail: req.decoded.email });
+            if (!booking) throw new NotFoundError("Booking not found");
+            if (booking.status !== "paid" || !isCompleted(booking)) {
+                throw new ForbiddenError("Only completed bookings can be reviewed");
+            }
+
+            const review = {
+                bookingId,
+                trainerId: booking.trainerId,
+                rating,
+                comment,
+                userEmail: req.decoded.email,
+                userName: req.user.name || "",
+                status: "visible",
+                createdAt: new Date(),
+            };
+            const result = await reviewsCollection.insertOne(review);
+            await recomputeTrainerRating(booking.trainerId);
+
+            res.json({ success: true, message: "Review submitted successfully", insertedId: result.insertedId });
+        } catch (err) {
+            if (err.code === 11000) {
+                throw new ConflictError("You already reviewed this booking, edit it instead");
+            }
+            throw err;
+        }
+    });
+
+    // 🟢 Edit own review
+    router.patch("/reviews/:id", verifyToken, anyRole, validateBody(schemas.review, { partial: true }), async (req, res) => {
+        const { rating, comment } = req.body;
+        const changes = {
+            ...(rating !== undefined ? { rating } : {}),
+            ...(comment !== undefined ? { comment } : {}),
+        };
+
+        const review = await reviewsCollection.findOneAndUpdate(
+            { _id: new ObjectId(req.params.id), userEmail: req.decoded.email },
+            { $set: { ...changes, editedAt: new Date() } },
+            { returnDocument: "after" }
+        );
+        if (!review) throw new NotFoundError("Review not found");
+
+        await recomputeTrainerRating(review.trainerId);
+        res.json({ success: true, message: "Review updated" });
+    });
+
+    // 🟢 Admin: hide / restore abusive reviews
+    router.patch("/reviews/:id/moderation", verifyToken, verifyRole("admin"), async (req, res) => {
+        const status = { hide: "hidden", restore: "visible" }[req.body?.action];
+        if (!status) throw new ValidationError("action must be one of hide, restore");
+
+        const review = await reviewsCollection.findOneAndUpdate(
+            { _id: new ObjectId(req.params.id) },
+            { $set: { status, moderatedBy: req.decoded.email, moderatedAt: new Date() } },
+            { returnDocument: "before" }
+        );
+        if (!review) throw new NotFoundError("Review not found");
+
+        await audit(req, {
+            action: `review.${req.body.action}`,
+            target: { type: "review", id: review._id },
+            before: { status: review.status || "visible" },
+            after: { status },
+        });
+
+        await recomputeTrainerRating(review.trainerId);
+        res.json({ success: true, message: `Review ${req.body.action} applied` });
+    });
+
+    // 🟢 GET Reviews by Trainer ID (for testimonials)
+    const reviewListSpec = {
+        filters: {
+            rating: { type: "numberList" },
+            minRating: { type: "number", field: "rating", op: "$gte" },
+            created: { type: "dateRange", field: "createdAt" },
+        },
+        sortable: ["createdAt", "rating"],
+        defaultSort: "-createdAt",
+    };
+
+    router.get("/reviews/trainer/:trainerId", listRoute(reviewsCollection, reviewListSpec, {
+        baseFilter: (req) => ({ trainerId: req.params.trainerId, ...visibleReviewFilter }),
+    }));
+
+    // 🟢 Get All Reviews (for testimonials, latest first)
+    router.get("/reviews", listRoute(reviewsCollection, reviewListSpec, {
+        baseFilter: () => visibleReviewFilter,
+    }));
+
+    return router;
+};
@@ -0,0 +1,92 @@
+const express = require("express");
+const { parseSearchQuery, highlight } = require("../lib/search");
+const { ValidationError } = require("../lib/errors");
+const { visiblePostFilter } = require("../services/forum");
+const { activeTrainerFilter } = require("../services/trainers");
+
+// 🔹 Search
+module.exports = async function createSearchRouter({ db }) {
+    const router = express.Router();
+    const trainersCollection = db.collection("trainers");
+    const classesCollection = db.collection("classes");
+    const forumCollection = db.collection("forum");
+
+    // 🔎 SEARCH
+    // One text index per collection; weights rank title-like fields above body text
+    await classesCollection.createIndex(
+        { name: "text", details: "text" },
+        { name: "classes_text", weights: { name: 5, details: 1 } }
+    );
+    await trainersCollection.createIndex(
+        { name: "text", expertise: "text", details: "text" },
+        { name: "trainers_text", weights: { name: 5, expertise: 3, details: 1 } }
+    );
+    await forumCollection.createIndex(
+        { title: "text", content: "text" },
+        { name: "forum_text", weights: { title: 3, content: 1 } }
+    );
+
+    const SEARCH_SOURCES = {
+        classes: { collection: classesCollection, titleField: "name", fields: ["name", "details"], baseFilter: {} },
+        trainers: { collection: trainersCollection, titleField: "name", fields: ["name", "expertise", "details"], baseFilter: activeTrainerFilter },
+        forum: { collection: forumCollection, titleField: "title", fields: ["title", "content"], baseFilter: visiblePostFilter },
+    };
+
+    // ?q=yoga&type=classes,trainers&limit=10 → results ranked by text score, facet counts per type
+    router.get("/search", async (req, res) => {
+        const query = parseSearchQuery(req.query.q);
+        if (!query) throw new ValidationError("q is required");
+
+        const types = req.query.type ? String(req.query.type).split(",").map((t) => t.trim()) : Object.keys(SEARCH_SOURCES);
+        const unknown = types.filter((type) => !SEARCH_SOURCES[type]);
+        if (unknown.length) {
+            throw new ValidationError(`type must be one of ${Object.keys(SEARCH_SOURCES).join(", ")}`);
+        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+        // Facets always count every type so the client can show the other tabs
+        const perSource = await Promise.all(Object.entries(SEARCH_SOURCES).map(async ([type, source]) => {
+            const filter = { $text: { $search: query.search }, ...source.baseFilter };
+            const [count, docs] = await Promise.all([
+                source.collection.countDocuments(filter),
+                types.includes(type)
+                    ? source.collection.aggregate([
+                        { $match: filter },
+                        { $addFields: { relevance: { $meta: "textScore" } } },
+                        { $sort: { relevance: -1, _id: 1 } },
+                        { $limit: limit },
+                    ]).toArray()
+                    : [],
+            ]);
+
+            const results = docs.map(({ relevance, ...document }) => ({
+                type,
+                _id: document._id,
+                title: document[source.titleField],
+                relevance,
+                highlights: Object.fromEntries(
+                    source.fields
+                        .map((field) => [field, highlight(document[field], query.terms)])
+                        .filter(([, snippet]) => snippet)
+                ),
+                document,
+            }));
+            return { type, count, results };
+        }));
+
+        const results = perSource
+            .flatMap((source) => source.results)
+            .sort((a, b) => b.relevance - a.relevance)
+            .slice(0, limit);
+        const facets = Object.fromEntries(perSource.map(({ type, count }) => [type, count]));
+
+        res.json({
+            query: query.search,
+            total: types.reduce((sum, type) => sum + facets[type], 0),
+            facets,
+            results,
+        });
+    });
+
+    return router;
+};
@@ -0,0 +1,36 @@
+const express = require("express");
+const { validateBody } = require("../lib/validation");
+const { schemas } = require("../lib/schemas");
+const { listRoute } = require("../lib/listQuery");
+const { ConflictError } = require("../lib/errors");
+const { honeypot, contentHash, recentDuplicateFilter } = require("../lib/spam");
+
+// 🔹 Testimonials
+module.exports = async function createTestimonialsRouter({ db, rateLimit }) {
+    const router = express.Router();
+    const testimonialsCollection = db.collection("testimonials");
+    await testimonialsCollection.createIndex({ contentHash: 1, createdAt: -1 }, { sparse: true });
+
+    // 🔹 1. POST - Add a new testimonial (rate limited per IP, honeypot field "website" must stay empty)
+    router.post("/testimonials", rateLimit("testimonials.create"), honeypot(), validateBody(schemas.testimonial), async (req, res) => {
+        const testimonial = req.body; // expects { name, review, role }
+
+        testimonial.contentHash = contentHash(testimonial.name, testimonial.review);
+        if (await testimonialsCollection.countDocuments(recentDuplicateFilter(testimonial.contentHash), { limit: 1 })) {
+            throw new ConflictError("This testimonial was already submitted");
+        }
+        testimonial.createdAt = new Date();
+
+        const result = await testimonialsCollection.insertOne(testimonial);
+        res.status(201).json({ message: "Testimonial added successfully", id: result.insertedId });
+    });
+
+    // 🔹 2. GET - Fetch all testimonials (newest first)
+    router.get("/testimonials", listRoute(testimonialsCollection, {
+        filters: { role: { type: "list" }, created: { type: "dateRange", field: "createdAt" } },
+        sortable: ["createdAt"],
+        defaultSort: "-createdAt",
+    }));
+
+    return router;
+};
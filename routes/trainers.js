@@ -0,0 +1,827 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { validateBody } = require("../lib/validation");
+const { schemas, DAYS } = require("../lib/schemas");
+const { listRoute } = require("../lib/listQuery");
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require("../lib/errors");
+const { log } = require("../lib/http");
+const { isValidTimeZone, isValidDate, localDate, addDays, daysBetween } = require("../lib/calendar");
+const { MAX_TRAINERS_PER_CLASS } = require("../services/classes");
+const { DEFAULT_TIME_ZONE } = require("../services/sessions");
+const { visibleReviewFilter } = require("../services/reviews");
+const { sessionFields, sessionLabel } = require("../services/bookings");
+const { activeTrainerFilter, activeSlotFilter } = require("../services/trainers");
+
+// 🔹 Trainers, trainer applications and slots
+module.exports = async function createTrainersRouter({
+    db,
+    client,
+    backgroundJobs,
+    notify,
+    audit,
+    auth: { verifyToken, verifyRole, anyRole, isSelfOrAdmin, verifyTrainerOwner },
+    classLinks: { linkTrainerToClass, unlinkTrainerIfNoSlots },
+    sessions: { generateSessions, generateUpcomingSessions, generateAllUpcomingSessions },
+    bookings: { releaseSeat, cancelBooking },
+    media: { checkMediaUrls, linkMedia },
+}) {
+    const router = express.Router();
+    const usersCollection = db.collection("users");
+    const trainersCollection = db.collection("trainers");
+    const classesCollection = db.collection("classes");
+    const slotsCollection = db.collection("slots");
+    const reviewsCollection = db.collection("reviews");
+    const sessionsCollection = db.collection("sessions");
+    const exceptionsCollection = db.collection("availabilityExceptions");
+    const bookingsCollection = db.collection("bookings");
+    await slotsCollection.createIndex({ trainerId: 1, day: 1, startTime: 1 }, { unique: true });
+
+    // Add New Trainer
+    router.post("/trainers", verifyToken, verifyRole("admin"), validateBody(schemas.trainer), async (req, res) => {
+        const trainer = req.body;
+        await checkMediaUrls({ image: trainer.image });
+
+        trainer.status = "approved";
+        trainer.createdAt = new Date(); // Timestamp
+
+        const result = await trainersCollection.insertOne(trainer);
+        await linkMedia(`trainer:${result.insertedId}`, trainer.image);
+        await audit(req, { action: "trainer.create", target: { type: "trainer", id: result.insertedId, label: trainer.email || trainer.name }, after: trainer });
+        res.status(201).json({ message: "Trainer added successfully", insertedId: result.insertedId });
+    });
+
+    // Get All Trainers (?expertise=Yoga,HIIT&availableDays=Mon&minRating=4&sort=-ratingAverage,-ratingCount)
+    router.get("/trainers", listRoute(trainersCollection, {
+        filters: {
+            expertise: { type: "list" },
+            availableDays: { type: "list" },
+            minRating: { type: "number", field: "ratingAverage", op: "$gte" },
+            minExperience: { type: "number", field: "experience", op: "$gte" },
+            created: { type: "dateRange", field: "createdAt" },
+        },
+        sortable: ["createdAt", "name", "experience", "ratingAverage", "ratingCount"],
+        defaultSort: "-createdAt",
+    }, {
+        baseFilter: () => activeTrainerFilter,
+    }));
+
+    // ✅ Demoted trainers whose profile can be restored (admin)
+    router.get("/trainers/archived", verifyToken, verifyRole("admin"), listRoute(trainersCollection, {
+        filters: { archived: { type: "dateRange", field: "archivedAt" } },
+        sortable: ["archivedAt", "name"],
+        defaultSort: "-archivedAt",
+    }, {
+        baseFilter: () => ({ status: "archived" }),
+    }));
+
+    // 🟢 TRAINER APPLICATIONS
+    // Applications live in their own collection; trainersCollection only holds approved (and archived) trainers.
+    // pending → approved | rejected, rejected → pending (resubmission)
+    const applicationsCollection = db.collection("trainerApplications");
+    await applicationsCollection.createIndex({ email: 1, createdAt: -1 });
+
+    const APPLICATION_TRANSITIONS = {
+        approved: ["pending"],
+        rejected: ["pending"],
+        pending: ["rejected"],
+    };
+
+    const historyEntry = (status, actor, feedback) => ({
+        status,
+        actor,
+        at: new Date(),
+        ...(feedback ? { feedback } : {}),
+    });
+
+    // ✅ Move pending/rejected applications that were stored in trainersCollection
+    const legacyApplications = await trainersCollection.find({ status: { $in: ["pending", "rejected"] } }).toArray();
+    for (const { _id, ...legacy } of legacyApplications) {
+        await applicationsCollection.updateOne(
+            { _id },
+            {
+                $setOnInsert: {
+                    ...legacy,
+                    history: [historyEntry(legacy.status, "system:migration", legacy.feedback)],
+                },
+            },
+            { upsert: true }
+        );
+        await trainersCollection.deleteOne({ _id });
+    }
+
+    // Profile fields copied from an application to the trainer profile
+    const applicationProfile = (body) => ({
+        name: body.name,
+        ...(body.age !== undefined ? { age: body.age } : {}),
+        image: body.image,
+        experience: body.experience,
+        details: body.details || "",
+        expertise: body.expertise || [],
+        availableDays: body.availableDays || [],
+        availableSlots: body.availableSlots || [],
+        socials: body.socials || { facebook: "", instagram: "", linkedin: "" },
+    });
+
+    // POST Apply Trainer (new application, or resubmission after a rejection)
+    router.post("/trainers/apply", verifyToken, anyRole, validateBody(schemas.trainerApplication), async (req, res) => {
+        const email = req.decoded.email;
+
+        if (req.user.role === "trainer") {
+            throw new ConflictError("You are already a trainer");
+        }
+
+        const latest = await applicationsCollection.findOne({ email }, { sort: { createdAt: -1 } });
+        if (latest?.status === "pending") {
+            throw new ConflictError("You already have a pending application");
+        }
+        await checkMediaUrls({ image: req.body.image });
+
+        // ✅ Resubmission reopens the rejected application and keeps its history
+        if (latest?.status === "rejected") {
+            const resubmitted = await applicationsCollection.findOneAndUpdate(
+                { _id: latest._id, status: "rejected" },
+                {
+                    $set: { ...applicationProfile(req.body), status: "pending", updatedAt: new Date() },
+                    $unset: { feedback: "" },
+                    $push: { history: historyEntry("pending", email, "resubmitted") },
+                },
+                { returnDocument: "after" }
+            );
+            if (!resubmitted) throw new ConflictError("Application changed, please retry");
+            await linkMedia(`trainerApplication:${resubmitted._id}`, resubmitted.image);
+            return res.json({ success: true, insertedId: resubmitted._id, resubmitted: true });
+        }
+
+        const now = new Date();
+        const result = await applicationsCollection.insertOne({
+            ...applicationProfile(req.body),
+            email,
+            status: "pending",
+            history: [historyEntry("pending", email)],
+            createdAt: now,
+        });
+        await linkMedia(`trainerApplication:${result.insertedId}`, req.body.image);
+        res.json({ success: true, insertedId: result.insertedId });
+    });
+
+    const applicationListSpec = {
+        filters: { status: { type: "list" }, created: { type: "dateRange", field: "createdAt" } },
+        sortable: ["createdAt", "updatedAt", "name"],
+        defaultSort: "-createdAt",
+    };
+
+    // 🟢 Get Trainer Applications by User Email
+    router.get("/trainers/applications", verifyToken, anyRole, (req, res, next) => {
+        const email = req.query.email;
+        if (!email) throw new ValidationError("Email is required");
+        if (!isSelfOrAdmin(req, email)) throw new ForbiddenError();
+        next();
+    }, listRoute(applicationsCollection, applicationListSpec, {
+        baseFilter: (req) => ({ email: req.query.email }), // ✅ Get only this user's applications
+    }));
+
+    // ✅ Get all pending trainer applications
+    router.get("/trainers/applications/pending", verifyToken, verifyRole("admin"), listRoute(applicationsCollection, applicationListSpec, {
+        baseFilter: () => ({ status: "pending" }),
+    }));
+
+    // ✅ Get all pending or rejected trainer applications (admin view, narrow further with ?status=)
+    router.get("/trainers/applications/status/filter", verifyToken, verifyRole("admin"), listRoute(applicationsCollection, applicationListSpec, {
+        baseFilter: (req) => (req.query.status ? {} : { status: { $in: ["pending", "rejected"] } }),
+    }));
+
+    // speccific trainer applied
+    router.get("/trainers/applications/:id", verifyToken, verifyRole("admin"), async (req, res) => {
+        const { id } = req.params;
+        const applicant = await applicationsCollection.findOne({ _id: new ObjectId(id) });
+
+        if (!applicant) throw new NotFoundError("Applicant not found");
+        res.json(applicant);
+    });
+
+    //aprroving (application status, trainer profile and user role change together)
+    router.patch("/trainers/applications/:id/confirm", verifyToken, verifyRole("admin"), validateBody(schemas.applicationDecision), async (req, res) => {
+        const session = client.startSession();
+        try {
+            const { id } = req.params;
+            let approved = null;
+            let previousUser = null;
+
+            await session.withTransaction(async () => {
+                approved = await applicationsCollection.findOneAndUpdate(
+                    { _id: new ObjectId(id), status: { $in: APPLICATION_TRANSITIONS.approved } },
+                    {
+                        $set: { status: "approved", updatedAt: new Date() },
+                        $push: { history: historyEntry("approved", req.decoded.email, req.body.feedback) },
+                    },
+                    { returnDocument: "after", session }
+                );
+                if (!approved) return;
+
+                // ✅ 1. Create (or refresh) the trainer profile; an archived profile of a demoted trainer is restored
+                await trainersCollection.updateOne(
+                    { email: approved.email },
+                    {
+                        $set: {
+                            ...applicationProfile(approved),
+                            email: approved.email,
+                            status: "approved",
+                            applicationId: approved._id,
+                            updatedAt: new Date(),
+                        },
+                        $unset: { archivedAt: "", archivedBy: "" },
+                        $setOnInsert: { createdAt: new Date() },
+                    },
+                    { upsert: true, session }
+                );
+
+                // ✅ 2. Update users collection → set role trainer (or insert if doesn't exist)
+                previousUser = await usersCollection.findOneAndUpdate(
+                    { email: approved.email },
+                    {
+                        $set: { role: "trainer", updatedAt: new Date() },
+                        $setOnInsert: { name: approved.name },
+                    },
+                    { upsert: true, session, returnDocument: "before", projection: { role: 1 } }
+                );
+            });
+
+            if (!approved) {
+                throw new NotFoundError("Pending application not found");
+            }
+            const trainer = await trainersCollection.findOne({ email: approved.email }, { projection: { _id: 1 } });
+            const restoredSlots = await restoreSlots(trainer._id);
+            await linkMedia(`trainer:${trainer._id}`, approved.image);
+
+            await audit(req, {
+                action: "trainer-application.approve",
+                target: { type: "trainerApplication", id: approved._id, label: approved.email },
+                before: { status: "pending", role: previousUser?.role ?? null },
+                after: { status: "approved", role: "trainer" },
+                meta: restoredSlots,
+            });
+
+            await notify(approved.email, {
+                type: "application.approved",
+                title: "Your trainer application was approved",
+                message: "Congratulations! You can now add slots from your trainer dashboard.",
+                data: { applicationId: approved._id },
+            });
+
+            res.json({ success: true, message: "Trainer approved and user role updated" });
+        } finally {
+            await session.endSession();
+        }
+    });
+
+    // rejecting
+    router.patch("/trainers/applications/:id/reject", verifyToken, verifyRole("admin"), validateBody(schemas.applicationDecision), async (req, res) => {
+        const { id } = req.params;
+        const feedback = req.body.feedback || "No feedback provided";
+
+        const rejected = await applicationsCollection.findOneAndUpdate(
+            { _id: new ObjectId(id), status: { $in: APPLICATION_TRANSITIONS.rejected } },
+            {
+                $set: { status: "rejected", feedback, updatedAt: new Date() },
+                $push: { history: historyEntry("rejected", req.decoded.email, feedback) },
+            }
+        );
+
+        if (!rejected) {
+            throw new NotFoundError("Pending application not found");
+        }
+
+        await audit(req, {
+            action: "trainer-application.reject",
+            target: { type: "trainerApplication", id: rejected._id, label: rejected.email },
+            before: { status: "pending" },
+            after: { status: "rejected", feedback },
+        });
+
+        await notify(rejected.email, {
+            type: "application.rejected",
+            title: "Your trainer application was rejected",
+            message: `Feedback from the admin: ${feedback}`,
+            data: { applicationId: rejected._id, feedback },
+        });
+
+        res.json({ success: true, message: "Application rejected with feedback" });
+    });
+
+    // Get Trainer by ID
+    router.get("/trainers/:id", async (req, res) => {
+        const { id } = req.params;
+        const trainer = await trainersCollection.findOne({ _id: new ObjectId(id), ...activeTrainerFilter });
+
+        if (!trainer) {
+            throw new NotFoundError("Trainer not found");
+        }
+
+        // ✅ Attach bookable slots
+        const slots = await slotsCollection.find({ trainerId: trainer._id, ...activeSlotFilter }).sort({ dayIndex: 1, startTime: 1 }).toArray();
+
+        // ✅ Attach visible reviews (?reviewSort=newest|rating&minRating=4)
+        const minRating = Number(req.query.minRating);
+        const reviews = await reviewsCollection
+            .find({
+                trainerId: trainer._id.toString(),
+                ...visibleReviewFilter,
+                ...(Number.isFinite(minRating) ? { rating: { $gte: minRating } } : {}),
+            })
+            .sort(req.query.reviewSort === "rating" ? { rating: -1, createdAt: -1 } : { createdAt: -1 })
+            .toArray();
+
+        res.json({ ...trainer, slots, reviews });
+    });
+
+    // 🟢 DEMOTION & RESTORE
+    // Demotion changes the user's role in place and archives the trainer profile and its slots (nothing is deleted),
+    // so PATCH /trainers/:id/restore or an approved re-application brings the profile back.
+
+    // Bookings of upcoming sessions the trainer still owes
+    const futureBookings = (trainer) =>
+        bookingsCollection
+            .find({
+                trainerId: trainer._id.toString(),
+                status: { $in: ["pending", "paid"] },
+                "session.startsAt": { $gt: new Date() },
+            })
+            .toArray();
+
+    // Weekly-slot bookings made before sessions existed have no date, so nobody can tell whether they are still owed:
+    // they are left alone and listed in the audit entry for an admin to follow up
+    const legacyBookingIds = async (trainer) => {
+        const bookings = await bookingsCollection
+            .find(
+                { trainerId: trainer._id.toString(), status: { $in: ["pending", "paid"] }, sessionId: { $exists: false } },
+                { projection: { _id: 1 } }
+            )
+            .toArray();
+        return bookings.map((booking) => booking._id);
+    };
+
+    // Move a booking to the replacement's session of the same class at the same time, if it has a free seat
+    const reassignBooking = async (booking, replacement, by) => {
+        const startsAt = booking.session?.startsAt;
+        if (!startsAt || !booking.slot?.classId) return null;
+
+        const date = localDate(startsAt, replacement.timeZone || DEFAULT_TIME_ZONE);
+        await generateSessions(replacement, date, date);
+        const newSession = await sessionsCollection.findOneAndUpdate(
+            {
+                trainerId: replacement._id,
+                classId: booking.slot.classId,
+                startsAt,
+                status: "scheduled",
+                $expr: { $lt: ["$bookedCount", "$capacity"] },
+            },
+            { $inc: { bookedCount: 1 } },
+            { returnDocument: "after" }
+        );
+        if (!newSession) return null;
+
+        const result = await bookingsCollection.updateOne(
+            { _id: booking._id, status: booking.status, sessionId: booking.sessionId },
+            {
+                $set: {
+                    ...sessionFields(newSession),
+                    trainerId: replacement._id.toString(),
+                    trainerName: replacement.name,
+                    updatedAt: new Date(),
+                },
+                $push: {
+                    statusHistory: {
+                        status: booking.status,
+                        at: new Date(),
+                        note: "reassigned",
+                        fromTrainerId: booking.trainerId,
+                        fromSessionId: booking.sessionId,
+                        toSessionId: newSession._id,
+                        by,
+                    },
+                },
+            }
+        );
+        if (result.modifiedCount === 0) {
+            await releaseSeat({ sessionId: newSession._id });
+            return null;
+        }
+        await releaseSeat(booking);
+        return newSession;
+    };
+
+    // Un-archive the trainer's slots and relink their classes; slots of classes that filled up meanwhile stay archived
+    const restoreSlots = async (trainerId) => {
+        const slots = await slotsCollection.find({ trainerId, archived: true }).toArray();
+        let restored = 0;
+        for (const slot of slots) {
+            if (!(await linkTrainerToClass(slot.classId, trainerId))) continue;
+            await slotsCollection.updateOne({ _id: slot._id }, { $unset: { archived: "" }, $set: { updatedAt: new Date() } });
+            restored += 1;
+        }
+        if (restored) await generateUpcomingSessions(await trainersCollection.findOne({ _id: trainerId }));
+        return { restored, skipped: slots.length - restored };
+    };
+
+    // ✅ Demote a trainer to member (body: { reassignTo?, reason? })
+    router.patch("/trainers/:id/remove-trainer", verifyToken, verifyRole("admin"), validateBody(schemas.trainerDemotion), async (req, res) => {
+        const trainerId = new ObjectId(req.params.id);
+        const { reassignTo, reason = "" } = req.body;
+        const by = req.decoded.email;
+
+        const trainer = await trainersCollection.findOne({ _id: trainerId });
+        if (!trainer) throw new NotFoundError("Trainer not found");
+        if (trainer.status === "archived") throw new ConflictError("Trainer is already archived");
+
+        let replacement = null;
+        if (reassignTo) {
+            if (reassignTo.equals(trainerId)) throw new ValidationError("reassignTo must be another trainer");
+            replacement = await trainersCollection.findOne({ _id: reassignTo, ...activeTrainerFilter });
+            if (!replacement) throw new NotFoundError("Replacement trainer not found");
+        }
+
+        // ✅ 1. Archive the profile first so no new bookings come in while the existing ones are handled
+        const archived = await trainersCollection.updateOne(
+            { _id: trainerId, ...activeTrainerFilter },
+            { $set: { status: "archived", archivedAt: new Date(), archivedBy: by, updatedAt: new Date() } }
+        );
+        if (archived.modifiedCount === 0) throw new ConflictError("Trainer changed, please retry");
+
+        // ✅ 2. The user keeps their account, history and login; a trainer becomes a member, an admin stays admin
+        const demotedUser = await usersCollection.updateOne(
+            { email: trainer.email, role: "trainer" },
+            { $set: { role: "member", updatedAt: new Date() } }
+        );
+        const roleChanged = demotedUser.modifiedCount > 0;
+        const currentRole = (await usersCollection.findOne({ email: trainer.email }, { projection: { role: 1 } }))?.role ?? null;
+
+        // ✅ 3. Future bookings are reassigned where possible, the rest cancelled; every affected member is flagged
+        const outcomes = { reassigned: 0, cancelled: 0, refunded: 0, failed: 0 };
+        for (const booking of await futureBookings(trainer)) {
+            let outcome;
+            const newSession = replacement ? await reassignBooking(booking, replacement, by) : null;
+            if (newSession) {
+                outcome = "reassigned";
+            } else {
+                try {
+                    const result = await cancelBooking(booking, { cancelledBy: by, reason: reason || "Trainer is no longer available" });
+                    outcome = result.status;
+                } catch (err) {
+                    // refund failed or the booking changed meanwhile: an admin follows up from the member's flag
+                    log("error", "demoted trainer's booking not cancelled", {
+                        requestId: req.id,
+                        bookingId: booking._id.toString(),
+                        error: err.message,
+                    });
+                    outcome = "failed";
+                }
+            }
+            outcomes[outcome] += 1;
+
+            await usersCollection.updateOne(
+                { email: booking.userEmail },
+                { $push: { flags: { type: "trainer-demoted", trainerId, bookingId: booking._id, outcome, at: new Date() } } }
+            );
+            await notify(booking.userEmail, outcome === "reassigned"
+                ? {
+                    type: "booking.reassigned",
+                    title: "Your booking has a new trainer",
+                    message: `${trainer.name} no longer teaches your ${sessionLabel(booking)} session; ${replacement.name} takes it over.`,
+                    data: { bookingId: booking._id },
+                }
+                : {
+                    type: "booking.cancelled",
+                    title: "Your booking was cancelled",
+                    message: outcome === "failed"
+                        ? `${trainer.name} no longer teaches your ${sessionLabel(booking)} session. We couldn't cancel it automatically; our team will contact you.`
+                        : `${trainer.name} no longer teaches your ${sessionLabel(booking)} session, so it was cancelled${outcome === "refunded" ? " and refunded" : ""}.`,
+                    data: { bookingId: booking._id },
+                });
+        }
+
+        // ✅ 4. Stop scheduling: archive the weekly slots, cancel the upcoming sessions and leave the classes
+        const slots = await slotsCollection.find({ trainerId, ...activeSlotFilter }).toArray();
+        await slotsCollection.updateMany({ trainerId }, { $set: { archived: true, updatedAt: new Date() } });
+        await sessionsCollection.updateMany(
+            { trainerId, status: "scheduled", startsAt: { $gt: new Date() } },
+            { $set: { status: "cancelled", updatedAt: new Date() } }
+        );
+        await classesCollection.updateMany({ trainerIds: trainerId }, { $pull: { trainerIds: trainerId } });
+
+        await audit(req, {
+            action: "trainer.demote",
+            target: { type: "trainer", id: trainer._id, label: trainer.email },
+            before: { status: trainer.status, role: roleChanged ? "trainer" : currentRole },
+            after: { status: "archived", role: currentRole },
+            meta: {
+                ...outcomes,
+                archivedSlots: slots.length,
+                reassignTo: replacement?._id,
+                reason,
+                legacyBookingIds: await legacyBookingIds(trainer),
+            },
+        });
+
+        await notify(trainer.email, {
+            type: "trainer.demoted",
+            title: "Your trainer profile was archived",
+            message: `${roleChanged ? "You are now a member." : "Your account role is unchanged."}${reason ? ` Reason from the admin: ${reason}` : ""}`,
+            data: { trainerId },
+        });
+
+        res.json({
+            success: true,
+            message: roleChanged ? "Trainer archived and converted to member successfully" : "Trainer archived, account role unchanged",
+            bookings: outcomes,
+        });
+    });
+
+    // ✅ Re-promote an archived trainer: profile, role and slots come back (cancelled sessions and bookings stay cancelled)
+    router.patch("/trainers/:id/restore", verifyToken, verifyRole("admin"), async (req, res) => {
+        const trainer = await trainersCollection.findOneAndUpdate(
+            { _id: new ObjectId(req.params.id), status: "archived" },
+            { $set: { status: "approved", updatedAt: new Date() }, $unset: { archivedAt: "", archivedBy: "" } },
+            { returnDocument: "before" }
+        );
+        if (!trainer) throw new NotFoundError("Archived trainer not found");
+
+        // admins keep their role; members (or a missing account) become trainers
+        const previousUser = await usersCollection.findOne({ email: trainer.email }, { projection: { role: 1 } });
+        const role = previousUser?.role === "admin" ? "admin" : "trainer";
+        if (role === "trainer") {
+            await usersCollection.updateOne(
+                { email: trainer.email, role: { $ne: "admin" } },
+                { $set: { role: "trainer", updatedAt: new Date() }, $setOnInsert: { name: trainer.name } },
+                { upsert: true }
+            );
+        }
+        const slots = await restoreSlots(trainer._id);
+
+        await audit(req, {
+            action: "trainer.restore",
+            target: { type: "trainer", id: trainer._id, label: trainer.email },
+            before: { status: "archived", role: previousUser?.role ?? null },
+            after: { status: "approved", role },
+            meta: slots,
+        });
+
+        await notify(trainer.email, {
+            type: "trainer.restored",
+            title: "Your trainer profile is back",
+            message: slots.skipped
+                ? `Welcome back! ${slots.skipped} of your slots stay archived because their class is full.`
+                : "Welcome back! Your slots are bookable again.",
+            data: { trainerId: trainer._id },
+        });
+
+        res.json({ success: true, message: "Trainer restored", slots });
+    });
+
+    router.get("/trainers/by-email/:email", verifyToken, verifyRole("trainer", "admin"), async (req, res) => {
+        if (!isSelfOrAdmin(req, req.params.email)) throw new ForbiddenError();
+        const trainer = await db.collection("trainers").findOne({ email: req.params.email });
+        res.json(trainer);
+    });
+
+    // GET trainer by email
+    //manage slots
+    // GET trainer by email
+    router.get("/trainers/email/:email", verifyToken, verifyRole("trainer", "admin"), async (req, res) => {
+        const email = req.params.email;
+        if (!isSelfOrAdmin(req, email)) throw new ForbiddenError();
+        const trainer = await db.collection("trainers").findOne({ email });
+        if (!trainer) throw new NotFoundError("Trainer not found");
+        res.json(trainer);
+    });
+
+    // 🟢 TRAINER SLOTS
+    // Slots are their own documents: { trainerId, day, startTime, endTime, capacity, bookedCount, classId }
+    // and repeat every week; bookings are made on their dated sessions (see AVAILABILITY & CALENDAR below)
+
+    // Create a slot for the trainer loaded by verifyTrainerOwner
+    const addSlot = async (req, res) => {
+        try {
+            const { day, startTime, endTime, classId } = req.body;
+            const capacity = req.body.capacity;
+
+            if (startTime >= endTime) {
+                throw new ValidationError("Validation failed", [{ field: "endTime", message: "must be after startTime" }]);
+            }
+
+            if (req.trainer.status === "archived") throw new ConflictError("Restore the trainer before adding slots");
+
+            const linkedClass = await classesCollection.findOne({ _id: classId });
+            if (!linkedClass) throw new NotFoundError("Class not found");
+
+            const slot = {
+                trainerId: req.trainer._id,
+                trainerEmail: req.trainer.email,
+                day,
+                dayIndex: DAYS.indexOf(day), // for week-order sorting
+                startTime,
+                endTime,
+                capacity,
+                bookedCount: 0,
+                classId: linkedClass._id,
+                className: linkedClass.name,
+                createdAt: new Date(),
+            };
+
+            const result = await slotsCollection.insertOne(slot);
+
+            // ✅ Link the trainer to the class, unless the class already has its maximum of trainers
+            const linked = await linkTrainerToClass(linkedClass._id, req.trainer._id);
+            if (!linked) {
+                await slotsCollection.deleteOne({ _id: result.insertedId });
+                throw new ConflictError(
+                    `This class already has ${MAX_TRAINERS_PER_CLASS} trainers`
+                );
+            }
+
+            await generateUpcomingSessions(req.trainer);
+            res.status(201).json({ success: true, message: "Slot added successfully", slotId: result.insertedId });
+        } catch (err) {
+            if (err.code === 11000) {
+                throw new ConflictError("A slot already starts at that day and time");
+            }
+            throw err;
+        }
+    };
+
+    // Delete a slot by id; slots with active bookings can't be removed
+    const removeSlot = async (req, res) => {
+        const slotId = req.params.slotId || req.body.slotId;
+        if (!slotId || !ObjectId.isValid(slotId)) {
+            throw new ValidationError("A valid slotId is required");
+        }
+
+        const slot = await slotsCollection.findOne({ _id: new ObjectId(slotId), trainerId: req.trainer._id });
+        if (!slot) throw new NotFoundError("Slot not found");
+
+        // ✅ Upcoming sessions of the slot go with it, unless someone booked one
+        const upcoming = { slotId: slot._id, startsAt: { $gt: new Date() } };
+        if (await sessionsCollection.countDocuments({ ...upcoming, status: "scheduled", bookedCount: { $gt: 0 } })) {
+            throw new ConflictError("Slot has booked sessions and can't be removed");
+        }
+        await sessionsCollection.deleteMany({ ...upcoming, bookedCount: 0 });
+
+        // bookedCount on the slot itself counts bookings made before sessions existed
+        const result = await slotsCollection.deleteOne({ _id: slot._id, bookedCount: 0 });
+        if (result.deletedCount === 0) {
+            throw new ConflictError("Slot has active bookings and can't be removed");
+        }
+
+        // ✅ Trainer stops teaching the class once their last slot for it is gone
+        await unlinkTrainerIfNoSlots(slot.classId, slot.trainerId);
+
+        res.json({ success: true, message: "Slot removed successfully" });
+    };
+
+    // ✅ Get all slots of a trainer (with remaining seats)
+    router.get("/trainers/:id/slots", (req, res, next) => {
+        if (!ObjectId.isValid(req.params.id)) throw new ValidationError("Invalid trainer id");
+        next();
+    }, listRoute(slotsCollection, {
+        filters: { day: { type: "list" }, classId: { type: "objectId" } },
+        sortable: ["dayIndex", "startTime", "capacity", "bookedCount"],
+        defaultSort: "dayIndex,startTime",
+        defaultLimit: 50,
+    }, {
+        baseFilter: (req) => ({ trainerId: new ObjectId(req.params.id), ...activeSlotFilter }),
+        transform: (slots) => slots.map((slot) => ({ ...slot, seatsLeft: slot.capacity - slot.bookedCount })),
+    }));
+
+    // ✅ Add new slot to trainer
+    router.post("/trainers/:id/slots", verifyToken, verifyRole("trainer", "admin"), verifyTrainerOwner, validateBody(schemas.slot), addSlot);
+    router.patch("/trainers/:id/add-slot", verifyToken, verifyRole("trainer", "admin"), verifyTrainerOwner, validateBody(schemas.slot), addSlot);
+
+    // ✅ Remove slot (by slot id, never by array position); older clients send { slotId } in the body
+    router.delete("/trainers/:trainerId/slots/:slotId", verifyToken, verifyRole("trainer", "admin"), verifyTrainerOwner, removeSlot);
+    router.delete("/trainers/:trainerId/slots", verifyToken, verifyRole("trainer", "admin"), verifyTrainerOwner, removeSlot);
+    router.patch("/trainers/:id/remove-slot", verifyToken, verifyRole("trainer", "admin"), verifyTrainerOwner, removeSlot);
+
+    // 🗓️ AVAILABILITY & CALENDAR
+    // Weekly slots are the recurring availability, read in the trainer's time zone.
+    // They are expanded into dated sessions (services/sessions.js) that bookings reserve seats on.
+    await sessionsCollection.createIndex({ slotId: 1, date: 1 }, { unique: true });
+    await sessionsCollection.createIndex({ trainerId: 1, date: 1, startsAt: 1 });
+    await exceptionsCollection.createIndex({ trainerId: 1, startDate: 1 });
+
+    const MAX_CALENDAR_DAYS = 62;
+    const MAX_EXCEPTION_DAYS = 366;
+
+    // Future sessions that nobody booked yet can simply be dropped and regenerated
+    const unbookedFutureSessions = (trainerId) => ({ trainerId, startsAt: { $gt: new Date() }, bookedCount: 0 });
+
+    // ✅ Set the time zone the weekly slots are read in
+    router.patch("/trainers/:id/availability", verifyToken, verifyRole("trainer", "admin"), verifyTrainerOwner, validateBody(schemas.trainerAvailability), async (req, res) => {
+        const { timeZone } = req.body;
+        if (!isValidTimeZone(timeZone)) throw new ValidationError("Invalid time zone");
+
+        await trainersCollection.updateOne({ _id: req.trainer._id }, { $set: { timeZone, updatedAt: new Date() } });
+
+        // booked sessions keep their start time; the rest are regenerated in the new zone
+        if (timeZone !== (req.trainer.timeZone || DEFAULT_TIME_ZONE)) {
+            await sessionsCollection.deleteMany(unbookedFutureSessions(req.trainer._id));
+            await generateUpcomingSessions({ ...req.trainer, timeZone });
+        }
+        res.json({ success: true, timeZone, message: "Availability updated" });
+    });
+
+    // ✅ Exceptions: days off and holidays (whole days) or a single slot skipped on some dates
+    router.get("/trainers/:id/exceptions", verifyToken, verifyRole("trainer", "admin"), verifyTrainerOwner, async (req, res) => {
+        const exceptions = await exceptionsCollection.find({ trainerId: req.trainer._id }).sort({ startDate: 1 }).toArray();
+        res.json(exceptions);
+    });
+
+    router.post("/trainers/:id/exceptions", verifyToken, verifyRole("trainer", "admin"), verifyTrainerOwner, validateBody(schemas.availabilityException), async (req, res) => {
+        const { startDate, endDate = startDate, slotId, reason = "" } = req.body;
+        if (!isValidDate(startDate) || !isValidDate(endDate)) throw new ValidationError("startDate and endDate must be valid dates (YYYY-MM-DD)");
+        if (endDate < startDate) throw new ValidationError("endDate must not be before startDate");
+        if (daysBetween(startDate, endDate) >= MAX_EXCEPTION_DAYS) {
+            throw new ValidationError(`An exception can cover at most ${MAX_EXCEPTION_DAYS} days`);
+        }
+        if (slotId && !(await slotsCollection.countDocuments({ _id: slotId, trainerId: req.trainer._id }))) {
+            throw new NotFoundError("Slot not found");
+        }
+
+        // ✅ Booked sessions must be cancelled or rescheduled first
+        const covered = {
+            trainerId: req.trainer._id,
+            date: { $gte: startDate, $lte: endDate },
+            status: "scheduled",
+            ...(slotId ? { slotId } : {}),
+        };
+        const booked = await sessionsCollection.countDocuments({ ...covered, bookedCount: { $gt: 0 } });
+        if (booked) {
+            throw new ConflictError(`${booked} booked session(s) fall in this range; cancel or reschedule those bookings first`);
+        }
+
+        const exception = { trainerId: req.trainer._id, startDate, endDate, ...(slotId ? { slotId } : {}), reason, createdAt: new Date() };
+        const result = await exceptionsCollection.insertOne(exception);
+        await sessionsCollection.updateMany(
+            { ...covered, bookedCount: 0 },
+            { $set: { status: "cancelled", exceptionId: result.insertedId, updatedAt: new Date() } }
+        );
+
+        res.status(201).json({ success: true, message: "Exception added", insertedId: result.insertedId });
+    });
+
+    router.delete("/trainers/:trainerId/exceptions/:exceptionId", verifyToken, verifyRole("trainer", "admin"), verifyTrainerOwner, async (req, res) => {
+        const exception = await exceptionsCollection.findOneAndDelete({
+            _id: new ObjectId(req.params.exceptionId),
+            trainerId: req.trainer._id,
+        });
+        if (!exception) throw new NotFoundError("Exception not found");
+
+        // regenerated right away, unless another exception still covers the date
+        await sessionsCollection.deleteMany({ exceptionId: exception._id, bookedCount: 0 });
+        await generateUpcomingSessions(req.trainer);
+        res.json({ success: true, message: "Exception removed" });
+    });
+
+    // ✅ As days go by, sessions are generated up to the booking horizon (hourly, and once at startup)
+    if (backgroundJobs) {
+        const extendSessions = () =>
+            generateAllUpcomingSessions().catch((err) => log("error", "session generation failed", { error: err.message }));
+        extendSessions();
+        setInterval(extendSessions, 60 * 60 * 1000).unref();
+    }
+
+    // ✅ Dated sessions between ?from=&to= (trainer-local YYYY-MM-DD, default the next two weeks); read-only
+    router.get("/trainers/:id/calendar", async (req, res) => {
+        const trainer = await trainersCollection.findOne({ _id: new ObjectId(req.params.id), ...activeTrainerFilter });
+        if (!trainer) throw new NotFoundError("Trainer not found");
+
+        const timeZone = trainer.timeZone || DEFAULT_TIME_ZONE;
+        const from = req.query.from || localDate(new Date(), timeZone);
+        const to = req.query.to || addDays(from, 13);
+        if (!isValidDate(from) || !isValidDate(to)) throw new ValidationError("from and to must be valid dates (YYYY-MM-DD)");
+        if (to < from) throw new ValidationError("to must not be before from");
+        if (daysBetween(from, to) >= MAX_CALENDAR_DAYS) {
+            throw new ValidationError(`The calendar covers at most ${MAX_CALENDAR_DAYS} days per request`);
+        }
+
+        const [sessions, exceptions] = await Promise.all([
+            sessionsCollection.find({ trainerId: trainer._id, date: { $gte: from, $lte: to } }).sort({ startsAt: 1 }).toArray(),
+            exceptionsCollection
+                .find({ trainerId: trainer._id, startDate: { $lte: to }, endDate: { $gte: from } }, { projection: { trainerId: 0 } })
+                .toArray(),
+        ]);
+
+        res.json({
+            trainerId: trainer._id,
+            timeZone,
+            from,
+            to,
+            sessions: sessions.map((session) => {
+                const seatsLeft = Math.max(session.capacity - session.bookedCount, 0);
+                const state = session.status === "cancelled" ? "cancelled" : seatsLeft === 0 ? "full" : "open";
+                return { ...session, seatsLeft, state };
+            }),
+            exceptions,
+        });
+    });
+
+    return router;
+};
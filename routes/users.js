@@ -0,0 +1,239 @@
+const express = require("express");
+const { validateBody } = require("../lib/validation");
+const { schemas, ROLES } = require("../lib/schemas");
+const { listRoute } = require("../lib/listQuery");
+const { escapeRegex, MAX_QUERY_LENGTH } = require("../lib/search");
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError } = require("../lib/errors");
+
+// Shown instead of the name on records that outlive a deleted account
+const DELETED_NAME = "Deleted user";
+
+// 🔹 Users
+module.exports = async function createUsersRouter({
+    db,
+    client,
+    audit,
+    auth: { verifyToken, verifyRole, anyRole, isSelfOrAdmin },
+    bookings: { cancelBooking },
+    media: { unlinkMedia },
+}) {
+    const router = express.Router();
+    const usersCollection = db.collection("users");
+    const bookingsCollection = db.collection("bookings");
+    // one account per email: POST /users upserts by email, so two first sign-ins at once must not both insert
+    // (replaces the non-unique index of earlier versions)
+    const emailIndex = (await usersCollection.indexes().catch(() => [])).find((index) => index.name === "email_1");
+    if (emailIndex && !emailIndex.unique) await usersCollection.dropIndex("email_1");
+    await usersCollection.createIndex({ email: 1 }, { unique: true });
+
+    // ✅ One role enum: legacy "user" (and missing) roles become "member"
+    await usersCollection.updateMany({ role: { $nin: ROLES } }, { $set: { role: "member" } });
+    await usersCollection.updateMany({ status: { $exists: false } }, { $set: { status: "active" } });
+
+    // 🔹 Get All Users (?role=admin,trainer&status=deactivated&createdFrom=&createdTo=&sort=-lastLoginAt)
+    router.get("/users", verifyToken, verifyRole("admin"), listRoute(usersCollection, {
+        filters: {
+            role: { type: "list" },
+            status: { type: "list" },
+            // ?flag=trainer-demoted: members whose bookings were moved or cancelled
+            flag: { type: "list", field: "flags.type" },
+            created: { type: "dateRange", field: "createdAt" },
+        },
+        sortable: ["createdAt", "lastLoginAt", "name", "email", "role"],
+        defaultSort: "-_id",
+    }));
+
+    // 🔹 Register/Save User (for Firebase Registration)
+    // Called on every sign-in: creates the user once and records the login time
+    router.post("/users", verifyToken, validateBody(schemas.user), async (req, res) => {
+        const user = req.body;
+
+        // ✅ Users can only register themselves
+        if (user.email !== req.decoded.email) {
+            throw new ForbiddenError();
+        }
+
+        const now = new Date();
+        const result = await usersCollection.findOneAndUpdate(
+            { email: user.email },
+            {
+                $set: { lastLoginAt: now },
+                $setOnInsert: { ...user, role: "member", status: "active", createdAt: now },
+            },
+            { upsert: true, returnDocument: "after", includeResultMetadata: true }
+        );
+
+        if (result.lastErrorObject?.upserted) {
+            return res.status(201).json({ message: "User registered successfully", insertedId: result.lastErrorObject.upserted });
+        }
+        res.status(200).json({ message: "User already exists", user: result.value });
+    });
+
+    // 🔹 Own profile
+    router.get("/users/me", verifyToken, anyRole, async (req, res) => {
+        res.json(req.user);
+    });
+
+    router.patch("/users/me", verifyToken, anyRole, validateBody(schemas.userProfile, { partial: true }), async (req, res) => {
+        if (Object.keys(req.body).length === 0) throw new ValidationError("Nothing to update");
+
+        const user = await usersCollection.findOneAndUpdate(
+            { _id: req.user._id },
+            { $set: { ...req.body, updatedAt: new Date() } },
+            { returnDocument: "after" }
+        );
+        res.json({ success: true, user });
+    });
+
+    // 🔹 Account deletion
+    // Personal data is removed; shared records stay but point at an anonymous placeholder
+    // (bookings keep the payment trail, reviews keep trainer ratings, forum threads keep their replies).
+    const deleteAccount = async (user) => {
+        if (user.role === "trainer") {
+            throw new ConflictError("Remove the trainer role before deleting this account");
+        }
+        const { email } = user;
+        const placeholder = `deleted-${user._id}@deleted.invalid`;
+
+        // Bookings still to come are cancelled like a member cancel would: pending ones free their seat and intent,
+        // paid ones are refunded or go back to the plan. A failure stops the deletion so it can be retried.
+        const upcoming = await bookingsCollection
+            .find({
+                userEmail: email,
+                $or: [{ status: "pending" }, { status: "paid", "session.startsAt": { $gt: new Date() } }],
+            })
+            .toArray();
+        for (const booking of upcoming) {
+            await cancelBooking(booking, { cancelledBy: email, reason: "account deleted" });
+        }
+
+        // Images of the deleted application and archived trainer profile become orphans (removed by the media cleanup)
+        const [applications, archivedTrainers] = await Promise.all([
+            db.collection("trainerApplications").find({ email }, { projection: { _id: 1 } }).toArray(),
+            db.collection("trainers").find({ email, status: "archived" }, { projection: { _id: 1 } }).toArray(),
+        ]);
+
+        const session = client.startSession();
+        try {
+            await session.withTransaction(async () => {
+                const anonymize = (collection, field, extra = {}) =>
+                    db.collection(collection).updateMany({ [field]: email }, { $set: { [field]: placeholder, ...extra } }, { session });
+
+                await anonymize("bookings", "userEmail", { userName: DELETED_NAME });
+                await anonymize("reviews", "userEmail", { userName: DELETED_NAME });
+                await anonymize("forum", "authorEmail", { authorName: DELETED_NAME });
+                await anonymize("forumComments", "authorEmail", { authorName: DELETED_NAME });
+                await anonymize("forumVotes", "userEmail");
+                await anonymize("forumReports", "reporterEmail");
+                await anonymize("campaignDeliveries", "email");
+                await anonymize("memberships", "userEmail");
+                await anonymize("media", "ownerEmail");
+
+                await db.collection("notifications").deleteMany({ userEmail: email }, { session });
+                await db.collection("workouts").deleteMany({ userId: user._id }, { session });
+                await db.collection("bodyMetrics").deleteMany({ userId: user._id }, { session });
+                await db.collection("trainerApplications").deleteMany({ email }, { session });
+                await db.collection("trainers").deleteMany({ email, status: "archived" }, { session });
+                await db.collection("subscriber").deleteMany({ email }, { session });
+                await usersCollection.deleteOne({ _id: user._id }, { session });
+            });
+        } finally {
+            await session.endSession();
+        }
+
+        for (const { _id } of applications) await unlinkMedia(`trainerApplication:${_id}`);
+        for (const { _id } of archivedTrainers) await unlinkMedia(`trainer:${_id}`);
+    };
+
+    router.delete("/users/me", verifyToken, anyRole, async (req, res) => {
+        // someone has to be left to run the gym
+        if (req.user.role === "admin") {
+            const otherAdmins = await usersCollection.countDocuments({ role: "admin", status: { $ne: "deactivated" }, _id: { $ne: req.user._id } });
+            if (otherAdmins === 0) throw new ForbiddenError("You are the last admin; make someone else admin first");
+        }
+        await deleteAccount(req.user);
+        res.json({ success: true, message: "Account deleted" });
+    });
+
+    router.delete("/users/:email", verifyToken, verifyRole("admin"), async (req, res) => {
+        const user = await usersCollection.findOne({ email: req.params.email });
+        if (!user) throw new NotFoundError("User not found");
+
+        await deleteAccount(user);
+        // no email or profile in the entry: the account's personal data is gone
+        await audit(req, { action: "user.delete", target: { type: "user", id: user._id }, before: { role: user.role, status: user.status } });
+        res.json({ success: true, message: "Account deleted" });
+    });
+
+    // ✅ Search User by Name (Case-Insensitive)
+    router.get("/users/search", verifyToken, verifyRole("admin"), async (req, res) => {
+        const name = String(req.query.name || "").trim();
+        if (!name) throw new ValidationError("Name is required");
+        if (name.length > MAX_QUERY_LENGTH) {
+            throw new ValidationError(`Name must be at most ${MAX_QUERY_LENGTH} characters`);
+        }
+
+        // Case-insensitive substring match; the input is escaped so it is matched literally
+        const users = await db.collection("users")
+            .find({ name: { $regex: escapeRegex(name), $options: "i" } })
+            .limit(50)
+            .toArray();
+
+        if (users.length === 0) throw new NotFoundError("No users found");
+
+        res.json(users);
+    });
+
+    // Apply an admin change to the user in :email and record it in the audit log
+    const updateUserAudited = async (req, action, update) => {
+        const before = await usersCollection.findOneAndUpdate({ email: req.params.email }, update, { returnDocument: "before" });
+        if (!before) throw new NotFoundError("User not found");
+
+        const after = await usersCollection.findOne({ _id: before._id });
+        await audit(req, { action, target: { type: "user", id: before._id, label: before.email }, before, after });
+    };
+
+    // ✅ Make User Admin
+    router.patch("/users/:email/make-admin", verifyToken, verifyRole("admin"), async (req, res) => {
+        await updateUserAudited(req, "user.make-admin", { $set: { role: "admin", updatedAt: new Date() } });
+        res.json({ success: true, message: "User promoted to admin" });
+    });
+
+    // ✅ Remove Admin Role
+    router.patch("/users/:email/remove-admin", verifyToken, verifyRole("admin"), async (req, res) => {
+        await updateUserAudited(req, "user.remove-admin", { $set: { role: "member", updatedAt: new Date() } });
+        res.json({ success: true, message: "Admin role removed" });
+    });
+
+    // ✅ Get User Role by Email
+    router.get("/users/role/:email", verifyToken, anyRole, async (req, res) => {
+        const email = req.params.email;
+        if (!isSelfOrAdmin(req, email)) throw new ForbiddenError();
+        const user = await db.collection("users").findOne({ email });
+
+        if (!user) {
+            throw new NotFoundError("User not found");
+        }
+
+        res.json({ role: user.role || "member" });
+    });
+
+    // ✅ Deactivate / Reactivate Account (a deactivated user fails every role check)
+    const setAccountStatus = (status, message) => async (req, res) => {
+        if (req.params.email === req.decoded.email) throw new ForbiddenError("You can't change your own account status");
+
+        await updateUserAudited(
+            req,
+            status === "deactivated" ? "user.deactivate" : "user.reactivate",
+            status === "deactivated"
+                ? { $set: { status, deactivatedAt: new Date(), deactivatedBy: req.decoded.email, updatedAt: new Date() } }
+                : { $set: { status, updatedAt: new Date() }, $unset: { deactivatedAt: "", deactivatedBy: "" } }
+        );
+        res.json({ success: true, status, message });
+    };
+
+    router.patch("/users/:email/deactivate", verifyToken, verifyRole("admin"), setAccountStatus("deactivated", "Account deactivated"));
+    router.patch("/users/:email/reactivate", verifyToken, verifyRole("admin"), setAccountStatus("active", "Account reactivated"));
+
+    return router;
+};
@@ -0,0 +1,239 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { validateBody } = require("../lib/validation");
+const { schemas } = require("../lib/schemas");
+const { listRoute, parseDateRange } = require("../lib/listQuery");
+const { ValidationError, NotFoundError } = require("../lib/errors");
+const { isValidTimeZone } = require("../lib/calendar");
+
+// 🔹 Workout and body metric tracking
+module.exports = async function createWorkoutsRouter({ db, auth: { verifyToken, anyRole } }) {
+    const router = express.Router();
+
+    // 🏋️ WORKOUT & BODY METRIC TRACKING
+    // Entries belong to the authenticated user (req.user from usersCollection)
+    const workoutsCollection = db.collection("workouts");
+    const bodyMetricsCollection = db.collection("bodyMetrics");
+    await workoutsCollection.createIndex({ userId: 1, performedAt: -1 });
+    await workoutsCollection.createIndex({ userId: 1, exercise: 1 });
+    await bodyMetricsCollection.createIndex({ userId: 1, measuredAt: -1 });
+
+    const member = [verifyToken, anyRole];
+
+    // CRUD routes for a per-user log collection
+    const ownedEntryRoutes = ({ path, collection, schema, dateField, label, requireAny = [], filters = {} }) => {
+        router.post(path, ...member, validateBody(schema), async (req, res) => {
+            if (requireAny.length && !requireAny.some((field) => req.body[field] !== undefined)) {
+                throw new ValidationError("Validation failed", [{ field: requireAny.join("|"), message: `at least one of ${requireAny.join(", ")} is required` }]);
+            }
+
+            const entry = {
+                ...req.body,
+                [dateField]: req.body[dateField] || new Date(),
+                userId: req.user._id,
+                createdAt: new Date(),
+            };
+            const result = await collection.insertOne(entry);
+            res.status(201).json({ success: true, insertedId: result.insertedId });
+        });
+
+        // ?from=&to= on the entry date, plus the collection's own filters
+        router.get(path, ...member, (req, res, next) => {
+            if (!parseDateRange(req.query, dateField)) throw new ValidationError("from and to must be valid dates");
+            next();
+        }, listRoute(collection, {
+            filters,
+            sortable: [dateField, "createdAt"],
+            defaultSort: `-${dateField}`,
+        }, {
+            baseFilter: (req) => ({ ...parseDateRange(req.query, dateField), userId: req.user._id }),
+        }));
+
+        router.get(`${path}/:id`, ...member, async (req, res) => {
+            const entry = await collection.findOne({ _id: new ObjectId(req.params.id), userId: req.user._id });
+            if (!entry) throw new NotFoundError(`${label} not found`);
+            res.json(entry);
+        });
+
+        router.patch(`${path}/:id`, ...member, validateBody(schema, { partial: true }), async (req, res) => {
+            const result = await collection.updateOne(
+                { _id: new ObjectId(req.params.id), userId: req.user._id },
+                { $set: { ...req.body, updatedAt: new Date() } }
+            );
+            if (result.matchedCount === 0) throw new NotFoundError(`${label} not found`);
+            res.json({ success: true, message: `${label} updated` });
+        });
+
+        router.delete(`${path}/:id`, ...member, async (req, res) => {
+            const result = await collection.deleteOne({ _id: new ObjectId(req.params.id), userId: req.user._id });
+            if (result.deletedCount === 0) throw new NotFoundError(`${label} not found`);
+            res.json({ success: true, message: `${label} deleted` });
+        });
+    };
+
+    // ?period=day|week|month (default week) and ?from=&to= for the summary routes
+    const parseSummaryQuery = (query, dateField) => {
+        const period = query.period || "week";
+        if (!["day", "week", "month"].includes(period)) {
+            throw new ValidationError("period must be one of day, week, month");
+        }
+        const range = parseDateRange(query, dateField);
+        if (!range) throw new ValidationError("from and to must be valid dates");
+        return { period, range };
+    };
+
+    // ✅ Summary per period (?period=day|week|month, default week)
+    router.get("/workouts/summary", ...member, async (req, res) => {
+        const { period, range } = parseSummaryQuery(req.query, "performedAt");
+
+        const summary = await workoutsCollection.aggregate([
+            { $match: { userId: req.user._id, ...range } },
+            {
+                $group: {
+                    _id: { $dateTrunc: { date: "$performedAt", unit: period } },
+                    workouts: { $sum: 1 },
+                    activeDays: { $addToSet: { $dateToString: { format: "%Y-%m-%d", date: "$performedAt" } } },
+                    sets: { $sum: { $ifNull: ["$sets", 0] } },
+                    reps: { $sum: { $multiply: [{ $ifNull: ["$sets", 1] }, { $ifNull: ["$reps", 0] }] } },
+                    volume: {
+                        $sum: {
+                            $multiply: [{ $ifNull: ["$sets", 1] }, { $ifNull: ["$reps", 0] }, { $ifNull: ["$weight", 0] }],
+                        },
+                    },
+                    duration: { $sum: { $ifNull: ["$duration", 0] } },
+                    calories: { $sum: { $ifNull: ["$calories", 0] } },
+                },
+            },
+            { $sort: { _id: 1 } },
+            { $project: { _id: 0, period: "$_id", workouts: 1, activeDays: { $size: "$activeDays" }, sets: 1, reps: 1, volume: 1, duration: 1, calories: 1 } },
+        ]).toArray();
+
+        res.json({ period, summary });
+    });
+
+    // ✅ Body metric summary per period: first, last, change, min, max and average of weight and body fat
+    router.get("/metrics/summary", ...member, async (req, res) => {
+        const { period, range } = parseSummaryQuery(req.query, "measuredAt");
+
+        // readings of one metric in date order, without the measurements that skipped it
+        const metric = (field) => ({
+            $let: {
+                vars: { values: { $filter: { input: `$${field}`, cond: { $ne: ["$$this", null] } } } },
+                in: {
+                    $cond: [
+                        { $eq: [{ $size: "$$values" }, 0] },
+                        null,
+                        {
+                            first: { $first: "$$values" },
+                            last: { $last: "$$values" },
+                            change: { $subtract: [{ $last: "$$values" }, { $first: "$$values" }] },
+                            min: { $min: "$$values" },
+                            max: { $max: "$$values" },
+                            average: { $round: [{ $avg: "$$values" }, 2] },
+                        },
+                    ],
+                },
+            },
+        });
+
+        const summary = await bodyMetricsCollection.aggregate([
+            { $match: { userId: req.user._id, ...range } },
+            { $sort: { measuredAt: 1 } },
+            {
+                $group: {
+                    _id: { $dateTrunc: { date: "$measuredAt", unit: period } },
+                    measurements: { $sum: 1 },
+                    weight: { $push: "$weight" },
+                    bodyFat: { $push: "$bodyFat" },
+                },
+            },
+            { $sort: { _id: 1 } },
+            {
+                $project: {
+                    _id: 0,
+                    period: "$_id",
+                    measurements: 1,
+                    weight: metric("weight"),
+                    bodyFat: metric("bodyFat"),
+                },
+            },
+        ]).toArray();
+
+        res.json({ period, summary });
+    });
+
+    // ✅ Personal records per exercise (heaviest weight, most reps, biggest single-entry volume)
+    router.get("/workouts/records", ...member, async (req, res) => {
+        const records = await workoutsCollection.aggregate([
+            { $match: { userId: req.user._id } },
+            {
+                $addFields: {
+                    volume: { $multiply: [{ $ifNull: ["$sets", 1] }, { $ifNull: ["$reps", 0] }, { $ifNull: ["$weight", 0] }] },
+                },
+            },
+            {
+                $group: {
+                    _id: { $toLower: "$exercise" },
+                    exercise: { $first: "$exercise" },
+                    maxWeight: { $top: { sortBy: { weight: -1 }, output: { value: "$weight", performedAt: "$performedAt" } } },
+                    maxReps: { $top: { sortBy: { reps: -1 }, output: { value: "$reps", performedAt: "$performedAt" } } },
+                    maxVolume: { $top: { sortBy: { volume: -1 }, output: { value: "$volume", performedAt: "$performedAt" } } },
+                    entries: { $sum: 1 },
+                },
+            },
+            { $sort: { exercise: 1 } },
+            { $project: { _id: 0 } },
+        ]).toArray();
+
+        res.json(records);
+    });
+
+    // ✅ Current and longest streak of consecutive workout days (?tz= IANA time zone, default UTC)
+    router.get("/workouts/streak", ...member, async (req, res) => {
+        const timezone = req.query.tz || "UTC";
+        if (!isValidTimeZone(timezone)) throw new ValidationError("Invalid time zone");
+
+        const days = await workoutsCollection.aggregate([
+            { $match: { userId: req.user._id } },
+            { $group: { _id: { $dateToString: { format: "%Y-%m-%d", date: "$performedAt", timezone } } } },
+            { $sort: { _id: 1 } },
+        ]).toArray();
+
+        const DAY = 24 * 60 * 60 * 1000;
+        let longest = 0;
+        let run = 0;
+        let previous = null;
+        for (const { _id } of days) {
+            const day = Date.parse(_id);
+            run = previous !== null && day - previous === DAY ? run + 1 : 1;
+            longest = Math.max(longest, run);
+            previous = day;
+        }
+
+        // the current streak survives until a full day passes without a workout
+        const today = Date.parse(new Date().toLocaleDateString("en-CA", { timeZone: timezone }));
+        const current = previous !== null && today - previous <= DAY ? run : 0;
+
+        res.json({ current, longest, lastWorkoutDay: days.at(-1)?._id || null });
+    });
+
+    ownedEntryRoutes({
+        path: "/workouts",
+        collection: workoutsCollection,
+        schema: schemas.workout,
+        dateField: "performedAt",
+        label: "Workout",
+        filters: { exercise: { type: "list" } },
+    });
+
+    ownedEntryRoutes({
+        path: "/metrics",
+        collection: bodyMetricsCollection,
+        schema: schemas.bodyMetric,
+        dateField: "measuredAt",
+        label: "Body metric",
+        requireAny: ["weight", "bodyFat"],
+    });
+
+    return router;
+};
@@ -0,0 +1,49 @@
+const { BSON } = require("mongodb");
+const { log } = require("../lib/http");
+
+// Bookkeeping fields that change on every write and would only add noise to a diff
+const IGNORED_FIELDS = ["_id", "updatedAt", "history", "statusHistory"];
+
+const same = (a, b) => BSON.EJSON.stringify(a ?? null) === BSON.EJSON.stringify(b ?? null);
+
+// Top-level fields that differ between two snapshots → { field: { before, after } }
+// (before is null for creations, after is null for deletions)
+function diffDocuments(before, after) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    for (const field of fields) {
+        if (IGNORED_FIELDS.includes(field) || same(before?.[field], after?.[field])) continue;
+        changes[field] = { before: before?.[field] ?? null, after: after?.[field] ?? null };
+    }
+    return changes;
+}
+
+// 📜 AUDIT LOG
+// Append-only record of privileged mutations: the API only ever inserts into auditLog.
+async function createAuditLog(db) {
+    const auditCollection = db.collection("auditLog");
+    await auditCollection.createIndex({ at: -1 });
+    await auditCollection.createIndex({ "actor.email": 1, at: -1 });
+    await auditCollection.createIndex({ "target.type": 1, "target.id": 1, at: -1 });
+
+    // Never throws: the mutation already happened, a failed entry is logged loudly instead
+    const audit = async (req, { action, target, before = null, after = null, meta }) => {
+        try {
+            await auditCollection.insertOne({
+                at: new Date(),
+                actor: { email: req.decoded?.email, role: req.user?.role },
+                action,
+                target: { type: target.type, id: String(target.id), ...(target.label ? { label: target.label } : {}) },
+                changes: diffDocuments(before, after),
+                ...(meta ? { meta } : {}),
+                requestId: req.id,
+            });
+        } catch (err) {
+            log("error", "Audit entry could not be written", { requestId: req.id, action, error: err.message });
+        }
+    };
+
+    return audit;
+}
+
+module.exports = { createAuditLog, diffDocuments };
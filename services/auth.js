@@ -0,0 +1,59 @@
+const { ObjectId } = require("mongodb");
+const { ROLES } = require("../lib/schemas");
+const { AuthError, ForbiddenError, NotFoundError } = require("../lib/errors");
+
+// 🔐 AUTH MIDDLEWARE
+// verifyIdToken: token → claims (Firebase Admin, or the local stand-in, see lib/tokenVerifier.js)
+function createAuth(db, verifyIdToken) {
+    const usersCollection = db.collection("users");
+    const trainersCollection = db.collection("trainers");
+
+    // Verify the Firebase ID token sent as "Authorization: Bearer <token>"
+    const verifyToken = async (req, res, next) => {
+        const [scheme, token] = (req.headers.authorization || "").split(" ");
+        if (scheme !== "Bearer" || !token) throw new AuthError();
+
+        try {
+            req.decoded = await verifyIdToken(token);
+        } catch (err) {
+            throw new AuthError("Invalid or expired token");
+        }
+        next();
+    };
+
+    // Load the caller's role from usersCollection and allow only the listed roles.
+    // Deactivated accounts are refused everywhere a role is checked.
+    const verifyRole = (...roles) => async (req, res, next) => {
+        const user = await usersCollection.findOne({ email: req.decoded?.email });
+        if (!user || !roles.includes(user.role || "member")) {
+            throw new ForbiddenError();
+        }
+        if (user.status === "deactivated") {
+            throw new ForbiddenError("Account is deactivated");
+        }
+
+        req.user = user;
+        next();
+    };
+
+    const anyRole = verifyRole(...ROLES);
+    const isSelfOrAdmin = (req, email) => req.user?.role === "admin" || req.decoded?.email === email;
+
+    // Trainers may only manage their own profile/slots, admins may manage any
+    const verifyTrainerOwner = async (req, res, next) => {
+        const id = req.params.id || req.params.trainerId;
+        const trainer = await trainersCollection.findOne({ _id: new ObjectId(id) });
+        if (!trainer) throw new NotFoundError("Trainer not found");
+
+        if (!isSelfOrAdmin(req, trainer.email)) {
+            throw new ForbiddenError();
+        }
+
+        req.trainer = trainer;
+        next();
+    };
+
+    return { verifyToken, verifyRole, anyRole, isSelfOrAdmin, verifyTrainerOwner };
+}
+
+module.exports = { createAuth };
@@ -0,0 +1,182 @@
+const { ObjectId } = require("mongodb");
+const { ConflictError, UpstreamError } = require("../lib/errors");
+const { log } = require("../lib/http");
+
+// Booking lifecycle: pending → paid | failed | cancelled, paid → refunding → refunded
+// (a provider-initiated refund can go straight from paid to refunded).
+// paid → cancelled is only used for bookings covered by a plan: nothing to refund, the session goes back to the plan.
+// The booking that bought a plan the member kept using is cancelled with planRetained: its price stays collected.
+const BOOKING_TRANSITIONS = {
+    paid: ["pending"],
+    failed: ["pending"],
+    cancelled: ["pending", "paid"],
+    refunding: ["paid"],
+    refunded: ["paid", "refunding"],
+};
+
+// Denormalized onto the booking so lists and notifications don't need the session
+const sessionFields = (session) => ({
+    sessionId: session._id,
+    slotId: session.slotId,
+    session: { date: session.date, startsAt: session.startsAt, endsAt: session.endsAt, timeZone: session.timeZone },
+    slot: {
+        day: session.day,
+        startTime: session.startTime,
+        endTime: session.endTime,
+        classId: session.classId,
+        className: session.className,
+    },
+});
+
+// Checkouts not paid within this time are given up: the seat and the pending plan are released
+const PENDING_TTL_MINUTES = Number(process.env.BOOKING_PENDING_TTL_MINUTES) || 30;
+
+// "2026-10-20 18:00" (or "Tue 18:00" for bookings made before sessions existed)
+const sessionLabel = (booking) => `${booking.session?.date || booking.slot?.day || ""} ${booking.slot?.startTime || ""}`;
+
+function createBookingService(db, { notify, paymentProvider, memberships: { returnSession, lockForRefund, unlockRefund, endMembership } }) {
+    const bookingsCollection = db.collection("bookings");
+    const slotsCollection = db.collection("slots");
+    const sessionsCollection = db.collection("sessions");
+    const classesCollection = db.collection("classes");
+    const trainersCollection = db.collection("trainers");
+    const membershipsCollection = db.collection("memberships");
+
+    // Atomically move a booking to `status` only if its current status allows it
+    const transitionBooking = (filter, status, extra = {}) =>
+        bookingsCollection.findOneAndUpdate(
+            { ...filter, status: { $in: BOOKING_TRANSITIONS[status] } },
+            {
+                $set: { status, ...extra, updatedAt: new Date() },
+                $push: { statusHistory: { status, at: new Date() } },
+            },
+            { returnDocument: "after" }
+        );
+
+    // Release a reserved seat (payment failed, booking refunded/cancelled).
+    // Takes the booking (or { sessionId }); bookings made before sessions existed hold a seat on the slot.
+    const releaseSeat = ({ sessionId, slotId }) => {
+        if (sessionId) {
+            return sessionsCollection.updateOne({ _id: sessionId, bookedCount: { $gt: 0 } }, { $inc: { bookedCount: -1 } });
+        }
+        if (slotId) {
+            return slotsCollection.updateOne({ _id: slotId, bookedCount: { $gt: 0 } }, { $inc: { bookedCount: -1 } });
+        }
+    };
+
+    const adjustClassBookings = (classId, delta) =>
+        classesCollection.updateOne({ _id: classId }, { $inc: { totalBookings: delta } });
+
+    const notifyTrainer = async (booking, notification) => {
+        const trainer = await trainersCollection.findOne({ _id: new ObjectId(booking.trainerId) }, { projection: { email: 1 } });
+        if (trainer?.email) await notify(trainer.email, { ...notification, data: { bookingId: booking._id } });
+    };
+
+    // Cancel a pending or paid booking: pending → cancelled (intent cancelled), paid → cancelled with the
+    // session given back to the plan, or paid → refunded through the provider.
+    // Resolves to { status, refundId? }; throws ConflictError if the booking changed meanwhile.
+    const cancelBooking = async (booking, { cancelledBy, reason = "" }) => {
+        if (booking.status === "pending") {
+            // ✅ Cancel the intent first: when the payment already went through, the booking stays pending
+            // so the succeeded webhook can still mark it paid (and a retry then refunds it)
+            if (booking.paymentIntentId) {
+                try {
+                    await paymentProvider.cancelIntent(booking.paymentIntentId);
+                } catch (err) {
+                    log("error", "payment intent cancel failed", { bookingId: booking._id.toString(), error: err.message });
+                    throw new UpstreamError("The payment could not be cancelled, booking kept; please retry shortly");
+                }
+            }
+
+            const cancelled = await transitionBooking({ _id: booking._id }, "cancelled", { cancelledBy, cancelReason: reason });
+            if (!cancelled) throw new ConflictError("Booking changed, please retry");
+
+            await releaseSeat(booking);
+            if (booking.planPurchase) await endMembership(booking.membershipId, "cancelled");
+            return { status: "cancelled" };
+        }
+
+        // ✅ Plan sessions go back to the plan; the booking that bought the plan is only refunded
+        // while the plan hasn't covered any other booking. The plan is locked before that decision,
+        // so no booking can use it between the check and the refund.
+        let returnToPlan = Boolean(booking.membershipId) && !booking.planPurchase;
+        let planLocked = false;
+        if (booking.planPurchase) {
+            planLocked = Boolean(await lockForRefund(booking.membershipId));
+            if (!planLocked) {
+                const membership = await membershipsCollection.findOne({ _id: booking.membershipId });
+                returnToPlan = membership?.status === "active";
+            }
+        }
+
+        if (returnToPlan) {
+            // the member keeps the plan they paid for, so the purchase still counts as revenue
+            const extra = booking.planPurchase ? { planRetained: true } : {};
+            const cancelled = await transitionBooking({ _id: booking._id }, "cancelled", { cancelledBy, cancelReason: reason, ...extra });
+            if (!cancelled) throw new ConflictError("Booking changed, please retry");
+
+            await releaseSeat(booking);
+            await returnSession(booking.membershipId);
+            if (booking.slot?.classId) await adjustClassBookings(booking.slot.classId, -1);
+            return { status: "cancelled", returnedToPlan: true };
+        }
+
+        // ✅ Claim the booking first so two cancel calls can't refund twice
+        const claimed = await transitionBooking({ _id: booking._id }, "refunding", { cancelledBy, cancelReason: reason });
+        if (!claimed) {
+            if (planLocked) await unlockRefund(booking.membershipId);
+            throw new ConflictError("Booking changed, please retry");
+        }
+
+        let refund;
+        try {
+            refund = await paymentProvider.refund(booking.paymentIntentId);
+        } catch (err) {
+            await bookingsCollection.updateOne(
+                { _id: booking._id, status: "refunding" },
+                { $set: { status: "paid" }, $push: { statusHistory: { status: "paid", at: new Date(), note: "refund failed" } } }
+            );
+            if (planLocked) await unlockRefund(booking.membershipId);
+            log("error", "refund failed", { bookingId: booking._id.toString(), error: err.message });
+            throw new UpstreamError("Refund failed, booking kept");
+        }
+
+        // the provider's refund webhook may have finished the transition (and released the seat) already
+        const refunded = await transitionBooking({ _id: booking._id }, "refunded", { refundId: refund.id, refundedAt: new Date() });
+        if (refunded) {
+            await releaseSeat(booking);
+            if (booking.slot?.classId) await adjustClassBookings(booking.slot.classId, -1);
+            if (booking.planPurchase) await endMembership(booking.membershipId, "refunded");
+        }
+        return { status: "refunded", refundId: refund.id };
+    };
+
+    // 🔹 Abandoned checkouts never get a webhook: cancel pending bookings older than PENDING_TTL_MINUTES.
+    // A payment that went through meanwhile makes cancelBooking throw, the booking stays pending for its webhook.
+    const expirePendingBookings = async () => {
+        const cutoff = new Date(Date.now() - PENDING_TTL_MINUTES * 60 * 1000);
+        const stale = await bookingsCollection.find({ status: "pending", createdAt: { $lt: cutoff } }).limit(500).toArray();
+
+        let expired = 0;
+        for (const booking of stale) {
+            try {
+                await cancelBooking(booking, { cancelledBy: "system", reason: "payment not completed in time" });
+            } catch (err) {
+                log("error", "pending booking not expired", { bookingId: booking._id.toString(), error: err.message });
+                continue;
+            }
+            expired += 1;
+            await notify(booking.userEmail, {
+                type: "booking.expired",
+                title: "Your booking expired",
+                message: `The payment for your ${sessionLabel(booking)} session wasn't completed, so the seat was released.`,
+                data: { bookingId: booking._id },
+            });
+        }
+        return expired;
+    };
+
+    return { transitionBooking, releaseSeat, adjustClassBookings, notifyTrainer, cancelBooking, expirePendingBookings };
+}
+
+module.exports = { BOOKING_TRANSITIONS, PENDING_TTL_MINUTES, sessionFields, sessionLabel, createBookingService };
@@ -0,0 +1,33 @@
+// A class is taught by the approved trainers that have slots for it (class.trainerIds)
+const MAX_TRAINERS_PER_CLASS = 5;
+
+function createClassLinks(db) {
+    const classesCollection = db.collection("classes");
+    const slotsCollection = db.collection("slots");
+
+    // Atomically add the trainer unless the class is already at its trainer cap
+    const linkTrainerToClass = async (classId, trainerId) => {
+        const result = await classesCollection.updateOne(
+            {
+                _id: classId,
+                $or: [
+                    { trainerIds: trainerId },
+                    { [`trainerIds.${MAX_TRAINERS_PER_CLASS - 1}`]: { $exists: false } },
+                ],
+            },
+            { $addToSet: { trainerIds: trainerId } }
+        );
+        return result.matchedCount > 0;
+    };
+
+    const unlinkTrainerIfNoSlots = async (classId, trainerId) => {
+        const remaining = await slotsCollection.countDocuments({ classId, trainerId });
+        if (remaining === 0) {
+            await classesCollection.updateOne({ _id: classId }, { $pull: { trainerIds: trainerId } });
+        }
+    };
+
+    return { linkTrainerToClass, unlinkTrainerIfNoSlots };
+}
+
+module.exports = { MAX_TRAINERS_PER_CLASS, createClassLinks };
@@ -0,0 +1,48 @@
+// Forum read-model pieces shared by the forum routes and /search
+
+// "Hot" rank: log-scaled score plus a recency bonus (a score of 10 ≈ 12.5 hours newer)
+const HOT_EPOCH = new Date("2025-01-01T00:00:00Z");
+const hotRankStage = {
+    $addFields: {
+        hotRank: {
+            $add: [
+                {
+                    $multiply: [
+                        { $cmp: [{ $ifNull: ["$score", 0] }, 0] },
+                        { $log10: { $max: [{ $abs: { $ifNull: ["$score", 0] } }, 1] } },
+                    ],
+                },
+                { $divide: [{ $subtract: [{ $ifNull: ["$createdAt", HOT_EPOCH] }, HOT_EPOCH] }, 45000 * 1000] },
+            ],
+        },
+    },
+};
+
+// Hidden posts are only visible in the moderation queue
+const visiblePostFilter = { status: { $ne: "hidden" } };
+
+// Role badge for trainer/admin authors, looked up from usersCollection at read time
+const authorBadgeStages = [
+    {
+        $lookup: {
+            from: "users",
+            localField: "authorEmail",
+            foreignField: "email",
+            pipeline: [{ $project: { _id: 0, role: 1 } }],
+            as: "authorUser",
+        },
+    },
+    {
+        $addFields: {
+            authorBadge: {
+                $let: {
+                    vars: { role: { $first: "$authorUser.role" } },
+                    in: { $cond: [{ $in: ["$$role", ["trainer", "admin"]] }, "$$role", null] },
+                },
+            },
+        },
+    },
+    { $project: { authorUser: 0 } },
+];
+
+module.exports = { hotRankStage, visiblePostFilter, authorBadgeStages };
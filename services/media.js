@@ -0,0 +1,79 @@
+const { ObjectId } = require("mongodb");
+const { ValidationError } = require("../lib/errors");
+const { log } = require("../lib/http");
+
+// Unreferenced uploads are kept this long (time to submit the form that uses them), then removed
+const ORPHAN_GRACE_HOURS = Number(process.env.MEDIA_ORPHAN_HOURS) || 24;
+
+// 🔹 Uploaded media and the documents using it.
+// Image fields hold the media URL (`${apiUrl}/media/<id>`); a media document lists its users in `refs`
+// as "<type>:<id>" strings (e.g. "class:64f0…"). Media without refs is an orphan.
+function createMediaService(db, { storage, apiUrl }) {
+    const mediaCollection = db.collection("media");
+    const prefix = `${apiUrl}/media/`;
+
+    const mediaUrl = (id, variant) => `${prefix}${id}${variant === "thumb" ? "/thumb" : ""}`;
+
+    // One of our media URLs → its id; images hosted elsewhere → null
+    const mediaIdFromUrl = (url) => {
+        if (typeof url !== "string" || !url.startsWith(prefix)) return null;
+        const match = /^([a-f\d]{24})(\/thumb)?$/i.exec(url.slice(prefix.length));
+        return match ? new ObjectId(match[1]) : null;
+    };
+
+    // ✅ { image: url, ... } → ValidationError when a field points at media that doesn't exist
+    const checkMediaUrls = async (fields) => {
+        for (const [field, url] of Object.entries(fields)) {
+            if (typeof url !== "string" || !url.startsWith(prefix)) continue;
+
+            const id = mediaIdFromUrl(url);
+            if (!id || !(await mediaCollection.countDocuments({ _id: id }, { limit: 1 }))) {
+                throw new ValidationError("Validation failed", [{ field, message: "refers to unknown media" }]);
+            }
+        }
+    };
+
+    // Make `ref` use exactly these URLs; media it stops using may become orphans
+    const linkMedia = async (ref, ...urls) => {
+        const ids = urls.map(mediaIdFromUrl).filter(Boolean);
+        const now = new Date();
+        await mediaCollection.updateMany({ refs: ref, _id: { $nin: ids } }, { $pull: { refs: ref }, $set: { updatedAt: now } });
+        if (ids.length) {
+            await mediaCollection.updateMany({ _id: { $in: ids } }, { $addToSet: { refs: ref }, $set: { updatedAt: now } });
+        }
+    };
+
+    // The document behind `ref` was deleted
+    const unlinkMedia = (ref) => linkMedia(ref);
+
+    // Remove the document first (only while unreferenced), then its files
+    const removeMedia = async (filter) => {
+        const media = await mediaCollection.findOneAndDelete({ ...filter, refs: { $size: 0 } });
+        if (!media) return null;
+
+        for (const { key } of Object.values(media.variants)) {
+            await storage.delete(key).catch((err) =>
+                log("error", "media file delete failed", { mediaId: media._id.toString(), key, error: err.message })
+            );
+        }
+        return media;
+    };
+
+    const sweepOrphans = async () => {
+        const cutoff = new Date(Date.now() - ORPHAN_GRACE_HOURS * 60 * 60 * 1000);
+        const orphans = await mediaCollection
+            .find({ refs: { $size: 0 }, updatedAt: { $lt: cutoff } }, { projection: { _id: 1 } })
+            .limit(500)
+            .toArray();
+
+        let removed = 0;
+        for (const { _id } of orphans) {
+            if (await removeMedia({ _id, updatedAt: { $lt: cutoff } })) removed += 1;
+        }
+        return removed;
+    };
+
+    return { mediaUrl, mediaIdFromUrl, checkMediaUrls, linkMedia, unlinkMedia, removeMedia, sweepOrphans };
+}
+
+module.exports = { ORPHAN_GRACE_HOURS, createMediaService };
@@ -0,0 +1,110 @@
+// Membership lifecycle: pending (plan bought, payment not confirmed) → active | failed | cancelled,
+// pending | active → refunding (locked while the purchase is refunded) → refunded, or back if the refund fails.
+// An active membership still stops covering bookings once it expires or its sessions are used up.
+function createMembershipService(db) {
+    const membershipsCollection = db.collection("memberships");
+
+    // The member's latest active membership (it may have expired or run out of sessions)
+    const currentMembership = (userEmail) =>
+        membershipsCollection.findOne({ userEmail, status: "active" }, { sort: { expiresAt: -1 } });
+
+    const describeMembership = (membership, now = new Date()) => ({
+        ...membership,
+        remainingSessions: Math.max(membership.includedSessions - membership.sessionsUsed, 0),
+        expired: membership.expiresAt <= now,
+    });
+
+    // An empty classIds list means every class
+    const coversClass = (membership, classId) =>
+        !membership.classIds?.length || membership.classIds.some((id) => id.equals(classId));
+
+    // Atomically take one session from an active, unexpired membership
+    const useSession = (membershipId) =>
+        membershipsCollection.findOneAndUpdate(
+            {
+                _id: membershipId,
+                status: "active",
+                expiresAt: { $gt: new Date() },
+                $expr: { $lt: ["$sessionsUsed", "$includedSessions"] },
+            },
+            { $inc: { sessionsUsed: 1 }, $set: { updatedAt: new Date() } },
+            { returnDocument: "after" }
+        );
+
+    const returnSession = (membershipId) =>
+        membershipsCollection.updateOne({ _id: membershipId, sessionsUsed: { $gt: 0 } }, { $inc: { sessionsUsed: -1 } });
+
+    // Snapshot of the plan at purchase time: later price or session changes don't touch it.
+    // The booking that buys the plan uses its first session.
+    const createPendingMembership = async (userEmail, plan, { currency, paymentIntentId }) => {
+        const membership = {
+            userEmail,
+            planId: plan._id,
+            planName: plan.name,
+            price: plan.price,
+            currency,
+            includedSessions: plan.includedSessions,
+            sessionsUsed: 1,
+            durationDays: plan.durationDays,
+            classIds: plan.classIds || [],
+            paymentIntentId,
+            status: "pending",
+            createdAt: new Date(),
+        };
+        const result = await membershipsCollection.insertOne(membership);
+        return { _id: result.insertedId, ...membership };
+    };
+
+    // Payment confirmed → the plan runs for durationDays from now
+    const activateMembership = (membershipId) =>
+        membershipsCollection.findOneAndUpdate(
+            { _id: membershipId, status: "pending" },
+            [{
+                $set: {
+                    status: "active",
+                    startsAt: "$$NOW",
+                    expiresAt: { $dateAdd: { startDate: "$$NOW", unit: "day", amount: "$durationDays" } },
+                    updatedAt: "$$NOW",
+                },
+            }],
+            { returnDocument: "after" }
+        );
+
+    // Lock a plan that hasn't covered any booking besides its purchase, so it can be refunded:
+    // useSession only takes sessions from active plans, so none can be used while it is refunding.
+    // Resolves to null when the plan was used meanwhile (or isn't refundable).
+    const lockForRefund = (membershipId) =>
+        membershipsCollection.findOneAndUpdate(
+            { _id: membershipId, status: { $in: ["pending", "active"] }, sessionsUsed: { $lte: 1 } },
+            [{ $set: { previousStatus: "$status", status: "refunding", updatedAt: "$$NOW" } }]
+        );
+
+    // The refund didn't go through: the plan goes back to what it was
+    const unlockRefund = (membershipId) =>
+        membershipsCollection.updateOne(
+            { _id: membershipId, status: "refunding" },
+            [{ $set: { status: "$previousStatus", updatedAt: "$$NOW" } }, { $unset: "previousStatus" }]
+        );
+
+    // pending → failed | cancelled, pending/active/refunding → refunded
+    const endMembership = (membershipId, status) =>
+        membershipsCollection.updateOne(
+            { _id: membershipId, status: { $in: status === "refunded" ? ["pending", "active", "refunding"] : ["pending"] } },
+            { $set: { status, updatedAt: new Date() }, $unset: { previousStatus: "" } }
+        );
+
+    return {
+        currentMembership,
+        describeMembership,
+        coversClass,
+        useSession,
+        returnSession,
+        createPendingMembership,
+        activateMembership,
+        lockForRefund,
+        unlockRefund,
+        endMembership,
+    };
+}
+
+module.exports = { createMembershipService };
@@ -0,0 +1,30 @@
+const { log } = require("../lib/http");
+const { escapeHtml } = require("../lib/newsletter");
+
+// 🔔 NOTIFICATIONS
+// Stored per user, pushed live over SSE and emailed when the user opted in (notificationPrefs.email)
+async function createNotifier(db, { notificationHub, mailTransport }) {
+    const usersCollection = db.collection("users");
+    const notificationsCollection = db.collection("notifications");
+    await notificationsCollection.createIndex({ userEmail: 1, createdAt: -1 });
+
+    // Never throws: a failed notification must not fail the action that caused it
+    const notify = async (userEmail, { type, title, message, data = {} }) => {
+        try {
+            const notification = { userEmail, type, title, message, data, read: false, createdAt: new Date() };
+            const result = await notificationsCollection.insertOne(notification);
+            notificationHub.publish(userEmail, "notification", { _id: result.insertedId, ...notification });
+
+            const user = await usersCollection.findOne({ email: userEmail }, { projection: { notificationPrefs: 1 } });
+            if (user?.notificationPrefs?.email) {
+                await mailTransport.send({ to: userEmail, subject: title, text: message, html: `<p>${escapeHtml(message)}</p>` });
+            }
+        } catch (err) {
+            log("error", "notification failed", { userEmail, type, error: err.message });
+        }
+    };
+
+    return notify;
+}
+
+module.exports = { createNotifier };
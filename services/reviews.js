@@ -0,0 +1,4 @@
+// Hidden (moderated) reviews are left out of listings, trainer details and rating aggregates
+const visibleReviewFilter = { status: { $ne: "hidden" } };
+
+module.exports = { visibleReviewFilter };
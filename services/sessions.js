@@ -0,0 +1,99 @@
+const { localDate, addDays, weekday, zonedTime } = require("../lib/calendar");
+const { activeTrainerFilter, activeSlotFilter } = require("./trainers");
+
+// Sessions are generated this many days ahead at most (calendar reads past it show nothing yet).
+// Generation happens on writes (slot added, time zone changed, trainer restored, exception removed)
+// and in a background job as the days go by; reads never create sessions.
+const BOOKING_HORIZON_DAYS = Number(process.env.BOOKING_HORIZON_DAYS) || 90;
+const DEFAULT_TIME_ZONE = "UTC";
+
+// Does an exception cover this date (whole day, or just this slot)?
+const isExcepted = (exceptions, date, slotId) =>
+    exceptions.some((exception) =>
+        exception.startDate <= date && date <= exception.endDate && (!exception.slotId || exception.slotId.equals(slotId))
+    );
+
+function createSessionService(db) {
+    const sessionsCollection = db.collection("sessions");
+    const slotsCollection = db.collection("slots");
+    const trainersCollection = db.collection("trainers");
+    const exceptionsCollection = db.collection("availabilityExceptions");
+
+    // Expand the trainer's weekly slots into dated sessions for [from, to] (trainer-local dates, inclusive).
+    // Idempotent: existing sessions are left alone, past start times and exception days are skipped.
+    const generateSessions = async (trainer, from, to) => {
+        const timeZone = trainer.timeZone || DEFAULT_TIME_ZONE;
+        const now = new Date();
+        const horizon = addDays(localDate(now, timeZone), BOOKING_HORIZON_DAYS);
+        if (to > horizon) to = horizon;
+        if (from > to) return;
+
+        const [slots, exceptions] = await Promise.all([
+            slotsCollection.find({ trainerId: trainer._id, ...activeSlotFilter }).toArray(),
+            exceptionsCollection.find({ trainerId: trainer._id, startDate: { $lte: to }, endDate: { $gte: from } }).toArray(),
+        ]);
+
+        const operations = [];
+        for (let date = from; date <= to; date = addDays(date, 1)) {
+            const day = weekday(date);
+            for (const slot of slots) {
+                if (slot.day !== day || isExcepted(exceptions, date, slot._id)) continue;
+
+                const startsAt = zonedTime(date, slot.startTime, timeZone);
+                if (startsAt <= now) continue;
+
+                operations.push({
+                    updateOne: {
+                        filter: { slotId: slot._id, date },
+                        update: {
+                            $setOnInsert: {
+                                trainerId: trainer._id,
+                                classId: slot.classId,
+                                className: slot.className,
+                                day: slot.day,
+                                startTime: slot.startTime,
+                                endTime: slot.endTime,
+                                startsAt,
+                                endsAt: zonedTime(date, slot.endTime, timeZone),
+                                timeZone,
+                                capacity: slot.capacity,
+                                bookedCount: 0,
+                                status: "scheduled",
+                                createdAt: now,
+                            },
+                        },
+                        upsert: true,
+                    },
+                });
+            }
+        }
+        if (operations.length === 0) return;
+
+        try {
+            await sessionsCollection.bulkWrite(operations, { ordered: false });
+        } catch (err) {
+            // a concurrent request generated the same sessions first
+            const duplicatesOnly = err.writeErrors?.length > 0 && err.writeErrors.every((writeError) => writeError.code === 11000);
+            if (!duplicatesOnly) throw err;
+        }
+    };
+
+    // Everything members can book: from today to the booking horizon
+    const generateUpcomingSessions = (trainer) => {
+        const today = localDate(new Date(), trainer.timeZone || DEFAULT_TIME_ZONE);
+        return generateSessions(trainer, today, addDays(today, BOOKING_HORIZON_DAYS));
+    };
+
+    // Background job: extend every active trainer's sessions to the horizon
+    const generateAllUpcomingSessions = async () => {
+        const trainerIds = await slotsCollection.distinct("trainerId", activeSlotFilter);
+        const trainers = await trainersCollection
+            .find({ _id: { $in: trainerIds }, ...activeTrainerFilter }, { projection: { timeZone: 1 } })
+            .toArray();
+        for (const trainer of trainers) await generateUpcomingSessions(trainer);
+    };
+
+    return { generateSessions, generateUpcomingSessions, generateAllUpcomingSessions };
+}
+
+module.exports = { BOOKING_HORIZON_DAYS, DEFAULT_TIME_ZONE, createSessionService };
@@ -0,0 +1,8 @@
+// Demoted trainers stay in the trainers collection as "archived" (see PATCH /trainers/:id/remove-trainer);
+// public reads, bookings and search skip them
+const activeTrainerFilter = { status: { $ne: "archived" } };
+
+// Their weekly slots are archived with them: no sessions are generated and the class stops listing them
+const activeSlotFilter = { archived: { $ne: true } };
+
+module.exports = { activeTrainerFilter, activeSlotFilter };
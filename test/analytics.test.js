@@ -0,0 +1,103 @@
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { ObjectId } = require("mongodb");
+const { useTestApp, expectStatus, signUp } = require("./helpers");
+
+describe("admin analytics", () => {
+    const t = useTestApp();
+    let admin;
+    const trainerId = new ObjectId().toString();
+
+    // Bookings are stored directly so the totals don't depend on the checkout flow
+    const insertBooking = (fields) => t.db.collection("bookings").insertOne({
+        userEmail: "buyer1@example.com",
+        trainerId,
+        trainerName: "Coach Analytics",
+        sessionId: new ObjectId(),
+        slot: { classId: "class-a", className: "Spin" },
+        status: "paid",
+        price: 30,
+        createdAt: new Date("2026-02-10T10:00:00Z"),
+        ...fields,
+    });
+
+    before(async () => {
+        admin = await signUp(t, "admin");
+        await insertBooking({});
+        await insertBooking({ userEmail: "buyer2@example.com", price: 50, createdAt: new Date("2026-03-05T10:00:00Z") });
+        await insertBooking({ status: "cancelled", planRetained: true, price: 20, createdAt: new Date("2026-03-06T10:00:00Z") });
+        await insertBooking({ status: "failed", price: 99, createdAt: new Date("2026-03-07T10:00:00Z") });
+    });
+
+    const analytics = (path, query = {}) => request(t.app).get(`/admin/analytics/${path}`).query(query).set(admin.auth);
+
+    it("is for admins only", async () => {
+        const member = await signUp(t);
+        expectStatus(await request(t.app).get("/admin/analytics/revenue").set(member.auth), 403);
+        expectStatus(await request(t.app).get("/admin/analytics/revenue"), 401);
+    });
+
+    it("sums collected revenue per trainer, class and month", async () => {
+        const revenue = expectStatus(await analytics("revenue"), 200);
+        assert.equal(revenue.totalRevenue, 100);
+        assert.equal(revenue.totalBookings, 3);
+        assert.deepEqual(revenue.byTrainer.map((item) => [item._id, item.revenue]), [[trainerId, 100]]);
+        assert.equal(revenue.byClass[0].className, "Spin");
+        assert.deepEqual(revenue.byMonth, [
+            { month: "2026-02", revenue: 30, bookings: 1 },
+            { month: "2026-03", revenue: 70, bookings: 2 },
+        ]);
+
+        const march = expectStatus(await analytics("revenue", { from: "2026-03-01", to: "2026-03-31" }), 200);
+        assert.equal(march.totalRevenue, 70);
+        expectStatus(await analytics("revenue", { from: "last month" }), 400);
+    });
+
+    it("lists recent transactions newest first", async () => {
+        const transactions = expectStatus(await analytics("transactions/recent"), 200);
+        assert.deepEqual(transactions.map((item) => item.amount), [20, 50, 30]);
+    });
+
+    it("compares paying members with confirmed subscribers", async () => {
+        await t.db.collection("subscriber").insertMany([
+            { name: "Confirmed", email: "confirmed@example.com", status: "confirmed", createdAt: new Date() },
+            { name: "Pending", email: "pending@example.com", status: "pending", createdAt: new Date() },
+        ]);
+
+        const comparison = expectStatus(await analytics("members-vs-subscribers"), 200);
+        assert.equal(comparison.payingMembers, 2);
+        assert.equal(comparison.subscribers, 1);
+        assert.equal(comparison.ratio, 2);
+        assert.ok(comparison.totalMembers >= 1);
+    });
+
+    it("counts bookings per interval", async () => {
+        const monthly = expectStatus(await analytics("bookings", { interval: "month" }), 200);
+        assert.deepEqual(monthly.series.map(({ total, paid }) => [total, paid]), [[1, 1], [3, 1]]);
+        expectStatus(await analytics("bookings", { interval: "year" }), 400);
+    });
+
+    it("reports the application approval rate", async () => {
+        const application = {
+            name: "Analytics Applicant",
+            image: "https://images.example.com/applicant.jpg",
+            experience: 2,
+            expertise: ["Yoga"],
+            availableDays: ["Tue"],
+        };
+        const decide = async (decision) => {
+            const member = await signUp(t);
+            const applied = expectStatus(await request(t.app).post("/trainers/apply").set(member.auth).send(application), 200);
+            if (decision) {
+                expectStatus(await request(t.app).patch(`/trainers/applications/${applied.insertedId}/${decision}`).set(admin.auth).send({}), 200);
+            }
+        };
+        await decide("confirm");
+        await decide("reject");
+        await decide("reject");
+        await decide(null);
+
+        const rates = expectStatus(await analytics("applications"), 200);
+        assert.deepEqual(rates, { pending: 1, approved: 1, rejected: 2, approvalRate: 1 / 3 });
+    });
+});
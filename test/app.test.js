@@ -0,0 +1,26 @@
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { useTestApp, expectStatus } = require("./helpers");
+
+describe("app", () => {
+    const t = useTestApp();
+
+    it("answers on the root route", async () => {
+        const res = await request(t.app).get("/");
+        assert.equal(res.status, 200);
+        assert.match(res.text, /Fitness Tracker API is running/);
+        assert.ok(res.headers["x-request-id"]);
+    });
+
+    it("answers unknown routes with a JSON 404 carrying the request id", async () => {
+        const res = await request(t.app).get("/no-such-route").set("X-Request-Id", "trace-123");
+        const body = expectStatus(res, 404);
+        assert.deepEqual(body, { error: "Cannot GET /no-such-route", code: "NOT_FOUND", requestId: "trace-123" });
+        assert.equal(res.headers["x-request-id"], "trace-123");
+    });
+
+    it("mints a request id when the caller's one looks wrong", async () => {
+        const res = await request(t.app).get("/").set("X-Request-Id", "has spaces and ;");
+        assert.notEqual(res.headers["x-request-id"], "has spaces and ;");
+    });
+});
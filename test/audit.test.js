@@ -0,0 +1,53 @@
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { useTestApp, expectStatus, signUp } = require("./helpers");
+
+describe("audit log", () => {
+    const t = useTestApp();
+    let admin;
+    let promoted;
+
+    before(async () => {
+        admin = await signUp(t, "admin");
+        promoted = await signUp(t);
+        expectStatus(await request(t.app).patch(`/users/${promoted.email}/make-admin`).set(admin.auth), 200);
+        expectStatus(await request(t.app).patch(`/users/${promoted.email}/remove-admin`).set(admin.auth), 200);
+    });
+
+    const auditLog = (query = {}) => request(t.app).get("/admin/audit").query(query).set(admin.auth);
+
+    it("is for admins only", async () => {
+        expectStatus(await request(t.app).get("/admin/audit").set(promoted.auth), 403);
+    });
+
+    it("records who changed what, newest first", async () => {
+        const list = expectStatus(await auditLog({ targetType: "user" }), 200);
+        assert.deepEqual(list.data.map((entry) => entry.action), ["user.remove-admin", "user.make-admin"]);
+
+        const [removal] = list.data;
+        assert.equal(removal.actor.email, admin.email);
+        assert.equal(removal.target.label, promoted.email);
+        assert.deepEqual(removal.changes.role, { before: "admin", after: "member" });
+    });
+
+    it("filters by actor, action and date", async () => {
+        assert.equal(expectStatus(await auditLog({ action: "user.make-admin" }), 200).total, 1);
+        assert.equal(expectStatus(await auditLog({ action: "user.make-admin,user.remove-admin", actor: admin.email }), 200).total, 2);
+        assert.equal(expectStatus(await auditLog({ actor: promoted.email }), 200).total, 0);
+        assert.equal(expectStatus(await auditLog({ atTo: "2000-01-01" }), 200).total, 0);
+        expectStatus(await auditLog({ atFrom: "yesterday" }), 400);
+        expectStatus(await auditLog({ sort: "action" }), 400);
+    });
+
+    it("exports matching entries as CSV", async () => {
+        const res = await auditLog({ format: "csv", action: "user.make-admin" });
+        assert.equal(res.status, 200);
+        assert.match(res.headers["content-type"], /^text\/csv/);
+        assert.match(res.headers["content-disposition"], /attachment; filename="audit-\d{4}-\d{2}-\d{2}\.csv"/);
+
+        const lines = res.text.trim().split("\r\n");
+        assert.equal(lines[0], "at,actorEmail,actorRole,action,targetType,targetId,targetLabel,changes,requestId");
+        assert.equal(lines.length, 2);
+        assert.ok(lines[1].includes(`${admin.email},admin,user.make-admin,user`));
+    });
+});
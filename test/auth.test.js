@@ -0,0 +1,76 @@
+const assert = require("node:assert/strict");
+const { createAuth } = require("../services/auth");
+const { createLocalVerifier, signLocalToken } = require("../lib/tokenVerifier");
+
+// Unit tests: the middlewares run against a stub users collection, no database needed
+describe("auth middleware", () => {
+    const secret = process.env.LOCAL_AUTH_SECRET;
+    const users = {
+        "member@example.com": { email: "member@example.com", role: "member" },
+        "admin@example.com": { email: "admin@example.com", role: "admin" },
+        "gone@example.com": { email: "gone@example.com", role: "admin", status: "deactivated" },
+    };
+    const db = { collection: () => ({ findOne: async ({ email }) => users[email] || null }) };
+    const { verifyToken, verifyRole } = createAuth(db, createLocalVerifier(secret));
+
+    const bearer = (email, { secret: key = secret, expiresInSec } = {}) =>
+        `Bearer ${signLocalToken({ uid: email, email }, key, expiresInSec)}`;
+
+    // Run one middleware; resolves with whether it called next()
+    const run = async (middleware, req) => {
+        let passed = false;
+        await middleware(req, {}, () => {
+            passed = true;
+        });
+        return passed;
+    };
+
+    const rejectsWith = (promise, status, message) =>
+        assert.rejects(promise, (err) => {
+            assert.equal(err.status, status);
+            if (message) assert.equal(err.message, message);
+            return true;
+        });
+
+    describe("verifyToken", () => {
+        it("accepts a valid token and exposes its claims", async () => {
+            const req = { headers: { authorization: bearer("member@example.com") } };
+            assert.equal(await run(verifyToken, req), true);
+            assert.equal(req.decoded.email, "member@example.com");
+        });
+
+        it("answers 401 without an Authorization header", async () => {
+            await rejectsWith(run(verifyToken, { headers: {} }), 401);
+            await rejectsWith(run(verifyToken, { headers: { authorization: "Basic abc" } }), 401);
+        });
+
+        it("answers 401 for a token signed with another key", async () => {
+            const req = { headers: { authorization: bearer("member@example.com", { secret: "someone-else" }) } };
+            await rejectsWith(run(verifyToken, req), 401, "Invalid or expired token");
+        });
+
+        it("answers 401 for an expired token", async () => {
+            const req = { headers: { authorization: bearer("member@example.com", { expiresInSec: -10 }) } };
+            await rejectsWith(run(verifyToken, req), 401, "Invalid or expired token");
+        });
+    });
+
+    describe("verifyRole", () => {
+        const caller = (email) => ({ headers: {}, decoded: { email } });
+
+        it("lets listed roles through with their user document", async () => {
+            const req = caller("admin@example.com");
+            assert.equal(await run(verifyRole("admin"), req), true);
+            assert.equal(req.user.role, "admin");
+        });
+
+        it("answers 403 for other roles and unknown users", async () => {
+            await rejectsWith(run(verifyRole("admin"), caller("member@example.com")), 403);
+            await rejectsWith(run(verifyRole("member", "admin"), caller("nobody@example.com")), 403);
+        });
+
+        it("answers 403 for deactivated accounts, whatever their role", async () => {
+            await rejectsWith(run(verifyRole("admin"), caller("gone@example.com")), 403, "Account is deactivated");
+        });
+    });
+});
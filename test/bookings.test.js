@@ -0,0 +1,279 @@
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { ObjectId } = require("mongodb");
+const { signFakeWebhook } = require("../lib/payments");
+const { createBookingService } = require("../services/bookings");
+const { createMembershipService } = require("../services/memberships");
+const { useTestApp, expectStatus, signUp, createSchedule, createPlan } = require("./helpers");
+
+describe("bookings", () => {
+    const t = useTestApp();
+    let admin;
+    let plan;
+    let schedule;
+
+    before(async () => {
+        admin = await signUp(t, "admin");
+        plan = await createPlan(t, admin, { price: 40, includedSessions: 3 });
+    });
+
+    beforeEach(async () => {
+        schedule = await createSchedule(t, admin);
+    });
+
+    const book = (member, sessionId, body = { planId: plan._id }) =>
+        request(t.app).post("/payments").set(member.auth).send({ trainerId: schedule.trainerId, sessionId, ...body });
+
+    // Stripe-shaped event signed like the fake provider expects
+    const webhook = (type, intentId) => {
+        const raw = JSON.stringify({ type, data: { object: { id: intentId } } });
+        return request(t.app)
+            .post("/payments/webhook")
+            .set("Content-Type", "application/json")
+            .set("x-fake-signature", signFakeWebhook(raw))
+            .send(raw);
+    };
+
+    const findBooking = (id) => t.db.collection("bookings").findOne({ _id: new ObjectId(id) });
+    const findMembership = (id) => t.db.collection("memberships").findOne({ _id: new ObjectId(id) });
+    const bookedCount = async (sessionId) => (await t.db.collection("sessions").findOne({ _id: new ObjectId(sessionId) })).bookedCount;
+
+    describe("paying", () => {
+        it("buys a plan with the first booking, confirmed by the webhook, and books the next one with it", async () => {
+            const member = await signUp(t);
+
+            const created = expectStatus(await book(member, schedule.sessionIds[0]), 201);
+            assert.equal(created.amount, 40);
+            assert.ok(created.clientSecret);
+
+            const pending = await findBooking(created.bookingId);
+            assert.equal(pending.status, "pending");
+            assert.equal(pending.price, 40);
+            assert.equal((await findMembership(created.membershipId)).status, "pending");
+            assert.equal(await bookedCount(schedule.sessionIds[0]), 1);
+
+            expectStatus(await webhook("payment_intent.succeeded", pending.paymentIntentId), 200);
+            assert.equal((await findBooking(created.bookingId)).status, "paid");
+            const membership = expectStatus(await request(t.app).get("/memberships/me").set(member.auth), 200);
+            assert.equal(membership.status, "active");
+            assert.equal(membership.remainingSessions, 2);
+
+            const covered = expectStatus(await book(member, schedule.sessionIds[1], {}), 201);
+            assert.equal(covered.remainingSessions, 1);
+            assert.equal((await findBooking(covered.bookingId)).price, 0);
+        });
+
+        it("takes the price from the plan, never from the client", async () => {
+            const member = await signUp(t);
+            const created = expectStatus(await book(member, schedule.sessionIds[0], { planId: plan._id, price: 1 }), 201);
+            assert.equal(created.amount, 40);
+        });
+
+        it("asks members without a plan to choose one", async () => {
+            const member = await signUp(t);
+            expectStatus(await book(member, schedule.sessionIds[0], {}), 400);
+        });
+
+        it("refuses full sessions and double bookings", async () => {
+            schedule = await createSchedule(t, admin, { capacity: 1 });
+            const first = await signUp(t);
+            const second = await signUp(t);
+
+            expectStatus(await book(first, schedule.sessionIds[0]), 201);
+            const full = expectStatus(await book(second, schedule.sessionIds[0]), 409);
+            assert.equal(full.error, "This session is fully booked");
+            assert.equal(await bookedCount(schedule.sessionIds[0]), 1);
+
+            const member = await signUp(t);
+            expectStatus(await book(member, schedule.sessionIds[1]), 201);
+            expectStatus(await book(member, schedule.sessionIds[1]), 409);
+        });
+
+        it("gives the seat back when the payment fails", async () => {
+            const member = await signUp(t);
+            const created = expectStatus(await book(member, schedule.sessionIds[0]), 201);
+            const { paymentIntentId } = await findBooking(created.bookingId);
+
+            expectStatus(await webhook("payment_intent.payment_failed", paymentIntentId), 200);
+            assert.equal((await findBooking(created.bookingId)).status, "failed");
+            assert.equal((await findMembership(created.membershipId)).status, "failed");
+            assert.equal(await bookedCount(schedule.sessionIds[0]), 0);
+        });
+
+        it("rejects webhooks with a bad signature", async () => {
+            const res = await request(t.app)
+                .post("/payments/webhook")
+                .set("x-fake-signature", "00")
+                .send({ type: "payment_intent.succeeded", data: { object: { id: "pi_fake_forged" } } });
+            expectStatus(res, 400);
+        });
+    });
+
+    describe("cancelling", () => {
+        it("cancels a pending booking together with its payment intent", async () => {
+            const member = await signUp(t);
+            const created = expectStatus(await book(member, schedule.sessionIds[0]), 201);
+
+            const cancelled = expectStatus(await request(t.app).post(`/bookings/${created.bookingId}/cancel`).set(member.auth), 200);
+            assert.equal(cancelled.status, "cancelled");
+
+            const booking = await findBooking(created.bookingId);
+            assert.equal(t.paymentProvider.intents.get(booking.paymentIntentId).status, "canceled");
+            assert.equal((await findMembership(created.membershipId)).status, "cancelled");
+            assert.equal(await bookedCount(schedule.sessionIds[0]), 0);
+        });
+
+        it("returns plan sessions to the plan and refunds the booking that bought it", async () => {
+            const member = await signUp(t);
+            const bought = expectStatus(await book(member, schedule.sessionIds[0]), 201);
+            await webhook("payment_intent.succeeded", (await findBooking(bought.bookingId)).paymentIntentId);
+            const covered = expectStatus(await book(member, schedule.sessionIds[1], {}), 201);
+
+            const returned = expectStatus(await request(t.app).post(`/bookings/${covered.bookingId}/cancel`).set(member.auth), 200);
+            assert.equal(returned.message, "Booking cancelled, the session was returned to your plan");
+            assert.equal((await findMembership(bought.membershipId)).sessionsUsed, 1);
+
+            const refunded = expectStatus(await request(t.app).post(`/bookings/${bought.bookingId}/cancel`).set(member.auth), 200);
+            assert.equal(refunded.status, "refunded");
+            assert.ok(refunded.refundId);
+            assert.equal((await findMembership(bought.membershipId)).status, "refunded");
+            assert.equal(await bookedCount(schedule.sessionIds[0]), 0);
+        });
+
+        it("keeps the plan and its price counted when the purchase is cancelled after the plan was used", async () => {
+            const member = await signUp(t);
+            const bought = expectStatus(await book(member, schedule.sessionIds[0]), 201);
+            await webhook("payment_intent.succeeded", (await findBooking(bought.bookingId)).paymentIntentId);
+            expectStatus(await book(member, schedule.sessionIds[1], {}), 201);
+            const revenueBefore = expectStatus(await request(t.app).get("/admin/analytics/revenue").set(admin.auth), 200);
+
+            const cancelled = expectStatus(await request(t.app).post(`/bookings/${bought.bookingId}/cancel`).set(member.auth), 200);
+            assert.equal(cancelled.status, "cancelled");
+            assert.equal((await findBooking(bought.bookingId)).planRetained, true);
+            assert.equal((await findMembership(bought.membershipId)).status, "active");
+
+            const revenue = expectStatus(await request(t.app).get("/admin/analytics/revenue").set(admin.auth), 200);
+            assert.equal(revenue.totalRevenue, revenueBefore.totalRevenue);
+        });
+
+        it("locks a plan being refunded so no booking can use it", async () => {
+            const member = await signUp(t);
+            const bought = expectStatus(await book(member, schedule.sessionIds[0]), 201);
+            await webhook("payment_intent.succeeded", (await findBooking(bought.bookingId)).paymentIntentId);
+            const memberships = createMembershipService(t.db);
+            const membershipId = new ObjectId(bought.membershipId);
+
+            assert.ok(await memberships.lockForRefund(membershipId));
+            assert.equal(await memberships.useSession(membershipId), null);
+
+            await memberships.unlockRefund(membershipId);
+            const membership = await findMembership(bought.membershipId);
+            assert.equal(membership.status, "active");
+            assert.equal(membership.previousStatus, undefined);
+        });
+
+        it("keeps members from changing bookings inside the cancel window, and everyone once the session started", async () => {
+            const member = await signUp(t);
+            const created = expectStatus(await book(member, schedule.sessionIds[0]), 201);
+            const bookings = t.db.collection("bookings");
+
+            await bookings.updateOne({ _id: new ObjectId(created.bookingId) }, { $set: { "session.startsAt": new Date(Date.now() + 2 * 60 * 60 * 1000) } });
+            expectStatus(await request(t.app).post(`/bookings/${created.bookingId}/cancel`).set(member.auth), 403);
+
+            await bookings.updateOne({ _id: new ObjectId(created.bookingId) }, { $set: { "session.startsAt": new Date(Date.now() - 60 * 1000) } });
+            expectStatus(await request(t.app).post(`/bookings/${created.bookingId}/cancel`).set(admin.auth), 409);
+        });
+
+        it("audits admins cancelling someone else's booking", async () => {
+            const member = await signUp(t);
+            const created = expectStatus(await book(member, schedule.sessionIds[0]), 201);
+
+            expectStatus(await request(t.app).post(`/bookings/${created.bookingId}/cancel`).set(admin.auth).send({ reason: "Double booked" }), 200);
+            const entry = await t.db.collection("auditLog").findOne({ action: "booking.cancel", "target.id": created.bookingId });
+            assert.equal(entry.actor.email, admin.email);
+            assert.equal(entry.meta.reason, "Double booked");
+        });
+
+        it("only lets the member or an admin change a booking", async () => {
+            const member = await signUp(t);
+            const other = await signUp(t);
+            const created = expectStatus(await book(member, schedule.sessionIds[0]), 201);
+            expectStatus(await request(t.app).post(`/bookings/${created.bookingId}/cancel`).set(other.auth), 403);
+        });
+    });
+
+    describe("rescheduling", () => {
+        it("moves the booking and its seat to another session of the same trainer", async () => {
+            const member = await signUp(t);
+            const created = expectStatus(await book(member, schedule.sessionIds[0]), 201);
+
+            const moved = expectStatus(await request(t.app)
+                .post(`/bookings/${created.bookingId}/reschedule`)
+                .set(member.auth)
+                .send({ sessionId: schedule.sessionIds[1] }), 200);
+            assert.equal(moved.sessionId, schedule.sessionIds[1]);
+            assert.equal(await bookedCount(schedule.sessionIds[0]), 0);
+            assert.equal(await bookedCount(schedule.sessionIds[1]), 1);
+            assert.equal((await findBooking(created.bookingId)).sessionId.toString(), schedule.sessionIds[1]);
+        });
+
+        it("refuses sessions of another trainer", async () => {
+            const member = await signUp(t);
+            const created = expectStatus(await book(member, schedule.sessionIds[0]), 201);
+            const elsewhere = await createSchedule(t, admin);
+
+            expectStatus(await request(t.app)
+                .post(`/bookings/${created.bookingId}/reschedule`)
+                .set(member.auth)
+                .send({ sessionId: elsewhere.sessionIds[0] }), 404);
+        });
+    });
+
+    describe("lists", () => {
+        it("lists a member's bookings with trainer details", async () => {
+            const member = await signUp(t);
+            const other = await signUp(t);
+            await book(member, schedule.sessionIds[0]);
+
+            const mine = expectStatus(await request(t.app).get(`/bookings/user/${member.email}`).set(member.auth), 200);
+            assert.equal(mine.total, 1);
+            assert.equal(mine.data[0].trainerDetails._id, schedule.trainerId);
+            expectStatus(await request(t.app).get(`/bookings/user/${member.email}`).set(other.auth), 403);
+        });
+
+        it("lists a trainer's bookings for that trainer", async () => {
+            const member = await signUp(t);
+            const trainer = await signUp(t, "trainer", { email: schedule.trainerEmail });
+            const otherTrainer = await signUp(t, "trainer");
+            await book(member, schedule.sessionIds[0]);
+
+            const list = expectStatus(await request(t.app).get(`/bookings/trainer/${schedule.trainerId}`).set(trainer.auth), 200);
+            assert.deepEqual(list.data.map((booking) => booking.userEmail), [member.email]);
+            expectStatus(await request(t.app).get(`/bookings/trainer/${schedule.trainerId}`).set(otherTrainer.auth), 403);
+        });
+    });
+
+    describe("abandoned checkouts", () => {
+        it("expires old pending bookings: intent cancelled, seat and plan released", async () => {
+            const member = await signUp(t);
+            const created = expectStatus(await book(member, schedule.sessionIds[0]), 201);
+            await t.db.collection("bookings").updateOne(
+                { _id: new ObjectId(created.bookingId) },
+                { $set: { createdAt: new Date(Date.now() - 24 * 60 * 60 * 1000) } }
+            );
+
+            const { expirePendingBookings } = createBookingService(t.db, {
+                notify: async () => {},
+                paymentProvider: t.paymentProvider,
+                memberships: createMembershipService(t.db),
+            });
+            assert.equal(await expirePendingBookings(), 1);
+
+            const booking = await findBooking(created.bookingId);
+            assert.equal(booking.status, "cancelled");
+            assert.equal(t.paymentProvider.intents.get(booking.paymentIntentId).status, "canceled");
+            assert.equal((await findMembership(created.membershipId)).status, "cancelled");
+            assert.equal(await bookedCount(schedule.sessionIds[0]), 0);
+        });
+    });
+});
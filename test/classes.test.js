@@ -0,0 +1,83 @@
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { ObjectId } = require("mongodb");
+const { useTestApp, expectStatus, signUp, createSchedule } = require("./helpers");
+
+describe("classes", () => {
+    const t = useTestApp();
+    let admin;
+    let member;
+
+    before(async () => {
+        admin = await signUp(t, "admin");
+        member = await signUp(t);
+    });
+
+    const yoga = { name: "Sunrise Yoga", image: "https://images.example.com/yoga.jpg", details: "Gentle morning flow", category: "Yoga" };
+
+    it("lets admins add classes", async () => {
+        expectStatus(await request(t.app).post("/classes").send(yoga), 401);
+        expectStatus(await request(t.app).post("/classes").set(member.auth).send(yoga), 403);
+
+        const created = expectStatus(await request(t.app).post("/classes").set(admin.auth).send(yoga), 201);
+        const saved = await t.db.collection("classes").findOne({ name: yoga.name });
+        assert.equal(saved._id.toString(), created.insertedId);
+        assert.equal(saved.totalBookings, 0);
+        assert.deepEqual(saved.trainerIds, []);
+    });
+
+    it("validates new classes", async () => {
+        const body = expectStatus(await request(t.app).post("/classes").set(admin.auth).send({ name: "No image" }), 400);
+        assert.deepEqual(body.fields.map((field) => field.field).sort(), ["details", "image"]);
+    });
+
+    it("lists classes with pagination, filters and search", async () => {
+        await request(t.app).post("/classes").set(admin.auth).send({ ...yoga, name: "Power Lifting", details: "Heavy barbell work", category: "Strength" });
+
+        const page = expectStatus(await request(t.app).get("/classes").query({ limit: 1 }), 200);
+        assert.equal(page.data.length, 1);
+        assert.equal(page.hasMore, true);
+        assert.ok(page.nextCursor);
+
+        const strength = expectStatus(await request(t.app).get("/classes").query({ category: "Strength" }), 200);
+        assert.deepEqual(strength.data.map((item) => item.name), ["Power Lifting"]);
+
+        const found = expectStatus(await request(t.app).get("/classes").query({ search: "barbell" }), 200);
+        assert.deepEqual(found.data.map((item) => item.name), ["Power Lifting"]);
+    });
+
+    it("rejects unknown sort fields", async () => {
+        expectStatus(await request(t.app).get("/classes").query({ sort: "secret" }), 400);
+    });
+
+    it("shows a class with its trainers and bookable sessions", async () => {
+        const { classId, trainerId, sessionIds } = await createSchedule(t, admin);
+
+        const detail = expectStatus(await request(t.app).get(`/classes/${classId}`), 200);
+        assert.deepEqual(detail.trainers.map((trainer) => trainer._id), [trainerId]);
+        assert.equal(detail.upcomingSlots.length, 1);
+        assert.equal(detail.upcomingSessions[0]._id, sessionIds[0]);
+        assert.equal(detail.upcomingSessions[0].seatsLeft, 5);
+    });
+
+    it("counts slot seats from the next session and keeps trainers added before approvals existed", async () => {
+        const { classId, trainerId, sessionIds } = await createSchedule(t, admin);
+        await t.db.collection("trainers").updateOne({ _id: new ObjectId(trainerId) }, { $unset: { status: "" } });
+        await t.db.collection("sessions").updateOne({ _id: new ObjectId(sessionIds[0]) }, { $set: { bookedCount: 2 } });
+
+        const detail = expectStatus(await request(t.app).get(`/classes/${classId}`), 200);
+        assert.deepEqual(detail.trainers.map((trainer) => trainer._id), [trainerId]);
+        assert.equal(detail.upcomingSlots[0].seatsLeft, 3);
+        assert.equal(detail.upcomingSlots[0].daysAway, 3);
+    });
+
+    it("answers 404 for unknown classes and 400 for malformed ids", async () => {
+        expectStatus(await request(t.app).get("/classes/64b000000000000000000000"), 404);
+        expectStatus(await request(t.app).get("/classes/not-an-id"), 400);
+    });
+
+    it("features the most booked classes", async () => {
+        const featured = expectStatus(await request(t.app).get("/classes/featured"), 200);
+        assert.ok(featured.length <= 6);
+    });
+});
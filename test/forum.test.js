@@ -0,0 +1,167 @@
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { useTestApp, expectStatus, signUp } = require("./helpers");
+
+describe("forum", () => {
+    const t = useTestApp();
+    let admin;
+    let postCount = 0;
+
+    before(async () => {
+        admin = await signUp(t, "admin");
+    });
+
+    // POST /forum doesn't return the id, so the post is looked up by its (unique) title
+    const createPost = async (author, body = {}) => {
+        postCount += 1;
+        const post = { title: `Post ${postCount}`, content: `Thoughts number ${postCount}`, ...body };
+        expectStatus(await request(t.app).post("/forum").set(author.auth).send(post), 200);
+
+        const list = expectStatus(await request(t.app).get("/forum").query({ author: author.email, limit: 50 }), 200);
+        return list.data.find((item) => item.title === post.title)._id;
+    };
+
+    describe("posts", () => {
+        it("needs a signed-in author", async () => {
+            expectStatus(await request(t.app).post("/forum").send({ title: "Anonymous", content: "Hello" }), 401);
+        });
+
+        it("publishes a post with its author", async () => {
+            const member = await signUp(t);
+            const postId = await createPost(member, { title: "Best stretches?" });
+
+            const post = expectStatus(await request(t.app).get(`/forum/${postId}`), 200);
+            assert.equal(post.authorEmail, member.email);
+            assert.equal(post.score, 0);
+            assert.deepEqual(post.comments, []);
+        });
+
+        it("rejects reposts of the same text and filled honeypots", async () => {
+            const member = await signUp(t);
+            await createPost(member, { title: "Morning runs", content: "Who joins?" });
+
+            expectStatus(await request(t.app).post("/forum").set(member.auth).send({ title: "morning runs!", content: "Who joins" }), 409);
+            expectStatus(await request(t.app)
+                .post("/forum")
+                .set(member.auth)
+                .send({ title: "Cheap pills", content: "Buy now", website: "http://spam.example" }), 400);
+        });
+
+        it("lets only the author edit or delete a post", async () => {
+            const member = await signUp(t);
+            const other = await signUp(t);
+            const postId = await createPost(member);
+
+            expectStatus(await request(t.app).patch(`/forum/${postId}`).set(other.auth).send({ title: "Taken over" }), 403);
+            expectStatus(await request(t.app).patch(`/forum/${postId}`).set(member.auth).send({ title: "Edited title" }), 200);
+            assert.equal(expectStatus(await request(t.app).get(`/forum/${postId}`), 200).title, "Edited title");
+
+            expectStatus(await request(t.app).delete(`/forum/${postId}`).set(other.auth), 403);
+            expectStatus(await request(t.app).delete(`/forum/${postId}`).set(member.auth), 200);
+            expectStatus(await request(t.app).get(`/forum/${postId}`), 404);
+        });
+    });
+
+    describe("votes", () => {
+        it("keeps one vote per member: the same vote retracts, the other one switches", async () => {
+            const author = await signUp(t);
+            const voter = await signUp(t);
+            const postId = await createPost(author);
+            const vote = (voteType) => request(t.app).patch(`/forum/${postId}/vote`).set(voter.auth).send({ voteType });
+
+            const up = expectStatus(await vote("up"), 200);
+            assert.deepEqual([up.score, up.userVote], [1, "up"]);
+
+            const retracted = expectStatus(await vote("up"), 200);
+            assert.deepEqual([retracted.score, retracted.userVote], [0, null]);
+
+            expectStatus(await vote("up"), 200);
+            const switched = expectStatus(await vote("down"), 200);
+            assert.deepEqual([switched.score, switched.upvotes, switched.downvotes, switched.userVote], [-1, 0, 1, "down"]);
+
+            expectStatus(await vote("sideways"), 400);
+        });
+    });
+
+    describe("comments", () => {
+        it("threads replies under their comment and notifies the person replied to", async () => {
+            const author = await signUp(t);
+            const commenter = await signUp(t);
+            const postId = await createPost(author, { title: "Rest days" });
+
+            const comment = expectStatus(await request(t.app)
+                .post(`/forum/${postId}/comments`)
+                .set(commenter.auth)
+                .send({ content: "Two a week" }), 201);
+            expectStatus(await request(t.app)
+                .post(`/forum/${postId}/comments`)
+                .set(author.auth)
+                .send({ content: "Even for beginners?", parentId: comment.commentId }), 201);
+
+            const post = expectStatus(await request(t.app).get(`/forum/${postId}`), 200);
+            assert.equal(post.totalComments, 2);
+            assert.equal(post.comments.length, 1);
+            assert.equal(post.comments[0].replies[0].content, "Even for beginners?");
+
+            const notifications = await t.db.collection("notifications").find({ type: "forum.reply" }).toArray();
+            assert.deepEqual(notifications.map((item) => item.userEmail).sort(), [author.email, commenter.email].sort());
+        });
+
+        it("keeps a deleted comment's place in the thread without its content", async () => {
+            const member = await signUp(t);
+            const other = await signUp(t);
+            const postId = await createPost(member);
+            const { commentId } = expectStatus(await request(t.app)
+                .post(`/forum/${postId}/comments`)
+                .set(member.auth)
+                .send({ content: "Oops" }), 201);
+
+            expectStatus(await request(t.app).delete(`/forum/comments/${commentId}`).set(other.auth), 403);
+            expectStatus(await request(t.app).delete(`/forum/comments/${commentId}`).set(member.auth), 200);
+
+            const post = expectStatus(await request(t.app).get(`/forum/${postId}`), 200);
+            assert.equal(post.comments[0].content, null);
+        });
+    });
+
+    describe("moderation", () => {
+        it("queues reports for admins, and hiding a post resolves them", async () => {
+            const author = await signUp(t);
+            const reporter = await signUp(t);
+            const postId = await createPost(author, { title: "Reported post" });
+
+            expectStatus(await request(t.app).post(`/forum/${postId}/report`).set(reporter.auth).send({ reason: "Spam" }), 201);
+            expectStatus(await request(t.app).post(`/forum/${postId}/report`).set(reporter.auth).send({ reason: "Spam" }), 409);
+
+            expectStatus(await request(t.app).get("/forum/moderation/queue").set(reporter.auth), 403);
+            const queue = expectStatus(await request(t.app).get("/forum/moderation/queue").set(admin.auth), 200);
+            const entry = queue.find((item) => item.targetId === postId);
+            assert.equal(entry.reportCount, 1);
+            assert.equal(entry.target.title, "Reported post");
+
+            expectStatus(await request(t.app).patch(`/forum/moderation/posts/${postId}`).set(admin.auth).send({ action: "hide" }), 200);
+            expectStatus(await request(t.app).get(`/forum/${postId}`), 404);
+            expectStatus(await request(t.app).patch(`/forum/${postId}/vote`).set(reporter.auth).send({ voteType: "down" }), 404);
+            const list = expectStatus(await request(t.app).get("/forum").query({ limit: 50 }), 200);
+            assert.ok(list.data.every((item) => item._id !== postId));
+
+            const reports = await t.db.collection("forumReports").find({ reporterEmail: reporter.email }).toArray();
+            assert.deepEqual(reports.map((item) => item.status), ["resolved"]);
+        });
+
+        it("refuses comments, comment edits and votes on locked threads", async () => {
+            const member = await signUp(t);
+            const postId = await createPost(member);
+            const { commentId } = expectStatus(await request(t.app)
+                .post(`/forum/${postId}/comments`)
+                .set(member.auth)
+                .send({ content: "Early reply" }), 201);
+
+            expectStatus(await request(t.app).patch(`/forum/moderation/posts/${postId}`).set(admin.auth).send({ action: "lock" }), 200);
+            expectStatus(await request(t.app).post(`/forum/${postId}/comments`).set(member.auth).send({ content: "Late reply" }), 403);
+            expectStatus(await request(t.app).patch(`/forum/comments/${commentId}`).set(member.auth).send({ content: "Edited" }), 403);
+            expectStatus(await request(t.app).patch(`/forum/${postId}/vote`).set(member.auth).send({ voteType: "up" }), 403);
+            expectStatus(await request(t.app).patch(`/forum/moderation/posts/${postId}`).set(admin.auth).send({ action: "archive" }), 400);
+        });
+    });
+});
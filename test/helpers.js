@@ -0,0 +1,164 @@
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const request = require("supertest");
+const { MongoClient } = require("mongodb");
+const { MongoMemoryReplSet } = require("mongodb-memory-server");
+const { createApp } = require("../app");
+const { createLocalVerifier, signLocalToken } = require("../lib/tokenVerifier");
+const { createFakeProvider } = require("../lib/payments/fakeProvider");
+const { createMemoryStore } = require("../lib/rateLimit/memoryStore");
+const { DEFAULT_RATE_LIMITS } = require("../lib/rateLimit");
+const { createLocalStorage } = require("../lib/storage/localStorage");
+const { localDate, addDays, weekday } = require("../lib/calendar");
+
+// 🔹 Integration test harness: the real app on an in-memory MongoDB replica set
+// (a replica set because account deletion, votes and approvals run in transactions)
+
+let replSet = null;
+
+const startDatabase = async () => {
+    replSet ??= MongoMemoryReplSet.create({ replSet: { count: 1 } }).catch((err) => {
+        replSet = null; // let the next suite try again instead of reusing the failure
+        throw err;
+    });
+    return replSet;
+};
+
+const stopDatabase = async () => {
+    if (!replSet) return;
+    const started = replSet;
+    replSet = null;
+    await (await started).stop();
+};
+
+// Default limits are per hour; tests share one client IP, so they get room to spare
+const RELAXED_RATE_LIMITS = Object.fromEntries(
+    Object.entries(DEFAULT_RATE_LIMITS).map(([name, limit]) => [name, { ...limit, perIp: 1000, perUser: 1000 }])
+);
+
+// Build a fresh app on its own database for the enclosing describe block.
+// Returns the context the hooks fill in: { app, db, client, paymentProvider, outbox }.
+function useTestApp({ rateLimits = RELAXED_RATE_LIMITS } = {}) {
+    const context = { outbox: [] };
+
+    before(async function () {
+        this.timeout(120000); // the first run downloads the mongod binary
+
+        const server = await startDatabase();
+        context.client = await MongoClient.connect(server.getUri());
+        context.db = context.client.db(`test_${crypto.randomBytes(6).toString("hex")}`);
+        context.mediaDir = await fs.mkdtemp(path.join(os.tmpdir(), "fitness-media-"));
+        context.paymentProvider = createFakeProvider();
+
+        context.app = await createApp({
+            db: context.db,
+            client: context.client,
+            verifyIdToken: createLocalVerifier(process.env.LOCAL_AUTH_SECRET),
+            paymentProvider: context.paymentProvider,
+            // keeps every mail so tests can follow emailed links
+            mailTransport: {
+                name: "memory",
+                async send(message) {
+                    context.outbox.push(message);
+                    return { messageId: `<${crypto.randomUUID()}@test>` };
+                },
+            },
+            storage: createLocalStorage({ dir: context.mediaDir }),
+            apiUrl: "http://api.test",
+            backgroundJobs: false,
+            rateLimitStore: createMemoryStore(),
+            rateLimits,
+        });
+    });
+
+    after(async () => {
+        await context.db?.dropDatabase();
+        await context.client?.close();
+        if (context.mediaDir) await fs.rm(context.mediaDir, { recursive: true, force: true });
+    });
+
+    return context;
+}
+
+// Status check that shows the response body when it fails
+const expectStatus = (res, status) => {
+    assert.equal(res.status, status, `${res.req.method} ${res.req.path} → ${res.status} ${JSON.stringify(res.body)}`);
+    return res.body;
+};
+
+let userCount = 0;
+
+// Headers for a signed-in caller (local stand-in for a Firebase ID token)
+const authHeader = (email, claims = {}) => ({
+    Authorization: `Bearer ${signLocalToken({ uid: email, email, ...claims }, process.env.LOCAL_AUTH_SECRET)}`,
+});
+
+// Register a user through POST /users, then give them `role` directly in the database
+async function signUp(context, role = "member", { name, email = `${role}${userCount + 1}@example.com` } = {}) {
+    userCount += 1;
+    const user = { email, name: name || `${role} ${userCount}`, auth: authHeader(email) };
+
+    expectStatus(await request(context.app).post("/users").set(user.auth).send({ email, name: user.name }), 201);
+    if (role !== "member") await context.db.collection("users").updateOne({ email }, { $set: { role } });
+    return user;
+}
+
+let fixtureCount = 0;
+
+// A class and an approved trainer teaching it on one weekly slot (10:00 UTC, `daysAhead` days from today).
+// Returns { classId, trainerId, trainerEmail, sessionIds } with the sessions of that day and the same day next week.
+async function createSchedule(context, admin, { capacity = 5, daysAhead = 3 } = {}) {
+    fixtureCount += 1;
+    const date = addDays(localDate(new Date(), "UTC"), daysAhead);
+    const api = () => request(context.app);
+
+    const created = expectStatus(await api().post("/classes").set(admin.auth).send({
+        name: `Class ${fixtureCount}`,
+        image: "https://images.example.com/class.jpg",
+        details: "A test class",
+    }), 201);
+    const classId = created.insertedId;
+
+    const trainerEmail = `coach${fixtureCount}@example.com`;
+    const trainer = expectStatus(await api().post("/trainers").set(admin.auth).send({
+        name: `Coach ${fixtureCount}`,
+        email: trainerEmail,
+        image: "https://images.example.com/coach.jpg",
+        experience: 5,
+    }), 201);
+    const trainerId = trainer.insertedId;
+
+    expectStatus(await api().post(`/trainers/${trainerId}/slots`).set(admin.auth).send({
+        day: weekday(date),
+        startTime: "10:00",
+        endTime: "11:00",
+        capacity,
+        classId,
+    }), 201);
+
+    const calendar = expectStatus(await api().get(`/trainers/${trainerId}/calendar`).query({ from: date, to: addDays(date, 7) }), 200);
+    return { classId, trainerId, trainerEmail, sessionIds: calendar.sessions.map((session) => session._id) };
+}
+
+// A plan on sale (admin-created), for members to buy through POST /payments
+async function createPlan(context, admin, overrides = {}) {
+    fixtureCount += 1;
+    const plan = { name: `Plan ${fixtureCount}`, price: 40, includedSessions: 3, durationDays: 30, ...overrides };
+    const created = expectStatus(await request(context.app).post("/plans").set(admin.auth).send(plan), 201);
+    return { ...plan, _id: created.insertedId };
+}
+
+module.exports = {
+    startDatabase,
+    stopDatabase,
+    useTestApp,
+    expectStatus,
+    authHeader,
+    signUp,
+    createSchedule,
+    createPlan,
+    RELAXED_RATE_LIMITS,
+};
@@ -0,0 +1,81 @@
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const sharp = require("sharp");
+const { useTestApp, expectStatus, signUp } = require("./helpers");
+
+describe("media", () => {
+    const t = useTestApp();
+    let admin;
+    let png;
+
+    before(async () => {
+        admin = await signUp(t, "admin");
+        png = await sharp({ create: { width: 640, height: 480, channels: 3, background: "#c03020" } }).png().toBuffer();
+    });
+
+    const upload = (member, buffer, filename = "photo.png") =>
+        request(t.app).post("/media").set(member.auth).attach("file", buffer, filename);
+
+    it("stores an uploaded image with a thumbnail", async () => {
+        const member = await signUp(t);
+        const media = expectStatus(await upload(member, png), 201);
+        assert.equal(media.contentType, "image/png");
+        assert.deepEqual([media.width, media.height], [640, 480]);
+        assert.equal(media.inUse, false);
+        assert.equal(media.url, `http://api.test/media/${media.id}`);
+
+        const original = await request(t.app).get(`/media/${media.id}`).buffer(true);
+        assert.equal(original.status, 200);
+        assert.equal(original.headers["content-type"], "image/png");
+        assert.match(original.headers["cache-control"], /immutable/);
+
+        const thumb = await request(t.app).get(`/media/${media.id}/thumb`).buffer(true);
+        assert.equal(thumb.status, 200);
+        assert.equal(thumb.headers["content-type"], "image/webp");
+        const { width, height } = await sharp(thumb.body).metadata();
+        assert.deepEqual([width, height], [320, 320]);
+    });
+
+    it("refuses missing files and anything that isn't an image", async () => {
+        const member = await signUp(t);
+        expectStatus(await request(t.app).post("/media").attach("file", png, "photo.png"), 401);
+        expectStatus(await request(t.app).post("/media").set(member.auth).field("note", "no file"), 400);
+
+        const body = expectStatus(await upload(member, Buffer.from("<svg></svg>"), "photo.png"), 400);
+        assert.equal(body.fields[0].field, "file");
+    });
+
+    it("lists uploads to their owner and admins", async () => {
+        const member = await signUp(t);
+        const other = await signUp(t);
+        const media = expectStatus(await upload(member, png), 201);
+
+        expectStatus(await request(t.app).get(`/media/user/${member.email}`).set(other.auth), 403);
+        const own = expectStatus(await request(t.app).get(`/media/user/${member.email}`).set(member.auth), 200);
+        assert.deepEqual(own.data.map((item) => item.id), [media.id]);
+        assert.equal(expectStatus(await request(t.app).get(`/media/user/${member.email}`).set(admin.auth), 200).total, 1);
+    });
+
+    it("deletes only unused uploads, and audits deletions by admins", async () => {
+        const member = await signUp(t);
+        const other = await signUp(t);
+        const used = expectStatus(await upload(member, png), 201);
+        const unused = expectStatus(await upload(member, png), 201);
+
+        expectStatus(await request(t.app).post("/classes").set(admin.auth).send({
+            name: "Class with an uploaded image",
+            image: used.url,
+            details: "Uses an upload",
+        }), 201);
+        const mine = expectStatus(await request(t.app).get(`/media/user/${member.email}`).set(member.auth), 200);
+        assert.equal(mine.data.find((item) => item.id === used.id).inUse, true);
+
+        expectStatus(await request(t.app).delete(`/media/${used.id}`).set(member.auth), 409);
+        expectStatus(await request(t.app).delete(`/media/${unused.id}`).set(other.auth), 403);
+        expectStatus(await request(t.app).delete(`/media/${unused.id}`).set(admin.auth), 200);
+        expectStatus(await request(t.app).get(`/media/${unused.id}`), 404);
+
+        const entry = await t.db.collection("auditLog").findOne({ action: "media.delete", "target.id": unused.id });
+        assert.equal(entry.actor.email, admin.email);
+    });
+});
@@ -0,0 +1,154 @@
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { ObjectId } = require("mongodb");
+const { unsubscribeUrl } = require("../lib/newsletter");
+const { useTestApp, expectStatus, signUp } = require("./helpers");
+
+describe("newsletter", () => {
+    const t = useTestApp();
+    let admin;
+
+    before(async () => {
+        admin = await signUp(t, "admin");
+    });
+
+    const subscribe = (name, email) => request(t.app).post("/newsletter/subscribe").send({ name, email });
+    const findSubscriber = (email) => t.db.collection("subscriber").findOne({ email });
+
+    // The confirmation link from the last mail sent to `email`, as a path on the API
+    const confirmPath = (email) => {
+        const mail = t.outbox.findLast((message) => message.to === email);
+        return mail.text.match(/http:\/\/api\.test(\/newsletter\/confirm\?token=\S+)/)[1];
+    };
+
+    const subscribeAndConfirm = async (name, email) => {
+        expectStatus(await subscribe(name, email), 200);
+        expectStatus(await request(t.app).get(confirmPath(email)), 200);
+    };
+
+    describe("subscriptions", () => {
+        it("keeps a subscriber pending until the emailed link is followed", async () => {
+            expectStatus(await subscribe("Dana", "dana@example.com"), 200);
+            assert.equal((await findSubscriber("dana@example.com")).status, "pending");
+
+            const link = confirmPath("dana@example.com");
+            expectStatus(await request(t.app).get(link), 200);
+            assert.equal((await findSubscriber("dana@example.com")).status, "confirmed");
+
+            expectStatus(await request(t.app).get(link), 400);
+            expectStatus(await subscribe("Dana", "dana@example.com"), 409);
+        });
+
+        it("rejects made-up confirmation tokens", async () => {
+            expectStatus(await request(t.app).get("/newsletter/confirm").query({ token: "not-a-token" }), 400);
+        });
+
+        it("unsubscribes through the signed link only", async () => {
+            await subscribeAndConfirm("Eli", "eli@example.com");
+            const link = new URL(unsubscribeUrl("http://api.test", "eli@example.com"));
+
+            expectStatus(await request(t.app).get(link.pathname).query({ email: "eli@example.com", sig: "forged" }), 400);
+            expectStatus(await request(t.app).get(`${link.pathname}${link.search}`), 200);
+            assert.equal((await findSubscriber("eli@example.com")).status, "unsubscribed");
+        });
+
+        it("validates the email", async () => {
+            const body = expectStatus(await subscribe("Nobody", "not-an-email"), 400);
+            assert.equal(body.fields[0].field, "email");
+        });
+
+        it("lists subscribers for admins without their token hashes", async () => {
+            const member = await signUp(t);
+            expectStatus(await subscribe("Fay", "fay@example.com"), 200);
+
+            expectStatus(await request(t.app).get("/newsletter/subscribers").set(member.auth), 403);
+            const list = expectStatus(await request(t.app).get("/newsletter/subscribers").query({ status: "pending" }).set(admin.auth), 200);
+            const fay = list.data.find((item) => item.email === "fay@example.com");
+            assert.equal(fay.status, "pending");
+            assert.equal(fay.confirmTokenHash, undefined);
+        });
+    });
+
+    describe("campaigns", () => {
+        it("needs an html or text body", async () => {
+            expectStatus(await request(t.app).post("/newsletter/campaigns").set(admin.auth).send({ subject: "Empty" }), 400);
+        });
+
+        it("schedules only for ISO 8601 dates in the future", async () => {
+            const created = expectStatus(await request(t.app)
+                .post("/newsletter/campaigns")
+                .set(admin.auth)
+                .send({ subject: "Later", text: "Some news" }), 201);
+            const schedule = (scheduledAt) => request(t.app)
+                .post(`/newsletter/campaigns/${created.insertedId}/schedule`)
+                .set(admin.auth)
+                .send({ scheduledAt });
+
+            expectStatus(await schedule("next tuesday"), 400);
+            expectStatus(await schedule(1893456000000), 400);
+            expectStatus(await schedule("2020-01-01T10:00:00Z"), 400);
+
+            const future = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+            const scheduled = expectStatus(await schedule(future), 200);
+            assert.equal(scheduled.scheduledAt, future);
+        });
+
+        it("sends a personalized copy to each confirmed subscriber", async () => {
+            await subscribeAndConfirm("Gus", "gus@example.com");
+            expectStatus(await subscribe("Hal", "hal@example.com"), 200);
+
+            const created = expectStatus(await request(t.app)
+                .post("/newsletter/campaigns")
+                .set(admin.auth)
+                .send({ subject: "News for {{name}}", text: "Hi {{name}}, new classes are out." }), 201);
+            const campaignPath = `/newsletter/campaigns/${created.insertedId}`;
+            const sentBefore = t.outbox.length;
+
+            expectStatus(await request(t.app).post(`${campaignPath}/send`).set(admin.auth), 202);
+            expectStatus(await request(t.app).post(`${campaignPath}/send`).set(admin.auth), 409);
+
+            // delivery runs after the response, so poll like the admin UI does
+            let campaign;
+            for (let attempt = 0; attempt < 50; attempt += 1) {
+                campaign = expectStatus(await request(t.app).get(campaignPath).set(admin.auth), 200);
+                if (campaign.status === "sent") break;
+                await new Promise((resolve) => setTimeout(resolve, 50));
+            }
+            assert.equal(campaign.status, "sent");
+
+            const mails = t.outbox.slice(sentBefore);
+            const gus = mails.find((mail) => mail.to === "gus@example.com");
+            assert.equal(gus.subject, "News for Gus");
+            assert.match(gus.text, /^Hi Gus, new classes are out\./);
+            assert.ok(gus.headers["List-Unsubscribe"]);
+            assert.ok(mails.every((mail) => mail.to !== "hal@example.com"));
+            assert.equal(campaign.stats.sent, mails.length);
+        });
+
+        it("sends deliveries again when their claim went stale", async () => {
+            const created = expectStatus(await request(t.app)
+                .post("/newsletter/campaigns")
+                .set(admin.auth)
+                .send({ subject: "Resumed", text: "Still coming" }), 201);
+            const campaignId = new ObjectId(created.insertedId);
+            // claimed by a process that died an hour ago
+            await t.db.collection("campaignDeliveries").insertOne({
+                campaignId,
+                email: "ivy@example.com",
+                name: "Ivy",
+                status: "sending",
+                claimedAt: new Date(Date.now() - 60 * 60 * 1000),
+            });
+
+            expectStatus(await request(t.app).post(`/newsletter/campaigns/${campaignId}/send`).set(admin.auth), 202);
+            let delivery;
+            for (let attempt = 0; attempt < 50; attempt += 1) {
+                delivery = await t.db.collection("campaignDeliveries").findOne({ campaignId, email: "ivy@example.com" });
+                if (delivery.status === "sent") break;
+                await new Promise((resolve) => setTimeout(resolve, 50));
+            }
+            assert.equal(delivery.status, "sent");
+            assert.ok(t.outbox.some((mail) => mail.to === "ivy@example.com" && mail.subject === "Resumed"));
+        });
+    });
+});
@@ -0,0 +1,139 @@
+const assert = require("node:assert/strict");
+const http = require("http");
+const request = require("supertest");
+const { useTestApp, expectStatus, signUp } = require("./helpers");
+
+describe("notifications", () => {
+    const t = useTestApp();
+
+    const insertNotifications = (member, notifications) => t.db.collection("notifications").insertMany(
+        notifications.map((fields, index) => ({
+            userEmail: member.email,
+            type: "booking.confirmed",
+            title: `Notice ${index + 1}`,
+            message: "Something happened",
+            data: {},
+            read: false,
+            createdAt: new Date(Date.now() - (notifications.length - index) * 1000),
+            ...fields,
+        }))
+    );
+
+    it("lists the member's own notifications, newest first, with read filters", async () => {
+        const member = await signUp(t);
+        const other = await signUp(t);
+        await insertNotifications(member, [{}, { read: true }, { type: "forum.reply" }]);
+        await insertNotifications(other, [{}]);
+        const list = (query) => request(t.app).get("/notifications").query(query).set(member.auth);
+
+        const all = expectStatus(await list({}), 200);
+        assert.deepEqual(all.data.map((item) => item.title), ["Notice 3", "Notice 2", "Notice 1"]);
+        assert.equal(expectStatus(await list({ read: "false" }), 200).total, 2);
+        assert.equal(expectStatus(await list({ unread: "true" }), 200).total, 2);
+        assert.equal(expectStatus(await list({ type: "forum.reply" }), 200).total, 1);
+        expectStatus(await list({ read: "maybe" }), 400);
+    });
+
+    it("marks one or all notifications as read", async () => {
+        const member = await signUp(t);
+        const other = await signUp(t);
+        const { insertedIds } = await insertNotifications(member, [{}, {}, {}]);
+        const unread = async () => expectStatus(await request(t.app).get("/notifications/unread-count").set(member.auth), 200).count;
+        assert.equal(await unread(), 3);
+
+        expectStatus(await request(t.app).patch(`/notifications/${insertedIds[0]}/read`).set(other.auth), 404);
+        expectStatus(await request(t.app).patch(`/notifications/${insertedIds[0]}/read`).set(member.auth), 200);
+        assert.equal(await unread(), 2);
+
+        const all = expectStatus(await request(t.app).patch("/notifications/read-all").set(member.auth), 200);
+        assert.equal(all.updated, 2);
+        assert.equal(await unread(), 0);
+    });
+
+    it("emails notifications only to members who opted in", async () => {
+        const member = await signUp(t);
+        const admin = await signUp(t, "admin");
+        expectStatus(await request(t.app).patch("/notifications/preferences").set(member.auth).send({ email: "yes" }), 400);
+        const prefs = expectStatus(await request(t.app).patch("/notifications/preferences").set(member.auth).send({ email: true }), 200);
+        assert.deepEqual(prefs.notificationPrefs, { email: true });
+
+        const applied = expectStatus(await request(t.app).post("/trainers/apply").set(member.auth).send({
+            name: "Notified Applicant",
+            image: "https://images.example.com/applicant.jpg",
+            experience: 1,
+            expertise: ["Pilates"],
+            availableDays: ["Fri"],
+        }), 200);
+        expectStatus(await request(t.app).patch(`/trainers/applications/${applied.insertedId}/reject`).set(admin.auth).send({}), 200);
+
+        assert.ok(t.outbox.some((mail) => mail.to === member.email));
+    });
+
+    describe("stream", () => {
+        let server;
+        let baseUrl;
+
+        before((done) => {
+            server = http.createServer(t.app).listen(0, "127.0.0.1", () => {
+                baseUrl = `http://127.0.0.1:${server.address().port}`;
+                done();
+            });
+        });
+
+        after((done) => {
+            server.closeAllConnections();
+            server.close(done);
+        });
+
+        // Open an SSE stream and collect its text; resolves once the stream is ready
+        const openStream = (query) => new Promise((resolve, reject) => {
+            const req = http.get(`${baseUrl}/notifications/stream?${new URLSearchParams(query)}`, (res) => {
+                const stream = { res, req, text: "" };
+                if (res.statusCode !== 200) return resolve(stream);
+                res.setEncoding("utf8");
+                res.on("data", (chunk) => {
+                    stream.text += chunk;
+                    if (stream.text.includes("event: ready")) resolve(stream);
+                });
+            });
+            req.on("error", reject);
+        });
+
+        const waitFor = async (stream, text) => {
+            for (let attempt = 0; attempt < 50 && !stream.text.includes(text); attempt += 1) {
+                await new Promise((resolve) => setTimeout(resolve, 50));
+            }
+            return stream.text;
+        };
+
+        it("needs a valid token, which may come in the query string", async () => {
+            const { res } = await openStream({ token: "not-a-token" });
+            assert.equal(res.statusCode, 401);
+            res.resume();
+        });
+
+        it("pushes new notifications to the member's open streams", async () => {
+            const member = await signUp(t);
+            const admin = await signUp(t, "admin");
+            const token = member.auth.Authorization.replace("Bearer ", "");
+            const stream = await openStream({ token });
+            assert.match(stream.res.headers["content-type"], /^text\/event-stream/);
+
+            const applied = expectStatus(await request(t.app).post("/trainers/apply").set(member.auth).send({
+                name: "Streamed Applicant",
+                image: "https://images.example.com/applicant.jpg",
+                experience: 3,
+                expertise: ["Boxing"],
+                availableDays: ["Mon"],
+            }), 200);
+            expectStatus(await request(t.app).patch(`/trainers/applications/${applied.insertedId}/confirm`).set(admin.auth).send({}), 200);
+
+            const text = await waitFor(stream, "event: notification");
+            stream.req.destroy();
+            const event = text.split("\n\n").find((block) => block.startsWith("event: notification"));
+            const data = JSON.parse(event.split("\ndata: ")[1]);
+            assert.equal(data.type, "application.approved");
+            assert.equal(data.userEmail, member.email);
+        });
+    });
+});
@@ -0,0 +1,90 @@
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { ObjectId } = require("mongodb");
+const { useTestApp, expectStatus, signUp, createPlan } = require("./helpers");
+
+describe("plans", () => {
+    const t = useTestApp();
+    let admin;
+
+    before(async () => {
+        admin = await signUp(t, "admin");
+    });
+
+    it("seeds the default plans, cheapest first", async () => {
+        const plans = expectStatus(await request(t.app).get("/plans"), 200);
+        assert.deepEqual(plans.slice(0, 3).map((plan) => plan.name), ["Basic", "Standard", "Premium"]);
+    });
+
+    it("lets only admins create plans, with unique names and known classes", async () => {
+        const member = await signUp(t);
+        const plan = { name: "Student", price: 25, includedSessions: 4, durationDays: 30 };
+
+        expectStatus(await request(t.app).post("/plans").set(member.auth).send(plan), 403);
+        expectStatus(await request(t.app).post("/plans").set(admin.auth).send(plan), 201);
+        expectStatus(await request(t.app).post("/plans").set(admin.auth).send(plan), 409);
+        expectStatus(await request(t.app).post("/plans").set(admin.auth).send({ ...plan, name: "Free", price: -1 }), 400);
+
+        const body = expectStatus(await request(t.app)
+            .post("/plans")
+            .set(admin.auth)
+            .send({ ...plan, name: "Ghost classes", classIds: [new ObjectId().toString()] }), 400);
+        assert.equal(body.fields[0].field, "classIds");
+    });
+
+    it("updates a plan and audits the change", async () => {
+        const plan = await createPlan(t, admin);
+        const path = `/plans/${plan._id}`;
+
+        expectStatus(await request(t.app).patch(path).set(admin.auth).send({}), 400);
+        expectStatus(await request(t.app).patch(path).set(admin.auth).send({ name: "Basic" }), 409);
+        expectStatus(await request(t.app).patch(path).set(admin.auth).send({ price: 45 }), 200);
+        expectStatus(await request(t.app).patch(`/plans/${new ObjectId()}`).set(admin.auth).send({ price: 45 }), 404);
+
+        const saved = await t.db.collection("plans").findOne({ _id: new ObjectId(plan._id) });
+        assert.equal(saved.price, 45);
+        const entry = await t.db.collection("auditLog").findOne({ action: "plan.update", "target.id": plan._id });
+        assert.deepEqual(entry.changes.price, { before: 40, after: 45 });
+    });
+
+    it("archives plans off sale and restores them", async () => {
+        const plan = await createPlan(t, admin);
+        const onSale = async () => expectStatus(await request(t.app).get("/plans"), 200).some((item) => item._id === plan._id);
+
+        expectStatus(await request(t.app).delete(`/plans/${plan._id}`).set(admin.auth), 200);
+        assert.equal(await onSale(), false);
+        const archived = expectStatus(await request(t.app).get("/admin/plans").query({ active: "false" }).set(admin.auth), 200);
+        assert.ok(archived.data.some((item) => item._id === plan._id));
+
+        expectStatus(await request(t.app).patch(`/plans/${plan._id}/restore`).set(admin.auth), 200);
+        assert.equal(await onSale(), true);
+    });
+
+    it("shows membership history to the member and admins", async () => {
+        const member = await signUp(t);
+        const other = await signUp(t);
+        const plan = await t.db.collection("plans").findOne({ name: "Standard" });
+        await t.db.collection("memberships").insertOne({
+            userEmail: member.email,
+            planId: plan._id,
+            planName: plan.name,
+            price: plan.price,
+            includedSessions: 8,
+            sessionsUsed: 3,
+            durationDays: 30,
+            classIds: [],
+            status: "active",
+            expiresAt: new Date(Date.now() + 10 * 24 * 60 * 60 * 1000),
+            createdAt: new Date(),
+        });
+
+        expectStatus(await request(t.app).get("/memberships/me").set(other.auth), 404);
+        const current = expectStatus(await request(t.app).get("/memberships/me").set(member.auth), 200);
+        assert.equal(current.remainingSessions, 5);
+        assert.equal(current.expired, false);
+
+        expectStatus(await request(t.app).get(`/memberships/user/${member.email}`).set(other.auth), 403);
+        const history = expectStatus(await request(t.app).get(`/memberships/user/${member.email}`).set(admin.auth), 200);
+        assert.deepEqual(history.data.map((item) => item.planName), ["Standard"]);
+    });
+});
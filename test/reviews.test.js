@@ -0,0 +1,136 @@
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { ObjectId } = require("mongodb");
+const { useTestApp, expectStatus, signUp, createSchedule } = require("./helpers");
+
+const HOUR = 60 * 60 * 1000;
+const hoursAgo = (hours) => new Date(Date.now() - hours * HOUR);
+
+describe("reviews", () => {
+    const t = useTestApp();
+    let admin;
+    let schedule;
+
+    before(async () => {
+        admin = await signUp(t, "admin");
+        schedule = await createSchedule(t, admin);
+    });
+
+    // Sessions in the past can't be booked through the API, so finished bookings are stored directly
+    // (session: null stores a weekly-slot booking made before sessions existed)
+    const insertBooking = async (member, fields = {}) => {
+        const booking = {
+            userEmail: member.email,
+            userName: member.name,
+            trainerId: schedule.trainerId,
+            sessionId: new ObjectId(),
+            session: { startsAt: hoursAgo(3), endsAt: hoursAgo(2) },
+            status: "paid",
+            price: 0,
+            createdAt: hoursAgo(72),
+            ...fields,
+        };
+        if (booking.session === null) delete booking.session;
+
+        const result = await t.db.collection("bookings").insertOne(booking);
+        return result.insertedId;
+    };
+
+    const review = (member, bookingId, body = {}) =>
+        request(t.app).post("/reviews").set(member.auth).send({ bookingId, rating: 4, comment: "Tough but fun", ...body });
+
+    const trainerRating = async () => {
+        const trainer = await t.db.collection("trainers").findOne({ _id: new ObjectId(schedule.trainerId) });
+        return { average: trainer.ratingAverage, count: trainer.ratingCount };
+    };
+
+    it("reviews a completed booking once and updates the trainer rating", async () => {
+        const member = await signUp(t);
+        const bookingId = await insertBooking(member);
+
+        expectStatus(await review(member, bookingId), 200);
+        assert.deepEqual(await trainerRating(), { average: 4, count: 1 });
+
+        const list = expectStatus(await request(t.app).get(`/reviews/trainer/${schedule.trainerId}`), 200);
+        assert.deepEqual(list.data.map((item) => item.comment), ["Tough but fun"]);
+
+        expectStatus(await review(member, bookingId), 409);
+    });
+
+    it("refuses sessions that haven't ended and bookings that weren't paid", async () => {
+        const member = await signUp(t);
+        const upcoming = await insertBooking(member, { session: { startsAt: new Date(Date.now() + HOUR), endsAt: new Date(Date.now() + 2 * HOUR) } });
+        const cancelled = await insertBooking(member, { status: "cancelled" });
+
+        expectStatus(await review(member, upcoming), 403);
+        expectStatus(await review(member, cancelled), 403);
+    });
+
+    it("treats bookings made before sessions existed as completed a week after booking", async () => {
+        const member = await signUp(t);
+        const recent = await insertBooking(member, { session: null, createdAt: hoursAgo(48) });
+        const old = await insertBooking(member, { session: null, createdAt: hoursAgo(8 * 24) });
+
+        expectStatus(await review(member, recent), 403);
+        expectStatus(await review(member, old), 200);
+    });
+
+    it("doesn't let members review someone else's booking", async () => {
+        const member = await signUp(t);
+        const other = await signUp(t);
+        const bookingId = await insertBooking(member);
+
+        expectStatus(await review(other, bookingId), 404);
+    });
+
+    it("lets the author edit their review", async () => {
+        const member = await signUp(t);
+        const other = await signUp(t);
+        const created = expectStatus(await review(member, await insertBooking(member), { rating: 2 }), 200);
+
+        expectStatus(await request(t.app).patch(`/reviews/${created.insertedId}`).set(other.auth).send({ rating: 1 }), 404);
+        expectStatus(await request(t.app).patch(`/reviews/${created.insertedId}`).set(member.auth).send({ rating: 5 }), 200);
+
+        const saved = await t.db.collection("reviews").findOne({ _id: new ObjectId(created.insertedId) });
+        assert.equal(saved.rating, 5);
+        assert.ok(saved.editedAt);
+    });
+
+    it("lets admins hide reviews, which then leave lists and ratings", async () => {
+        const member = await signUp(t);
+        const created = expectStatus(await review(member, await insertBooking(member), { comment: "Rude remarks" }), 200);
+        const moderation = `/reviews/${created.insertedId}/moderation`;
+
+        expectStatus(await request(t.app).patch(moderation).set(member.auth).send({ action: "hide" }), 403);
+        expectStatus(await request(t.app).patch(moderation).set(admin.auth).send({ action: "delete" }), 400);
+        expectStatus(await request(t.app).patch(moderation).set(admin.auth).send({ action: "hide" }), 200);
+
+        const list = expectStatus(await request(t.app).get("/reviews"), 200);
+        assert.ok(list.data.every((item) => item.comment !== "Rude remarks"));
+        const before = await trainerRating();
+
+        expectStatus(await request(t.app).patch(moderation).set(admin.auth).send({ action: "restore" }), 200);
+        assert.equal((await trainerRating()).count, before.count + 1);
+    });
+
+    it("filters lists by rating", async () => {
+        const member = await signUp(t);
+        expectStatus(await review(member, await insertBooking(member), { rating: 3, comment: "Okay-ish" }), 200);
+        const list = (query) => request(t.app).get(`/reviews/trainer/${schedule.trainerId}`).query(query);
+
+        const threes = expectStatus(await list({ rating: "3" }), 200);
+        assert.deepEqual(threes.data.map((item) => item.comment), ["Okay-ish"]);
+
+        const some = expectStatus(await list({ rating: "3,4" }), 200);
+        assert.ok(some.data.length > 1);
+        assert.ok(some.data.every((item) => [3, 4].includes(item.rating)));
+
+        expectStatus(await list({ rating: "five" }), 400);
+    });
+
+    it("validates ratings", async () => {
+        const member = await signUp(t);
+        const body = expectStatus(await review(member, await insertBooking(member), { rating: 6 }), 400);
+        assert.equal(body.fields[0].field, "rating");
+    });
+});
@@ -0,0 +1,12 @@
+// 🔹 Loaded once before every test file (.mocharc.json)
+process.env.LOCAL_AUTH_SECRET = "test-auth-secret";
+process.env.NEWSLETTER_SECRET = "test-newsletter-secret";
+process.env.FAKE_PAYMENT_WEBHOOK_SECRET = "test-webhook-secret";
+
+const { stopDatabase } = require("./helpers");
+
+exports.mochaHooks = {
+    async afterAll() {
+        await stopDatabase();
+    },
+};
@@ -0,0 +1,48 @@
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { useTestApp, expectStatus, RELAXED_RATE_LIMITS } = require("./helpers");
+
+describe("testimonials", () => {
+    const t = useTestApp();
+
+    it("adds a testimonial and lists the newest first", async () => {
+        expectStatus(await request(t.app).post("/testimonials").send({ name: "Ana", review: "Great coaches", role: "Member" }), 201);
+        expectStatus(await request(t.app).post("/testimonials").send({ name: "Ben", review: "Lovely classes", role: "Member" }), 201);
+
+        const list = expectStatus(await request(t.app).get("/testimonials"), 200);
+        assert.deepEqual(list.data.map((item) => item.name), ["Ben", "Ana"]);
+        assert.equal(list.total, 2);
+    });
+
+    it("rejects the same text again, whatever the case and punctuation", async () => {
+        await request(t.app).post("/testimonials").send({ name: "Cleo", review: "Best gym in town" });
+
+        const body = expectStatus(await request(t.app).post("/testimonials").send({ name: "cleo", review: "Best gym in town!!" }), 409);
+        assert.equal(body.code, "CONFLICT");
+    });
+
+    it("rejects submissions that filled the honeypot", async () => {
+        expectStatus(await request(t.app).post("/testimonials").send({ name: "Bot", review: "Buy now", website: "http://spam.example" }), 400);
+        assert.equal(await t.db.collection("testimonials").countDocuments({ name: "Bot" }), 0);
+    });
+
+    it("requires a name and a review", async () => {
+        const body = expectStatus(await request(t.app).post("/testimonials").send({ role: "Member" }), 400);
+        assert.deepEqual(body.fields.map((field) => field.field), ["name", "review"]);
+    });
+
+    describe("rate limit", () => {
+        const limited = useTestApp({
+            rateLimits: { ...RELAXED_RATE_LIMITS, "testimonials.create": { windowMs: 60 * 60 * 1000, perIp: 2 } },
+        });
+
+        it("answers 429 with Retry-After once an IP is over the limit", async () => {
+            expectStatus(await request(limited.app).post("/testimonials").send({ name: "One", review: "First" }), 201);
+            expectStatus(await request(limited.app).post("/testimonials").send({ name: "Two", review: "Second" }), 201);
+
+            const res = await request(limited.app).post("/testimonials").send({ name: "Three", review: "Third" });
+            expectStatus(res, 429);
+            assert.ok(Number(res.headers["retry-after"]) > 0);
+        });
+    });
+});
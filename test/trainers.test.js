@@ -0,0 +1,296 @@
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { ObjectId } = require("mongodb");
+const { useTestApp, expectStatus, signUp, createSchedule } = require("./helpers");
+
+describe("trainers", () => {
+    const t = useTestApp();
+    let admin;
+
+    before(async () => {
+        admin = await signUp(t, "admin");
+    });
+
+    const application = {
+        name: "Applying Coach",
+        image: "https://images.example.com/applicant.jpg",
+        experience: 4,
+        expertise: ["HIIT"],
+        availableDays: ["Mon", "Wed"],
+    };
+
+    describe("applications", () => {
+        it("approves an application into a trainer profile and the trainer role", async () => {
+            const member = await signUp(t);
+            const applied = expectStatus(await request(t.app).post("/trainers/apply").set(member.auth).send(application), 200);
+            expectStatus(await request(t.app).post("/trainers/apply").set(member.auth).send(application), 409);
+
+            const pending = expectStatus(await request(t.app).get("/trainers/applications/pending").set(admin.auth), 200);
+            assert.ok(pending.data.some((item) => item._id === applied.insertedId));
+            expectStatus(await request(t.app).get("/trainers/applications/pending").set(member.auth), 403);
+
+            expectStatus(await request(t.app).patch(`/trainers/applications/${applied.insertedId}/confirm`).set(admin.auth), 200);
+            expectStatus(await request(t.app).patch(`/trainers/applications/${applied.insertedId}/confirm`).set(admin.auth), 404);
+
+            const role = expectStatus(await request(t.app).get(`/users/role/${member.email}`).set(member.auth), 200);
+            assert.equal(role.role, "trainer");
+            const profile = expectStatus(await request(t.app).get(`/trainers/email/${member.email}`).set(member.auth), 200);
+            assert.equal(profile.status, "approved");
+            assert.deepEqual(profile.expertise, ["HIIT"]);
+
+            const notification = await t.db.collection("notifications").findOne({ userEmail: member.email });
+            assert.equal(notification.type, "application.approved");
+        });
+
+        it("rejects with feedback and reopens the application on resubmission", async () => {
+            const member = await signUp(t);
+            const applied = expectStatus(await request(t.app).post("/trainers/apply").set(member.auth).send(application), 200);
+
+            expectStatus(await request(t.app)
+                .patch(`/trainers/applications/${applied.insertedId}/reject`)
+                .set(admin.auth)
+                .send({ feedback: "Add your certifications" }), 200);
+
+            const mine = expectStatus(await request(t.app).get("/trainers/applications").query({ email: member.email }).set(member.auth), 200);
+            assert.equal(mine.data[0].status, "rejected");
+            assert.equal(mine.data[0].feedback, "Add your certifications");
+
+            const resubmitted = expectStatus(await request(t.app).post("/trainers/apply").set(member.auth).send(application), 200);
+            assert.equal(resubmitted.insertedId, applied.insertedId);
+            assert.equal(resubmitted.resubmitted, true);
+        });
+
+        it("only takes text feedback", async () => {
+            const member = await signUp(t);
+            const applied = expectStatus(await request(t.app).post("/trainers/apply").set(member.auth).send(application), 200);
+
+            const body = expectStatus(await request(t.app)
+                .patch(`/trainers/applications/${applied.insertedId}/reject`)
+                .set(admin.auth)
+                .send({ feedback: { note: "nested" } }), 400);
+            assert.equal(body.fields[0].field, "feedback");
+            expectStatus(await request(t.app)
+                .patch(`/trainers/applications/${applied.insertedId}/confirm`)
+                .set(admin.auth)
+                .send({ feedback: ["a", "b"] }), 400);
+        });
+
+        it("shows admins pending and rejected applications, or one status", async () => {
+            const pending = await signUp(t);
+            const rejected = await signUp(t);
+            const pendingApp = expectStatus(await request(t.app).post("/trainers/apply").set(pending.auth).send(application), 200);
+            const rejectedApp = expectStatus(await request(t.app).post("/trainers/apply").set(rejected.auth).send(application), 200);
+            expectStatus(await request(t.app).patch(`/trainers/applications/${rejectedApp.insertedId}/reject`).set(admin.auth).send({}), 200);
+            const filter = (query) => request(t.app).get("/trainers/applications/status/filter").query({ limit: 100, ...query }).set(admin.auth);
+
+            const open = expectStatus(await filter({}), 200);
+            assert.ok(open.data.every((item) => ["pending", "rejected"].includes(item.status)));
+            assert.ok(open.data.some((item) => item._id === pendingApp.insertedId));
+            assert.ok(open.data.some((item) => item._id === rejectedApp.insertedId));
+
+            const onlyRejected = expectStatus(await filter({ status: "rejected" }), 200);
+            assert.ok(onlyRejected.data.every((item) => item.status === "rejected"));
+            assert.ok(onlyRejected.data.some((item) => item._id === rejectedApp.insertedId));
+
+            expectStatus(await request(t.app).get("/trainers/applications/status/filter").set(pending.auth), 403);
+        });
+
+        it("keeps other members' applications private", async () => {
+            const member = await signUp(t);
+            const other = await signUp(t);
+            expectStatus(await request(t.app).get("/trainers/applications").query({ email: other.email }).set(member.auth), 403);
+        });
+    });
+
+    describe("profiles and slots", () => {
+        it("lists approved trainers and shows one with its slots", async () => {
+            const { trainerId } = await createSchedule(t, admin);
+
+            const list = expectStatus(await request(t.app).get("/trainers"), 200);
+            assert.ok(list.data.some((trainer) => trainer._id === trainerId));
+
+            const detail = expectStatus(await request(t.app).get(`/trainers/${trainerId}`), 200);
+            assert.equal(detail.slots.length, 1);
+            assert.deepEqual(detail.reviews, []);
+        });
+
+        it("lets a trainer manage only their own slots", async () => {
+            const { trainerId, trainerEmail, classId } = await createSchedule(t, admin);
+            const slot = { day: "Sat", startTime: "08:00", endTime: "09:00", capacity: 4, classId };
+
+            const owner = await signUp(t, "trainer", { email: trainerEmail });
+            const stranger = await signUp(t, "trainer");
+
+            expectStatus(await request(t.app).post(`/trainers/${trainerId}/slots`).set(stranger.auth).send(slot), 403);
+            const added = expectStatus(await request(t.app).post(`/trainers/${trainerId}/slots`).set(owner.auth).send(slot), 201);
+            expectStatus(await request(t.app).post(`/trainers/${trainerId}/slots`).set(owner.auth).send(slot), 409);
+
+            const slots = expectStatus(await request(t.app).get(`/trainers/${trainerId}/slots`), 200);
+            assert.equal(slots.data.length, 2);
+            assert.equal(slots.data.find((item) => item._id === added.slotId).seatsLeft, 4);
+
+            expectStatus(await request(t.app).delete(`/trainers/${trainerId}/slots/${added.slotId}`).set(owner.auth), 200);
+        });
+
+        it("still removes slots by a slotId in the body", async () => {
+            const { trainerId, classId } = await createSchedule(t, admin);
+            const added = expectStatus(await request(t.app)
+                .post(`/trainers/${trainerId}/slots`)
+                .set(admin.auth)
+                .send({ day: "Sat", startTime: "08:00", endTime: "09:00", capacity: 4, classId }), 201);
+
+            expectStatus(await request(t.app).delete(`/trainers/${trainerId}/slots`).set(admin.auth).send({}), 400);
+            expectStatus(await request(t.app).delete(`/trainers/${trainerId}/slots`).set(admin.auth).send({ slotId: added.slotId }), 200);
+            assert.equal(await t.db.collection("slots").countDocuments({ _id: new ObjectId(added.slotId) }), 0);
+        });
+
+        it("still adds and removes slots through the older PATCH routes", async () => {
+            const { trainerId, trainerEmail, classId } = await createSchedule(t, admin);
+            const owner = await signUp(t, "trainer", { email: trainerEmail });
+            const stranger = await signUp(t, "trainer");
+            const slot = { day: "Sun", startTime: "07:00", endTime: "08:00", capacity: 3, classId };
+
+            expectStatus(await request(t.app).patch(`/trainers/${trainerId}/add-slot`).set(stranger.auth).send(slot), 403);
+            const added = expectStatus(await request(t.app).patch(`/trainers/${trainerId}/add-slot`).set(owner.auth).send(slot), 201);
+            assert.equal(await t.db.collection("slots").countDocuments({ _id: new ObjectId(added.slotId) }), 1);
+
+            expectStatus(await request(t.app).patch(`/trainers/${trainerId}/remove-slot`).set(owner.auth).send({ slotId: "nope" }), 400);
+            expectStatus(await request(t.app).patch(`/trainers/${trainerId}/remove-slot`).set(owner.auth).send({ slotId: new ObjectId() }), 404);
+            expectStatus(await request(t.app).patch(`/trainers/${trainerId}/remove-slot`).set(owner.auth).send({ slotId: added.slotId }), 200);
+            assert.equal(await t.db.collection("slots").countDocuments({ _id: new ObjectId(added.slotId) }), 0);
+        });
+
+        it("shows trainers their own profile by email", async () => {
+            const { trainerId, trainerEmail } = await createSchedule(t, admin);
+            const owner = await signUp(t, "trainer", { email: trainerEmail });
+            const stranger = await signUp(t, "trainer");
+            const member = await signUp(t);
+
+            const profile = expectStatus(await request(t.app).get(`/trainers/by-email/${trainerEmail}`).set(owner.auth), 200);
+            assert.equal(profile._id, trainerId);
+            assert.equal(expectStatus(await request(t.app).get(`/trainers/by-email/${trainerEmail}`).set(admin.auth), 200)._id, trainerId);
+            expectStatus(await request(t.app).get(`/trainers/by-email/${trainerEmail}`).set(stranger.auth), 403);
+            expectStatus(await request(t.app).get(`/trainers/by-email/${trainerEmail}`).set(member.auth), 403);
+        });
+
+        it("rejects slots that end before they start", async () => {
+            const { trainerId, classId } = await createSchedule(t, admin);
+            const body = expectStatus(await request(t.app)
+                .post(`/trainers/${trainerId}/slots`)
+                .set(admin.auth)
+                .send({ day: "Sun", startTime: "10:00", endTime: "09:00", capacity: 4, classId }), 400);
+            assert.equal(body.fields[0].field, "endTime");
+        });
+
+        it("generates sessions when slots change, never on calendar reads", async () => {
+            const { trainerId } = await createSchedule(t, admin);
+            const sessions = t.db.collection("sessions");
+            const count = () => sessions.countDocuments({ trainerId: new ObjectId(trainerId) });
+            assert.ok(await count() > 0);
+
+            await sessions.deleteMany({ trainerId: new ObjectId(trainerId) });
+            const calendar = expectStatus(await request(t.app).get(`/trainers/${trainerId}/calendar`), 200);
+            assert.deepEqual(calendar.sessions, []);
+            assert.equal(await count(), 0);
+
+            expectStatus(await request(t.app)
+                .patch(`/trainers/${trainerId}/availability`)
+                .set(admin.auth)
+                .send({ timeZone: "Europe/Berlin" }), 200);
+            assert.ok(await count() > 0);
+        });
+
+        it("turns an exception day into cancelled sessions", async () => {
+            const { trainerId, sessionIds } = await createSchedule(t, admin);
+            const session = await t.db.collection("sessions").findOne({ _id: new ObjectId(sessionIds[0]) });
+
+            expectStatus(await request(t.app)
+                .post(`/trainers/${trainerId}/exceptions`)
+                .set(admin.auth)
+                .send({ startDate: session.date, reason: "Holiday" }), 201);
+
+            const calendar = expectStatus(await request(t.app).get(`/trainers/${trainerId}/calendar`).query({ from: session.date, to: session.date }), 200);
+            assert.equal(calendar.sessions[0].state, "cancelled");
+            assert.equal(calendar.exceptions[0].reason, "Holiday");
+        });
+    });
+
+    describe("availability", () => {
+        it("sets the trainer's time zone, for the trainer and admins only", async () => {
+            const { trainerId } = await createSchedule(t, admin);
+            const stranger = await signUp(t, "trainer");
+            const availability = (caller, body) => request(t.app).patch(`/trainers/${trainerId}/availability`).set(caller.auth).send(body);
+
+            expectStatus(await availability(stranger, { timeZone: "Europe/Paris" }), 403);
+            expectStatus(await availability(admin, { timeZone: "Not/AZone" }), 400);
+            expectStatus(await availability(admin, {}), 400);
+
+            const updated = expectStatus(await availability(admin, { timeZone: "America/New_York" }), 200);
+            assert.equal(updated.timeZone, "America/New_York");
+            const trainer = await t.db.collection("trainers").findOne({ _id: new ObjectId(trainerId) });
+            assert.equal(trainer.timeZone, "America/New_York");
+        });
+
+        it("lists exceptions and brings the sessions back when one is removed", async () => {
+            const { trainerId, sessionIds } = await createSchedule(t, admin);
+            const session = await t.db.collection("sessions").findOne({ _id: new ObjectId(sessionIds[0]) });
+            const exceptions = `/trainers/${trainerId}/exceptions`;
+
+            expectStatus(await request(t.app).post(exceptions).set(admin.auth).send({ startDate: session.date, endDate: "2000-01-01" }), 400);
+            const added = expectStatus(await request(t.app).post(exceptions).set(admin.auth).send({ startDate: session.date }), 201);
+            const list = expectStatus(await request(t.app).get(exceptions).set(admin.auth), 200);
+            assert.deepEqual(list.map((item) => item._id), [added.insertedId]);
+
+            expectStatus(await request(t.app).delete(`${exceptions}/${added.insertedId}`).set(admin.auth), 200);
+            expectStatus(await request(t.app).delete(`${exceptions}/${added.insertedId}`).set(admin.auth), 404);
+
+            const calendar = expectStatus(await request(t.app).get(`/trainers/${trainerId}/calendar`).query({ from: session.date, to: session.date }), 200);
+            assert.equal(calendar.sessions.length, 1);
+            assert.notEqual(calendar.sessions[0].state, "cancelled");
+        });
+    });
+
+    describe("demotion", () => {
+        it("archives the trainer, cancels their bookings and restores them later", async () => {
+            const { trainerId, trainerEmail, sessionIds, classId } = await createSchedule(t, admin);
+            await signUp(t, "trainer", { email: trainerEmail });
+
+            const member = await signUp(t);
+            const plan = (await t.db.collection("plans").findOne({ name: "Basic" }))._id;
+            const booked = expectStatus(await request(t.app)
+                .post("/payments")
+                .set(member.auth)
+                .send({ trainerId, sessionId: sessionIds[0], planId: plan }), 201);
+
+            const demoted = expectStatus(await request(t.app)
+                .patch(`/trainers/${trainerId}/remove-trainer`)
+                .set(admin.auth)
+                .send({ reason: "Moving away" }), 200);
+            assert.equal(demoted.bookings.cancelled, 1);
+
+            const booking = await t.db.collection("bookings").findOne({ _id: new ObjectId(booked.bookingId) });
+            assert.equal(booking.status, "cancelled");
+            const user = await t.db.collection("users").findOne({ email: trainerEmail });
+            assert.equal(user.role, "member");
+            expectStatus(await request(t.app).get(`/trainers/${trainerId}`), 404);
+            const classDoc = await t.db.collection("classes").findOne({ _id: new ObjectId(classId) });
+            assert.deepEqual(classDoc.trainerIds, []);
+
+            const restored = expectStatus(await request(t.app).patch(`/trainers/${trainerId}/restore`).set(admin.auth), 200);
+            assert.deepEqual(restored.slots, { restored: 1, skipped: 0 });
+            expectStatus(await request(t.app).get(`/trainers/${trainerId}`), 200);
+        });
+
+        it("leaves an admin who also trains an admin", async () => {
+            const { trainerId, trainerEmail } = await createSchedule(t, admin);
+            await signUp(t, "admin", { email: trainerEmail });
+            const role = async () => (await t.db.collection("users").findOne({ email: trainerEmail })).role;
+
+            expectStatus(await request(t.app).patch(`/trainers/${trainerId}/remove-trainer`).set(admin.auth).send({}), 200);
+            assert.equal(await role(), "admin");
+
+            expectStatus(await request(t.app).patch(`/trainers/${trainerId}/restore`).set(admin.auth), 200);
+            assert.equal(await role(), "admin");
+        });
+    });
+});
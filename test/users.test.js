@@ -0,0 +1,152 @@
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { useTestApp, expectStatus, authHeader, signUp } = require("./helpers");
+
+describe("users", () => {
+    const t = useTestApp();
+    let admin;
+
+    before(async () => {
+        admin = await signUp(t, "admin");
+    });
+
+    describe("POST /users", () => {
+        it("registers the caller once, then records the login", async () => {
+            const email = "newcomer@example.com";
+            const auth = authHeader(email);
+
+            const created = expectStatus(await request(t.app).post("/users").set(auth).send({ email, name: "Newcomer" }), 201);
+            assert.ok(created.insertedId);
+
+            const again = expectStatus(await request(t.app).post("/users").set(auth).send({ email, name: "Newcomer" }), 200);
+            assert.equal(again.user.role, "member");
+            assert.equal(again.user.status, "active");
+            assert.ok(again.user.lastLoginAt);
+        });
+
+        it("creates one account when the first sign-ins arrive together", async () => {
+            const email = "twice@example.com";
+            const signIn = () => request(t.app).post("/users").set(authHeader(email)).send({ email, name: "Twice" });
+
+            const responses = await Promise.all([signIn(), signIn(), signIn()]);
+            assert.ok(responses.every((res) => [200, 201].includes(res.status)));
+            assert.equal(await t.db.collection("users").countDocuments({ email }), 1);
+        });
+
+        it("refuses to register someone else", async () => {
+            const res = await request(t.app).post("/users").set(authHeader("me@example.com")).send({ email: "other@example.com" });
+            expectStatus(res, 403);
+        });
+
+        it("drops server-managed fields from the body", async () => {
+            const email = "sneaky@example.com";
+            await request(t.app).post("/users").set(authHeader(email)).send({ email, role: "admin", status: "active" });
+
+            const user = await t.db.collection("users").findOne({ email });
+            assert.equal(user.role, "member");
+        });
+
+        it("rejects an invalid body with the failing fields", async () => {
+            const body = expectStatus(await request(t.app).post("/users").set(authHeader("x@example.com")).send({ email: "not-an-email" }), 400);
+            assert.equal(body.code, "VALIDATION_FAILED");
+            assert.deepEqual(body.fields.map((field) => field.field), ["email"]);
+        });
+    });
+
+    describe("own profile", () => {
+        it("returns and updates the caller's profile", async () => {
+            const member = await signUp(t);
+
+            const me = expectStatus(await request(t.app).get("/users/me").set(member.auth), 200);
+            assert.equal(me.email, member.email);
+
+            const updated = expectStatus(await request(t.app).patch("/users/me").set(member.auth).send({ bio: "Runner" }), 200);
+            assert.equal(updated.user.bio, "Runner");
+            assert.equal(updated.user.name, member.name);
+        });
+
+        it("rejects an empty update", async () => {
+            const member = await signUp(t);
+            expectStatus(await request(t.app).patch("/users/me").set(member.auth).send({}), 400);
+        });
+
+        it("deletes the account and anonymizes what outlives it", async () => {
+            const member = await signUp(t);
+            await request(t.app).post("/forum").set(member.auth).send({ title: "Leaving soon", content: "Bye everyone" });
+
+            expectStatus(await request(t.app).delete("/users/me").set(member.auth), 200);
+
+            assert.equal(await t.db.collection("users").countDocuments({ email: member.email }), 0);
+            const post = await t.db.collection("forum").findOne({ title: "Leaving soon" });
+            assert.match(post.authorEmail, /@deleted\.invalid$/);
+            assert.equal(post.authorName, "Deleted user");
+            expectStatus(await request(t.app).get("/users/me").set(member.auth), 403);
+        });
+
+        describe("last admin", () => {
+            const fresh = useTestApp();
+
+            it("keeps the last admin from deleting their account", async () => {
+                const only = await signUp(fresh, "admin");
+                const body = expectStatus(await request(fresh.app).delete("/users/me").set(only.auth), 403);
+                assert.match(body.error, /last admin/);
+
+                await signUp(fresh, "admin");
+                expectStatus(await request(fresh.app).delete("/users/me").set(only.auth), 200);
+            });
+        });
+    });
+
+    describe("admin", () => {
+        it("lists users for admins only", async () => {
+            const member = await signUp(t);
+
+            expectStatus(await request(t.app).get("/users").set(member.auth), 403);
+            const list = expectStatus(await request(t.app).get("/users").query({ role: "admin" }).set(admin.auth), 200);
+            assert.ok(list.data.some((user) => user.email === admin.email));
+            assert.ok(list.data.every((user) => user.role === "admin"));
+        });
+
+        it("promotes and demotes admins, with an audit entry", async () => {
+            const member = await signUp(t);
+
+            expectStatus(await request(t.app).patch(`/users/${member.email}/make-admin`).set(admin.auth), 200);
+            const role = expectStatus(await request(t.app).get(`/users/role/${member.email}`).set(member.auth), 200);
+            assert.equal(role.role, "admin");
+
+            const entry = await t.db.collection("auditLog").findOne({ action: "user.make-admin", "target.label": member.email });
+            assert.equal(entry.actor.email, admin.email);
+
+            expectStatus(await request(t.app).patch(`/users/${member.email}/remove-admin`).set(admin.auth), 200);
+            expectStatus(await request(t.app).get("/users").set(member.auth), 403);
+        });
+
+        it("deactivates accounts, which then fail every role check", async () => {
+            const member = await signUp(t);
+
+            expectStatus(await request(t.app).patch(`/users/${member.email}/deactivate`).set(admin.auth), 200);
+            const body = expectStatus(await request(t.app).get("/users/me").set(member.auth), 403);
+            assert.equal(body.error, "Account is deactivated");
+
+            expectStatus(await request(t.app).patch(`/users/${member.email}/reactivate`).set(admin.auth), 200);
+            expectStatus(await request(t.app).get("/users/me").set(member.auth), 200);
+        });
+
+        it("can't change its own account status", async () => {
+            expectStatus(await request(t.app).patch(`/users/${admin.email}/deactivate`).set(admin.auth), 403);
+        });
+
+        it("only lets members read their own role", async () => {
+            const member = await signUp(t);
+            expectStatus(await request(t.app).get(`/users/role/${admin.email}`).set(member.auth), 403);
+        });
+
+        it("searches users by name, matching the input literally", async () => {
+            await signUp(t, "member", { name: "Searchable Sam" });
+
+            const users = expectStatus(await request(t.app).get("/users/search").query({ name: "searchable" }).set(admin.auth), 200);
+            assert.deepEqual(users.map((user) => user.name), ["Searchable Sam"]);
+            expectStatus(await request(t.app).get("/users/search").query({ name: ".*" }).set(admin.auth), 404);
+        });
+    });
+});
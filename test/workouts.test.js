@@ -0,0 +1,136 @@
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { useTestApp, expectStatus, signUp } = require("./helpers");
+
+const DAY = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY).toISOString();
+
+describe("workouts", () => {
+    const t = useTestApp();
+
+    const logWorkout = (member, body) => request(t.app).post("/workouts").set(member.auth).send(body);
+
+    describe("log", () => {
+        it("keeps each member's workouts to themselves", async () => {
+            const member = await signUp(t);
+            const other = await signUp(t);
+            const created = expectStatus(await logWorkout(member, { exercise: "Squat", sets: 3, reps: 5, weight: 100 }), 201);
+            const path = `/workouts/${created.insertedId}`;
+
+            expectStatus(await request(t.app).get(path).set(other.auth), 404);
+            expectStatus(await request(t.app).patch(path).set(other.auth).send({ reps: 6 }), 404);
+            expectStatus(await request(t.app).delete(path).set(other.auth), 404);
+            assert.deepEqual(expectStatus(await request(t.app).get("/workouts").set(other.auth), 200).data, []);
+
+            expectStatus(await request(t.app).patch(path).set(member.auth).send({ reps: 6 }), 200);
+            const saved = expectStatus(await request(t.app).get(path).set(member.auth), 200);
+            assert.equal(saved.reps, 6);
+            assert.ok(saved.performedAt);
+
+            expectStatus(await request(t.app).delete(path).set(member.auth), 200);
+            expectStatus(await request(t.app).get(path).set(member.auth), 404);
+        });
+
+        it("validates entries and needs a signed-in member", async () => {
+            const member = await signUp(t);
+            expectStatus(await request(t.app).post("/workouts").send({ exercise: "Row" }), 401);
+
+            const body = expectStatus(await logWorkout(member, { exercise: "Row", sets: 0 }), 400);
+            assert.equal(body.fields[0].field, "sets");
+            expectStatus(await request(t.app).post("/metrics").set(member.auth).send({ measuredAt: daysAgo(1) }), 400);
+        });
+
+        it("filters the list by exercise and date", async () => {
+            const member = await signUp(t);
+            expectStatus(await logWorkout(member, { exercise: "Bench", performedAt: daysAgo(10) }), 201);
+            expectStatus(await logWorkout(member, { exercise: "Bench", performedAt: daysAgo(1) }), 201);
+            expectStatus(await logWorkout(member, { exercise: "Deadlift", performedAt: daysAgo(1) }), 201);
+            const list = (query) => request(t.app).get("/workouts").query(query).set(member.auth);
+
+            assert.equal(expectStatus(await list({ exercise: "Bench" }), 200).total, 2);
+            assert.equal(expectStatus(await list({ exercise: "Bench", from: daysAgo(5) }), 200).total, 1);
+            expectStatus(await list({ from: "someday" }), 400);
+        });
+    });
+
+    describe("progress", () => {
+        it("sums sets, reps and volume per period", async () => {
+            const member = await signUp(t);
+            expectStatus(await logWorkout(member, { exercise: "Squat", sets: 3, reps: 5, weight: 100, performedAt: "2026-05-04T08:00:00Z" }), 201);
+            expectStatus(await logWorkout(member, { exercise: "Run", duration: 30, calories: 300, performedAt: "2026-05-06T08:00:00Z" }), 201);
+            expectStatus(await logWorkout(member, { exercise: "Squat", sets: 2, reps: 5, weight: 110, performedAt: "2026-05-20T08:00:00Z" }), 201);
+
+            const monthly = expectStatus(await request(t.app).get("/workouts/summary").query({ period: "month" }).set(member.auth), 200);
+            assert.deepEqual(monthly.summary.map(({ period, ...totals }) => totals), [
+                { workouts: 3, activeDays: 3, sets: 5, reps: 25, volume: 2600, duration: 30, calories: 300 },
+            ]);
+
+            const weekly = expectStatus(await request(t.app).get("/workouts/summary").set(member.auth), 200);
+            assert.equal(weekly.period, "week");
+            assert.deepEqual(weekly.summary.map((item) => item.workouts), [2, 1]);
+        });
+
+        it("keeps personal records per exercise, whatever its spelling", async () => {
+            const member = await signUp(t);
+            expectStatus(await logWorkout(member, { exercise: "Bench Press", sets: 5, reps: 5, weight: 80 }), 201);
+            expectStatus(await logWorkout(member, { exercise: "bench press", sets: 1, reps: 1, weight: 100 }), 201);
+            expectStatus(await logWorkout(member, { exercise: "Pull-up", sets: 3, reps: 12 }), 201);
+
+            const records = expectStatus(await request(t.app).get("/workouts/records").set(member.auth), 200);
+            const bench = records.find((item) => item.exercise.toLowerCase() === "bench press");
+            assert.equal(bench.entries, 2);
+            assert.equal(bench.maxWeight.value, 100);
+            assert.equal(bench.maxReps.value, 5);
+            assert.equal(bench.maxVolume.value, 2000);
+            assert.equal(records.length, 2);
+        });
+
+        it("counts the current and longest streak of workout days", async () => {
+            const member = await signUp(t);
+            for (const days of [12, 11, 10, 1, 0]) {
+                expectStatus(await logWorkout(member, { exercise: "Walk", performedAt: daysAgo(days) }), 201);
+            }
+
+            const streak = expectStatus(await request(t.app).get("/workouts/streak").set(member.auth), 200);
+            assert.equal(streak.current, 2);
+            assert.equal(streak.longest, 3);
+            expectStatus(await request(t.app).get("/workouts/streak").query({ tz: "Mars/Olympus" }).set(member.auth), 400);
+        });
+    });
+
+    describe("body metrics", () => {
+        it("summarizes weight and body fat per period", async () => {
+            const member = await signUp(t);
+            const measure = (body) => request(t.app).post("/metrics").set(member.auth).send(body);
+
+            expectStatus(await measure({ weight: 82, bodyFat: 21, measuredAt: "2026-03-02T07:00:00Z" }), 201);
+            expectStatus(await measure({ weight: 81.5, measuredAt: "2026-03-09T07:00:00Z" }), 201);
+            expectStatus(await measure({ weight: 80, bodyFat: 19.5, measuredAt: "2026-03-23T07:00:00Z" }), 201);
+            expectStatus(await measure({ weight: 79, measuredAt: "2026-04-06T07:00:00Z" }), 201);
+
+            const summary = (query) => request(t.app).get("/metrics/summary").query(query).set(member.auth);
+            const monthly = expectStatus(await summary({ period: "month" }), 200);
+            assert.equal(monthly.summary.length, 2);
+
+            const [march, april] = monthly.summary;
+            assert.equal(march.measurements, 3);
+            assert.deepEqual(march.weight, { first: 82, last: 80, change: -2, min: 80, max: 82, average: 81.17 });
+            assert.deepEqual(march.bodyFat, { first: 21, last: 19.5, change: -1.5, min: 19.5, max: 21, average: 20.25 });
+            assert.equal(april.bodyFat, null);
+
+            const ranged = expectStatus(await summary({ period: "month", from: "2026-04-01", to: "2026-04-30" }), 200);
+            assert.deepEqual(ranged.summary.map((item) => item.weight.last), [79]);
+
+            expectStatus(await summary({ period: "year" }), 400);
+        });
+
+        it("only summarizes the member's own measurements", async () => {
+            const member = await signUp(t);
+            const other = await signUp(t);
+            expectStatus(await request(t.app).post("/metrics").set(other.auth).send({ weight: 70 }), 201);
+
+            const own = expectStatus(await request(t.app).get("/metrics/summary").set(member.auth), 200);
+            assert.deepEqual(own.summary, []);
+        });
+    });
+});